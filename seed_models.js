@@ -173,6 +173,7 @@ const seedModels = async () => {
             type: "image",
             description: "General purpose image generation and editing.",
             pricing: { costPerImage: 2, costPerSecond: 0 },
+            specifications: { maxOutputs: 4 },
             status: "active",
             parameters: [
                 {
@@ -184,6 +185,41 @@ const seedModels = async () => {
                     required: true
                 }
             ]
+        },
+
+        // --- AUDIO MODELS ---
+        {
+            modelId: "tts-1",
+            name: "TTS 1",
+            provider: "competapi",
+            type: "audio",
+            description: "Text-to-speech narration.",
+            pricing: { costPerCharacter: 0.01, costPerSecond: 0, costPerImage: 0 },
+            supportedContexts: ["text-to-speech"],
+            status: "active",
+            parameters: [
+                {
+                    key: "voice",
+                    label: "Voice",
+                    type: "select",
+                    defaultValue: "alloy",
+                    options: ["alloy", "echo", "fable", "onyx", "nova", "shimmer"],
+                    required: true,
+                    description: "Voice used to read the prompt."
+                }
+            ]
+        },
+        {
+            modelId: "suno-v4",
+            name: "Suno v4",
+            provider: "competapi",
+            type: "audio",
+            description: "Background music from a text description.",
+            pricing: { costPerSecond: 0.5, costPerImage: 0 },
+            supportedContexts: ["text-to-music"],
+            status: "active",
+            specifications: { minDuration: 10, maxDuration: 120, defaultDuration: 30 },
+            parameters: []
         }
     ];
 
@@ -58,6 +58,8 @@ export const subscriptionPlans = {
         credits: 500,
         interval: "month",
         stripePriceId: config.stripe.proPriceId || "price_pro_monthly", // Set in env
+        // Subscribing removes the watermark from the user's free-tier content
+        releasesWatermarks: true,
         features: [
             "All AI tools",
             "High quality",
@@ -74,6 +76,7 @@ export const subscriptionPlans = {
         credits: -1, // Unlimited
         interval: "month",
         stripePriceId: config.stripe.enterprisePriceId || "price_enterprise_monthly",
+        releasesWatermarks: true,
         features: [
             "All Pro features",
             "Ultra quality",
@@ -94,6 +97,11 @@ export const getSubscriptionPlan = (planId) => {
     return subscriptionPlans[planId] || null;
 };
 
+// Helper function to check whether a plan comes without watermarks
+export const planReleasesWatermarks = (planId) => {
+    return Boolean(subscriptionPlans[planId]?.releasesWatermarks);
+};
+
 // Helper function to validate pack ID
 export const isValidCreditPack = (packId) => {
     return creditPacks.hasOwnProperty(packId);
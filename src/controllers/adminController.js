@@ -2,6 +2,9 @@ import User from "../models/User.js";
 import Transaction from "../models/Transaction.js";
 import Subscription from "../models/Subscription.js";
 import Content from "../models/Content.js";
+import CreditHold from "../models/CreditHold.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { redeliverWebhook } from "../utils/webhookDispatcher.js";
 import mongoose from "mongoose";
 import stripe from "../config/stripeConfig.js";
 
@@ -783,3 +786,182 @@ export const deleteContent = async (req, res) => {
         });
     }
 };
+
+// @desc    Get credit holds (outstanding reservations by default)
+// @route   GET /api/admin/credit-holds
+// @access  Private/Admin
+export const getCreditHolds = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = "held", userId } = req.query;
+
+        const query = {};
+        if (status !== "all") query.status = status;
+        if (userId) {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid user ID.",
+                });
+            }
+            query.user = userId;
+        }
+
+        const holds = await CreditHold.find(query)
+            .populate("user", "name email")
+            .populate("content", "type status prompt progress createdAt")
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .lean();
+
+        const count = await CreditHold.countDocuments(query);
+
+        // Totals currently reserved across all users
+        const [outstanding] = await CreditHold.aggregate([
+            { $match: { status: "held" } },
+            {
+                $group: {
+                    _id: null,
+                    count: { $sum: 1 },
+                    credits: { $sum: "$amount" },
+                    freeGenerations: { $sum: { $cond: [{ $eq: ["$kind", "free_generation"] }, 1, 0] } },
+                },
+            },
+        ]);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                holds,
+                outstanding: {
+                    count: outstanding?.count || 0,
+                    credits: outstanding?.credits || 0,
+                    freeGenerations: outstanding?.freeGenerations || 0,
+                },
+                totalPages: Math.ceil(count / limit),
+                currentPage: parseInt(page),
+                total: count,
+            },
+        });
+    } catch (error) {
+        console.error("Get Credit Holds Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve credit holds.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get webhook delivery log
+// @route   GET /api/admin/webhooks/deliveries
+// @access  Private/Admin
+export const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status, event, contentId } = req.query;
+
+        const query = {};
+        if (status && status !== "all") query.status = status;
+        if (event) query.event = event;
+        if (contentId) {
+            if (!mongoose.Types.ObjectId.isValid(contentId)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Invalid content ID.",
+                });
+            }
+            query.content = contentId;
+        }
+
+        const deliveries = await WebhookDelivery.find(query)
+            .select("-payload -attemptLog")
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .lean();
+
+        const count = await WebhookDelivery.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                deliveries,
+                totalPages: Math.ceil(count / limit),
+                currentPage: parseInt(page),
+                total: count,
+            },
+        });
+    } catch (error) {
+        console.error("Get Webhook Deliveries Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve webhook deliveries.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get a webhook delivery with its payload and attempt log
+// @route   GET /api/admin/webhooks/deliveries/:id
+// @access  Private/Admin
+export const getWebhookDelivery = async (req, res) => {
+    try {
+        const delivery = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await WebhookDelivery.findById(req.params.id).lean()
+            : null;
+
+        if (!delivery) {
+            return res.status(404).json({
+                success: false,
+                message: "Webhook delivery not found.",
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            data: delivery,
+        });
+    } catch (error) {
+        console.error("Get Webhook Delivery Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve webhook delivery.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Send a webhook event again
+// @route   POST /api/admin/webhooks/deliveries/:id/redeliver
+// @access  Private/Admin
+export const redeliverWebhookDelivery = async (req, res) => {
+    try {
+        const original = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await WebhookDelivery.findById(req.params.id)
+            : null;
+
+        if (!original) {
+            return res.status(404).json({
+                success: false,
+                message: "Webhook delivery not found.",
+            });
+        }
+
+        const delivery = await redeliverWebhook(original);
+
+        res.status(200).json({
+            success: true,
+            message: delivery.status === "delivered"
+                ? "Webhook redelivered successfully."
+                : "Redelivery attempt failed; it will be retried automatically.",
+            data: delivery,
+        });
+    } catch (error) {
+        console.error("Redeliver Webhook Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to redeliver webhook.",
+            error: error.message,
+        });
+    }
+};
@@ -3,7 +3,20 @@ import Content from "../models/Content.js";
 import Transaction from "../models/Transaction.js";
 import Model from "../models/Model.js";
 import AIConfig from "../models/AIConfig.js";
-import CompetAPIProvider from "../utils/aiProviders/CompetAPIProvider.js";
+import GenerationJob from "../models/GenerationJob.js";
+import CreditHold from "../models/CreditHold.js";
+import InputAsset from "../models/InputAsset.js";
+import { createProvider, getProviderApiKey } from "../utils/aiProviders/providerRegistry.js";
+import { abortGeneration, ensureVideoWatermark } from "../utils/generationWorker.js";
+import { GENERATION_TYPES, validateGenerationParams } from "../utils/generationValidator.js";
+import { probeStoredVideoDuration, probeVideoDuration } from "../utils/videoProbe.js";
+import { moderate, recordModerationCase } from "../utils/moderation.js";
+import { applyImageWatermark, canRemoveWatermark, watermarkConfig } from "../utils/watermark.js";
+import { CACHE_POLICIES, createETag, isNotModified, sendRangedStream } from "../utils/httpStreaming.js";
+import { planReleasesWatermarks } from "../config/stripeConfig.js";
+import { getStorage, resolveStoredAsset } from "../utils/storageProviders/storageRegistry.js";
+import { generateStreamToken } from "../utils/tokenUtils.js";
+import mongoose from "mongoose";
 import path from "path";
 import fs from "fs";
 import { fileURLToPath } from 'url';
@@ -12,16 +25,356 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// @desc    Generate Content (Real AI Integration)
-// @route   POST /api/content/generate
-// @access  Private
-export const generateContent = async (req, res) => {
-    let remoteUrl = null;
-    let generationId = null;
-    let metadataFromProvider = {};
+// Model used when the request doesn't name one, and the cost when that model isn't configured
+const DEFAULT_MODEL_IDS = { video: "sora-2", image: "dall-e-3", audio: "tts-1" };
+const DEFAULT_GENERATION_COST = { video: 2, image: 1, audio: 1 };
+// Credits to remove the watermark from one item (free on plans that release watermarks)
+const WATERMARK_REMOVAL_COST = 1;
+
+/**
+ * Normalize a generation request into the parameters stored on Content
+ * Accepts the aliases the frontend sends (image, video, cfgScale) and drops fields that weren't set.
+ * Other fields are kept for validateGenerationParams, which only lets through the ones the model declares.
+ * operation and sourceImage are dropped: only the image actions (startImageAction) set them, after checking the source.
+ * @param {Object} body - Request body
+ * @returns {Object} Generation parameters
+ */
+const normalizeGenerationParams = (body = {}) => {
+    const { image, video, cfgScale, operation, sourceImage, ...fields } = body;
+    const params = {
+        ...fields,
+        type: body.type,
+        prompt: body.prompt,
+        style: body.style,
+        model: body.model,
+        aspectRatio: body.aspectRatio,
+        duration: body.duration,
+        imageUrl: body.imageUrl || body.image,
+        videoUrl: body.videoUrl || body.video,
+        cfg_scale: body.cfg_scale ?? body.cfgScale,
+        mode: body.mode,
+        mask: body.mask,
+        quality: body.quality,
+        size: body.size,
+        n: body.n,
+    };
+
+    return Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== "")
+    );
+};
+
+/**
+ * Generation parameters of an existing content
+ * Content created before parameters were stored only kept prompt, style, model, aspect ratio and duration.
+ * @param {Object} content - Content document
+ * @returns {Object} Generation parameters
+ */
+const getStoredGenerationParams = (content) => {
+    if (content.generationParams) {
+        return { ...content.generationParams };
+    }
+
+    const modelId = content.modelDetails?.modelId;
+    return normalizeGenerationParams({
+        type: content.type,
+        prompt: content.prompt,
+        style: content.style,
+        model: modelId && modelId !== "mock" ? modelId : undefined,
+        aspectRatio: content.metadata?.aspectRatio,
+        duration: content.type === "video" ? content.metadata?.duration : undefined,
+    });
+};
+
+/**
+ * Resolve the source of a video-to-video generation and its length
+ * @param {Object} params - Validated parameters with sourceContentId (a completed video of the user's) or videoUrl
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object>} { videoUrl, duration } or { field, error }
+ */
+const resolveSourceVideo = async (params, userId) => {
+    if (params.sourceContentId) {
+        const source = await Content.findOne({
+            _id: params.sourceContentId,
+            user: userId,
+            type: "video",
+            status: "completed",
+        }).lean();
+
+        if (!source) {
+            return { field: "sourceContentId", error: "Source video not found or not completed." };
+        }
+
+        const videoUrl = source.remoteUrl?.startsWith("http") ? source.remoteUrl : source.url;
+        if (source.metadata?.duration > 0) {
+            return { videoUrl, duration: source.metadata.duration };
+        }
+
+        // Read the user's own file from storage rather than fetching a URL
+        try {
+            const asset = await resolveStoredAsset(source);
+            if (!asset) {
+                return { field: "sourceContentId", error: "Source video file is missing." };
+            }
+            return { videoUrl, duration: await probeStoredVideoDuration(asset.storage, asset.key) };
+        } catch (error) {
+            return { field: "sourceContentId", error: error.message };
+        }
+    }
+
+    try {
+        return { videoUrl: params.videoUrl, duration: await probeVideoDuration(params.videoUrl) };
+    } catch (error) {
+        return { field: "videoUrl", error: error.message };
+    }
+};
+
+/**
+ * Check that the uploaded inputs of a generation exist, belong to the user and haven't expired
+ * @param {Object} params - Validated parameters with inputId and/or maskInputId
+ * @param {string} userId - Requesting user
+ * @returns {Promise<Object|null>} { field, error }, or null if the inputs are usable
+ */
+const checkInputAssets = async (params, userId) => {
+    const [input, mask] = await Promise.all([
+        params.inputId ? InputAsset.findUsable(params.inputId, userId, "image") : null,
+        params.maskInputId ? InputAsset.findUsable(params.maskInputId, userId, "mask") : null,
+    ]);
+
+    if (params.inputId && !input) {
+        return { field: "inputId", error: "Uploaded image not found or expired." };
+    }
+    if (params.maskInputId && !mask) {
+        return { field: "maskInputId", error: "Uploaded mask not found or expired." };
+    }
+    if (input && mask && (input.width !== mask.width || input.height !== mask.height)) {
+        return { field: "maskInputId", error: `Mask must be ${input.width}x${input.height}, the size of the source image.` };
+    }
+    return null;
+};
+
+/**
+ * Resolve the model, validated parameters and credit cost of a generation request
+ * Used by startGeneration and the estimate endpoint so the quoted price is the charged price.
+ * @param {Object} params - Normalized generation parameters
+ * @param {string} userId - Requesting user (owner of any source content)
+ * @returns {Promise<Object>} { selectedModel, params, cost }, or { rejection: { status, body } } for invalid requests
+ */
+const quoteGeneration = async (params, userId) => {
+    const { type, model: modelId } = params;
+
+    if (!GENERATION_TYPES.includes(type)) {
+        return {
+            rejection: {
+                status: 400,
+                body: {
+                    success: false,
+                    message: "Invalid generation parameters.",
+                    errors: [{ field: "type", message: `Type must be one of: ${GENERATION_TYPES.join(", ")}.` }],
+                },
+            },
+        };
+    }
+
+    let selectedModel = null;
+
+    if (modelId) {
+        selectedModel = await Model.findOne({ modelId, type, status: { $in: ["active", "beta"] } });
+
+        if (!selectedModel) {
+            return {
+                rejection: {
+                    status: 404,
+                    body: {
+                        success: false,
+                        message: `Model ${modelId} not found or not active.`,
+                    },
+                },
+            };
+        }
+    } else {
+        const defaultModelId = DEFAULT_MODEL_IDS[type];
+
+        selectedModel = await Model.findOne({
+            modelId: defaultModelId,
+            type,
+            status: { $in: ["active", "beta"] }
+        });
+
+        if (!selectedModel) {
+            console.warn(`Default model ${defaultModelId} not found in DB`);
+        }
+    }
+
+    // Validate against the model's schema; only the whitelisted, coerced values are stored and sent on
+    const validation = validateGenerationParams(params, selectedModel);
+    if (validation.errors.length > 0) {
+        return {
+            rejection: {
+                status: 400,
+                body: {
+                    success: false,
+                    message: "Invalid generation parameters.",
+                    errors: validation.errors,
+                },
+            },
+        };
+    }
+
+    if (validation.params.inputId || validation.params.maskInputId) {
+        const inputError = await checkInputAssets(validation.params, userId);
+        if (inputError) {
+            return {
+                rejection: {
+                    status: 400,
+                    body: {
+                        success: false,
+                        message: "Invalid generation parameters.",
+                        errors: [{ field: inputError.field, message: inputError.error }],
+                    },
+                },
+            };
+        }
+    }
+
+    // Video-to-video is priced per second of the source clip
+    if (validation.params.videoUrl || validation.params.sourceContentId) {
+        const source = await resolveSourceVideo(validation.params, userId);
+        const duration = source.duration && Math.round(source.duration * 10) / 10;
+        const maxDuration = selectedModel?.specifications?.maxDuration;
+        const error = source.error
+            || (maxDuration && duration > maxDuration ? `Source video is ${duration}s; ${selectedModel.modelId} accepts up to ${maxDuration}s.` : null);
+
+        if (error) {
+            return {
+                rejection: {
+                    status: 400,
+                    body: {
+                        success: false,
+                        message: "Invalid generation parameters.",
+                        errors: [{ field: source.field || "videoUrl", message: error }],
+                    },
+                },
+            };
+        }
+
+        validation.params.videoUrl = source.videoUrl;
+        validation.params.duration = duration;
+    }
+
+    const { duration, audioType, prompt, n = 1, operation, scale } = validation.params;
+    const cost = selectedModel
+        ? selectedModel.calculateCost({ duration, characters: audioType === "speech" ? prompt.length : undefined, n, operation, scale })
+        : DEFAULT_GENERATION_COST[type] * n;
+
+    return { selectedModel, params: validation.params, cost };
+};
+
+/**
+ * Queue an upscale or variations of a completed image as a child generation
+ * The source is the primary image, or body.variant for one output of a multi-image generation.
+ * Without body.model, the parent's model is used if it supports the action, else another active image model that does.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} operation - "upscale" or "variation"
+ * @param {Object} overrides - Action parameters (scale, n)
+ */
+const startImageAction = async (req, res, operation, overrides) => {
+    const contentId = req.params.id;
+    const content = mongoose.Types.ObjectId.isValid(contentId) ? await Content.findById(contentId) : null;
+
+    if (!content) {
+        return res.status(404).json({
+            success: false,
+            message: "Content not found"
+        });
+    }
+
+    // Verify ownership
+    if (content.user.toString() !== req.user.id) {
+        return res.status(403).json({
+            success: false,
+            message: "Not authorized to use this content"
+        });
+    }
+
+    if (content.type !== "image" || content.status !== "completed") {
+        return res.status(409).json({
+            success: false,
+            message: `Only completed images can be ${operation === "upscale" ? "upscaled" : "varied"}`,
+            status: content.status
+        });
+    }
+
+    let source = content;
+    if (req.body?.variant !== undefined) {
+        source = content.variants?.[Number(req.body.variant)];
+        if (!source) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid generation parameters.",
+                errors: [{ field: "variant", message: "This content has no such variant." }],
+            });
+        }
+    }
+
+    const context = Model.getGenerationContext({ type: "image", operation });
+    let modelId = req.body?.model;
+    if (!modelId) {
+        const candidates = await Model.find({
+            type: "image",
+            status: { $in: ["active", "beta"] },
+            supportedContexts: context
+        }).sort({ isPopular: -1, displayOrder: 1 });
+        const parentModel = candidates.find((model) => model.modelId === content.modelDetails?.modelId);
+        modelId = (parentModel || candidates[0])?.modelId;
+
+        if (!modelId) {
+            return res.status(400).json({
+                success: false,
+                message: `No active model supports ${context}.`,
+            });
+        }
+    }
+
+    const stored = getStoredGenerationParams(content);
+    const params = {
+        ...normalizeGenerationParams({
+            type: "image",
+            prompt: stored.prompt || content.prompt,
+            style: stored.style,
+            aspectRatio: stored.aspectRatio,
+            model: modelId,
+            imageUrl: source.url,
+            ...overrides,
+        }),
+        operation,
+        // The worker reads the source from this content's stored file, never from a URL
+        sourceImage: {
+            content: String(content._id),
+            ...(source !== content && { variant: Number(req.body.variant) }),
+        },
+    };
+
+    return startGeneration(req, res, params, {
+        parentContent: content._id,
+        derivation: operation
+    });
+};
+
+/**
+ * Charge for and queue a generation, then send the response
+ * Shared by generate, retry, remix and the image actions so all of them are priced and reserved the same way.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - Normalized generation parameters
+ * @param {Object} lineage - { parentContent, derivation } for retried / remixed / upscaled / varied content
+ */
+const startGeneration = async (req, res, params, lineage = {}) => {
+    let content = null;
+    let contentId = null;
 
     try {
-        let { type, prompt, style, model: modelId, aspectRatio = "16:9", duration = 5 } = req.body;
         const userId = req.user.id;
         const user = await User.findById(userId);
 
@@ -32,58 +385,41 @@ export const generateContent = async (req, res) => {
             });
         }
 
-        // --- 1. Get Model Configuration ---
-        let selectedModel = null;
-        let cost = 0;
-        let resultUrl = "";
-        let thumbnailUrl = "";
-
-        if (modelId) {
-            selectedModel = await Model.findOne({ modelId, type, status: { $in: ["active", "beta"] } });
+        // --- 1. Get Model Configuration and Price ---
+        const quote = await quoteGeneration(params, userId);
+        if (quote.rejection) {
+            return res.status(quote.rejection.status).json(quote.rejection.body);
+        }
 
-            if (!selectedModel) {
-                return res.status(404).json({
-                    success: false,
-                    message: `Model ${modelId} not found or not active.`,
-                });
-            }
+        const { selectedModel, cost } = quote;
+        params = quote.params;
+        const { type, prompt, style, aspectRatio, duration } = params;
 
-            if (type === "video") {
-                cost = Math.ceil(selectedModel.pricing.costPerSecond * duration);
-            } else {
-                cost = selectedModel.pricing.costPerImage;
-            }
-        } else {
-            const defaultModelId = type === "image" ? "dall-e-3" : "sora-2";
+        // Moderate the prompt before anything is reserved; blocked prompts are never charged
+        const config = await AIConfig.findOne({ configKey: "global" });
+        const moderation = await moderate({ text: prompt }, config);
 
-            selectedModel = await Model.findOne({
-                modelId: defaultModelId,
-                type,
-                status: { $in: ["active", "beta"] }
+        if (moderation.action === "block") {
+            await recordModerationCase(moderation, { user: userId, stage: "prompt", prompt })
+                .catch((caseError) => console.error("Failed to record moderation case:", caseError));
+            return res.status(422).json({
+                success: false,
+                code: "CONTENT_BLOCKED",
+                message: "This prompt violates the content policy and was not generated. No credits were charged.",
+                categories: moderation.categories,
             });
-
-            if (selectedModel) {
-                modelId = selectedModel.modelId;
-                if (type === "video") {
-                    cost = Math.ceil(selectedModel.pricing.costPerSecond * duration);
-                } else {
-                    cost = selectedModel.pricing.costPerImage;
-                }
-            } else {
-                console.warn(`Default model ${defaultModelId} not found in DB`);
-                cost = type === "video" ? 2 : 1;
-            }
         }
 
         let isPublic = false;
         let isWatermarked = false;
 
         // --- 2. Check Free Tier FIRST, then Paid Credits ---
+        // (a free generation covers a single output; multi-image requests are paid)
         let usedFreeGen = false;
 
-        if (user.freeGenerationsLeft > 0) {
+        if (user.freeGenerationsLeft > 0 && !(params.n > 1)) {
             usedFreeGen = true;
-            isWatermarked = true;
+            isWatermarked = !planReleasesWatermarks(user.subscriptionPlan);
         } else {
             if (user.credits < cost) {
                 return res.status(403).json({
@@ -97,19 +433,36 @@ export const generateContent = async (req, res) => {
             }
         }
 
-        // --- 3. Deduct Credits / Free Count ---
-        if (usedFreeGen) {
-            await user.useFreeGeneration(`Generated ${type}`);
-        } else {
-            await user.useCredits(cost, `Generated ${type}: ${prompt.substring(0, 20)}...`);
+        // --- 3. Reserve Credits / Free Count (captured on completion, released on failure) ---
+        // The concurrency slot taken by generationRateLimit is held under this id
+        contentId = req.generationSlotId || new mongoose.Types.ObjectId();
+        let balances;
+        try {
+            ({ user: balances } = await CreditHold.place({
+                user: userId,
+                content: contentId,
+                amount: cost,
+                useFreeGeneration: usedFreeGen,
+                description: usedFreeGen ? `Generated ${type}` : `Generated ${type}: ${prompt.substring(0, 20)}...`,
+            }));
+        } catch (holdError) {
+            if (holdError.code !== "INSUFFICIENT_CREDITS") throw holdError;
+            return res.status(403).json({
+                success: false,
+                message: `Insufficient credits. You need ${cost} credit${cost > 1 ? 's' : ''} to generate this ${type}.`,
+                requiresCredits: true,
+                cost: cost,
+                currentBalance: user.credits,
+                freeGenerationsLeft: user.freeGenerationsLeft
+            });
         }
 
         // --- 4. Real AI Content Generation (Asynchronous) ---
-        const config = await AIConfig.findOne({ configKey: "global" });
         const useMockMode = !config || config.features.enableMockMode;
 
         // Create initial content record
-        const content = await Content.create({
+        content = await Content.create({
+            _id: contentId,
             user: userId,
             type: type || "video",
             prompt: prompt,
@@ -118,6 +471,7 @@ export const generateContent = async (req, res) => {
             progress: 0,
             isPublic: isPublic,
             isWatermarked: isWatermarked,
+            moderationStatus: moderation.action === "flag" ? "pending_review" : "clear",
             usageCost: usedFreeGen ? 0 : cost,
             modelDetails: selectedModel ? {
                 provider: selectedModel.provider,
@@ -127,27 +481,38 @@ export const generateContent = async (req, res) => {
                 modelId: "mock",
             },
             metadata: {
-                duration: type === 'video' ? duration : 0,
+                duration: duration ?? 0,
                 aspectRatio: aspectRatio
-            }
+            },
+            generationParams: params,
+            parentContent: lineage.parentContent,
+            derivation: lineage.derivation
         });
 
+        // Flagged prompts still generate, but wait in the review queue before they can be published
+        if (moderation.action === "flag") {
+            await recordModerationCase(moderation, { user: userId, content: content._id, stage: "prompt", prompt })
+                .catch((caseError) => console.error("Failed to record moderation case:", caseError));
+        }
+
         // Response URL base
         const host = req.get('host');
         const protocol = (host.includes('vercel.app') || req.headers['x-forwarded-proto'] === 'https') ? 'https' : req.protocol;
         const baseUrl = process.env.BACKEND_URL || `${protocol}://${host}`;
 
-        // Initiate background generation
-        processGenerationInBackground({
-            contentId: content._id,
-            userId,
-            body: req.body,
-            useMockMode,
-            selectedModel,
-            cost,
-            usedFreeGen,
-            baseUrl,
-            config
+        // Queue the generation for the worker (see src/worker.js)
+        await GenerationJob.enqueue({
+            content: content._id,
+            user: userId,
+            maxAttempts: config?.features?.enableRetryOnFailure === false ? 1 : 1 + (config?.features?.maxRetries ?? 3),
+            payload: {
+                body: params,
+                modelId: selectedModel?._id,
+                useMockMode,
+                cost,
+                usedFreeGen,
+                baseUrl,
+            },
         });
 
         return res.status(200).json({
@@ -155,38 +520,25 @@ export const generateContent = async (req, res) => {
             data: content,
             message: "Generation started. You can track progress in the dashboard.",
             isFreeGeneration: usedFreeGen,
-            creditsRemaining: user.credits,
-            freeGenerationsLeft: user.freeGenerationsLeft
+            creditsRemaining: balances.credits,
+            freeGenerationsLeft: balances.freeGenerationsLeft
         });
 
     } catch (error) {
         console.error("Generate Content Error:", error);
 
-        // Refund logic (if record wasn't created yet or other error before background task)
-        try {
-            const user = await User.findById(req.user.id);
-            if (user) {
-                const { type, model: modelId, duration = 5 } = req.body;
-                let cost = 0;
-                if (modelId) {
-                    const selectedModel = await Model.findOne({ modelId });
-                    if (selectedModel) {
-                        cost = type === "video"
-                            ? Math.ceil(selectedModel.pricing.costPerSecond * duration)
-                            : selectedModel.pricing.costPerImage;
-                    }
-                } else {
-                    cost = type === "video" ? 2 : 1;
-                }
+        // The record was created but never queued - don't leave it pending forever
+        if (content) {
+            await Content.findByIdAndUpdate(content._id, {
+                status: "failed",
+                error: error.message
+            }).catch((updateError) => console.error("Failed to mark content as failed:", updateError));
+        }
 
-                if (req.body.type && user.freeGenerationsLeft < 3) {
-                    await user.restoreFreeGeneration(`${req.body.type || 'content'} generation failed`);
-                } else if (user.credits >= 0) {
-                    await user.addCredits(cost, "refund", `${type} generation failed - refunded ${cost} credit${cost > 1 ? 's' : ''}`);
-                }
-            }
-        } catch (restoreError) {
-            console.error("Failed to restore credits/free generation:", restoreError);
+        // Release the reservation (no-op if none was placed)
+        if (contentId) {
+            await CreditHold.release(contentId, `${params.type || 'content'} generation failed`)
+                .catch((restoreError) => console.error("Failed to restore credits/free generation:", restoreError));
         }
 
         res.status(500).json({
@@ -197,138 +549,183 @@ export const generateContent = async (req, res) => {
     }
 };
 
-/**
- * Background worker for content generation
- */
-const processGenerationInBackground = async ({
-    contentId,
-    userId,
-    body,
-    useMockMode,
-    selectedModel,
-    cost,
-    usedFreeGen,
-    baseUrl,
-    config
-}) => {
-    let remoteUrl = null;
-    let generationId = null;
-    let metadataFromProvider = {};
-    let generationStartTime = Date.now();
-
-    const { type, prompt, style, model: modelId, aspectRatio = "16:9", duration = 5 } = body;
+// @desc    Generate Content (Real AI Integration)
+// @route   POST /api/content/generate
+// @access  Private
+export const generateContent = async (req, res) => {
+    return startGeneration(req, res, normalizeGenerationParams(req.body));
+};
 
+// @desc    Estimate the price of a generation without starting it
+// @route   POST /api/content/estimate
+// @access  Private
+export const estimateContent = async (req, res) => {
     try {
-        // Update status to processing
-        await Content.findByIdAndUpdate(contentId, { status: "processing", progress: 5 });
+        const user = await User.findById(req.user.id);
 
-        // Real generation logic
-        if (!selectedModel) {
-            throw new Error(`Model not found for ${type} generation.`);
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: "User not found.",
+            });
         }
 
-        const apiKey = config ? config.getApiKey("competapi") : null;
-        if (!apiKey) throw new Error("CompetAPI key not configured.");
+        const quote = await quoteGeneration(normalizeGenerationParams(req.body), req.user.id);
+        if (quote.rejection) {
+            return res.status(quote.rejection.status).json(quote.rejection.body);
+        }
 
-        const provider = new CompetAPIProvider(apiKey, {
-            timeout: config.timeouts?.requestTimeout || 600000,
-            maxRetries: config.features?.maxRetries || 2,
-        });
+        const { selectedModel, params, cost } = quote;
+        // Same rule as startGeneration: free generations are used first and are watermarked (except on paid plans)
+        const usesFreeGeneration = user.freeGenerationsLeft > 0 && !(params.n > 1);
 
-        const generationResult = await provider.generate({
-            model: modelId,
-            prompt,
-            type,
-            aspectRatio,
-            duration: type === "video" ? duration : undefined,
-            style,
-            imageUrl: body.imageUrl || body.image,
-            cfg_scale: body.cfg_scale || body.cfgScale,
-            mode: body.mode,
-            mask: body.mask,
-            quality: body.quality,
-            size: body.size,
-            n: body.n,
-            // Progress callback
-            onProgress: async (pData) => {
-                await Content.findByIdAndUpdate(contentId, {
-                    progress: Math.max(5, pData.progress),
-                    'metadata.status': pData.status
-                });
-            }
+        res.status(200).json({
+            success: true,
+            data: {
+                cost,
+                usesFreeGeneration,
+                isWatermarked: usesFreeGeneration && !planReleasesWatermarks(user.subscriptionPlan),
+                canAfford: usesFreeGeneration || user.credits >= cost,
+                currentBalance: user.credits,
+                freeGenerationsLeft: user.freeGenerationsLeft,
+                estimatedTime: selectedModel?.specifications?.estimatedGenerationTime ?? null,
+                model: selectedModel ? {
+                    modelId: selectedModel.modelId,
+                    name: selectedModel.name,
+                    provider: selectedModel.provider,
+                } : null,
+                params,
+            },
         });
+    } catch (error) {
+        console.error("Estimate Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to estimate generation cost.",
+            error: error.message,
+        });
+    }
+};
 
-        generationId = generationResult.generationId || generationResult.id || generationResult.task_id || `gen-${Date.now()}`;
-        // remoteUrl should specifically be the upstream external URL
-        remoteUrl = generationResult.remoteUrl?.startsWith('http') ? generationResult.remoteUrl :
-            (generationResult.url?.startsWith('http') && !generationResult.url.includes('/api/content/stream')) ? generationResult.url : null;
-        metadataFromProvider = generationResult;
-
+// @desc    Retry a failed generation with its original parameters
+// @route   POST /api/content/:id/retry
+// @access  Private
+export const retryContent = async (req, res) => {
+    try {
+        const contentId = req.params.id;
+        const content = mongoose.Types.ObjectId.isValid(contentId) ? await Content.findById(contentId) : null;
 
-        // Final result URL
-        let resultUrl = "";
-        let thumbnailUrl = "";
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
 
-        if (type === "video") {
-            resultUrl = `${baseUrl}/api/content/stream/video/${generationId}`;
-            // thumbnailUrl for video should always point to the stream/image endpoint or a real remote thumbnail
-            thumbnailUrl = (metadataFromProvider.thumbnailUrl && metadataFromProvider.thumbnailUrl.startsWith('http'))
-                ? metadataFromProvider.thumbnailUrl
-                : `${baseUrl}/api/content/stream/image/${generationId}`;
-        } else {
-            resultUrl = `${baseUrl}/api/content/stream/image/${generationId}`;
-            thumbnailUrl = resultUrl;
+        // Verify ownership
+        if (content.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: "Not authorized to retry this content"
+            });
         }
 
-        const generationTime = Math.floor((Date.now() - generationStartTime) / 1000);
-        if (selectedModel) {
-            await selectedModel.incrementGenerationStats(true, generationTime);
+        if (content.status !== "failed") {
+            return res.status(409).json({
+                success: false,
+                message: "Only failed generations can be retried",
+                status: content.status
+            });
         }
 
-        // Final DB Update
-        await Content.findByIdAndUpdate(contentId, {
-            status: "completed",
-            progress: 100,
-            url: resultUrl,
-            remoteUrl: remoteUrl,
-            thumbnailUrl: thumbnailUrl,
-            generationId: generationId,
-            metadata: {
-                ...metadataFromProvider.metadata,
-                ...metadataFromProvider.data,
-                duration: type === 'video' ? duration : 0,
-                aspectRatio: aspectRatio,
-                localFilePath: metadataFromProvider.localPath,
-                generationTime
-            }
+        return startGeneration(req, res, getStoredGenerationParams(content), {
+            parentContent: content._id,
+            derivation: "retry"
         });
-
     } catch (error) {
-        console.error(`[Background Gen] Error for ${contentId}:`, error);
-
-        // Update record as failed
-        await Content.findByIdAndUpdate(contentId, {
-            status: "failed",
+        console.error("Retry Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retry generation",
             error: error.message
         });
+    }
+};
 
-        // Refund Credits
-        try {
-            const user = await User.findById(userId);
-            if (user) {
-                if (usedFreeGen) {
-                    await user.restoreFreeGeneration(`${type} generation failed`);
-                } else {
-                    await user.addCredits(cost, "refund", `${type} generation failed - refunded ${cost} credits`);
-                }
-            }
-        } catch (refundError) {
-            console.error(`[Background Gen] Refund Failed for ${contentId}:`, refundError);
+// @desc    Generate again from an existing content's settings, with overrides
+// @route   POST /api/content/:id/remix
+// @access  Private
+export const remixContent = async (req, res) => {
+    try {
+        const contentId = req.params.id;
+        const content = mongoose.Types.ObjectId.isValid(contentId) ? await Content.findById(contentId) : null;
+
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
         }
 
-        if (selectedModel) {
-            await selectedModel.incrementGenerationStats(false, 0);
+        // Verify ownership
+        if (content.user.toString() !== req.user.id) {
+            return res.status(403).json({
+                success: false,
+                message: "Not authorized to remix this content"
+            });
         }
+
+        const stored = getStoredGenerationParams(content);
+        const overrides = normalizeGenerationParams(req.body);
+
+        // A model only serves one type, so switching type without picking a model falls back to the default
+        if (overrides.type && overrides.type !== stored.type && !overrides.model) {
+            delete stored.model;
+        }
+
+        return startGeneration(req, res, { ...stored, ...overrides }, {
+            parentContent: content._id,
+            derivation: "remix"
+        });
+    } catch (error) {
+        console.error("Remix Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to remix generation",
+            error: error.message
+        });
+    }
+};
+
+// @desc    Upscale a completed image 2x or 4x
+// @route   POST /api/content/:id/upscale
+// @access  Private
+export const upscaleContent = async (req, res) => {
+    try {
+        return await startImageAction(req, res, "upscale", { scale: req.body?.scale });
+    } catch (error) {
+        console.error("Upscale Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upscale image",
+            error: error.message
+        });
+    }
+};
+
+// @desc    Make variations of a completed image
+// @route   POST /api/content/:id/variations
+// @access  Private
+export const createVariations = async (req, res) => {
+    try {
+        return await startImageAction(req, res, "variation", { n: req.body?.n });
+    } catch (error) {
+        console.error("Create Variations Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create variations",
+            error: error.message
+        });
     }
 };
 
@@ -417,11 +814,11 @@ export const getContentHistory = async (req, res) => {
         const userId = req.user.id;
         const { page = 1, limit = 10 } = req.query;
 
-        const content = await Content.find({ user: userId })
+        const content = (await Content.find({ user: userId })
             .sort({ createdAt: -1 })
             .limit(limit * 1)
             .skip((page - 1) * limit)
-            .lean();
+            .lean()).map(Content.hideCleanOriginals);
 
         const count = await Content.countDocuments({ user: userId });
 
@@ -476,12 +873,217 @@ export const getCommunityContent = async (req, res) => {
     }
 };
 
-// @desc    Stream Content
-// @route   GET /api/content/stream/image/:id
-// @access  Public
-export const streamImage = async (req, res) => {
+// @desc    Publish Content to the community feed
+// @route   POST /api/content/:id/publish
+// @access  Private
+export const publishContent = async (req, res) => {
     try {
-        // Param extraction must match route definition: /stream/image/:imageId
+        const content = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Content.findOne({ _id: req.params.id, user: req.user.id })
+            : null;
+
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
+
+        if (content.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                message: "Only completed content can be published"
+            });
+        }
+
+        if (content.isPublic) {
+            return res.json({
+                success: true,
+                message: "Content is already published",
+                data: { id: content._id, isPublic: true, moderationStatus: content.moderationStatus }
+            });
+        }
+
+        if (content.moderationStatus === "rejected") {
+            return res.status(422).json({
+                success: false,
+                code: "CONTENT_BLOCKED",
+                message: "This content was rejected by moderation and can't be published."
+            });
+        }
+
+        if (content.moderationStatus === "pending_review") {
+            return res.status(202).json({
+                success: true,
+                message: "This content is awaiting moderation review and will be published if approved.",
+                data: { id: content._id, isPublic: false, moderationStatus: content.moderationStatus }
+            });
+        }
+
+        // Admin-approved outputs skip the checks; everything else is moderated on its prompt and output
+        if (content.moderationStatus !== "approved") {
+            const config = await AIConfig.findOne({ configKey: "global" });
+            const outputUrl = content.type === "image" ? content.remoteUrl || content.url : undefined;
+            const moderation = await moderate({ text: content.prompt, imageUrl: outputUrl }, config);
+
+            if (moderation.action !== "allow") {
+                await recordModerationCase(moderation, {
+                    user: content.user,
+                    content: content._id,
+                    stage: "output",
+                    prompt: content.prompt,
+                    outputUrl: content.remoteUrl || content.url
+                });
+            }
+
+            if (moderation.action === "block") {
+                content.moderationStatus = "rejected";
+                await content.save();
+                return res.status(422).json({
+                    success: false,
+                    code: "CONTENT_BLOCKED",
+                    message: "This content violates the content policy and can't be published.",
+                    categories: moderation.categories
+                });
+            }
+
+            if (moderation.action === "flag") {
+                content.moderationStatus = "pending_review";
+                await content.save();
+                return res.status(202).json({
+                    success: true,
+                    message: "This content was sent for moderation review and will be published if approved.",
+                    data: { id: content._id, isPublic: false, moderationStatus: content.moderationStatus }
+                });
+            }
+        }
+
+        content.isPublic = true;
+        await content.save();
+
+        res.json({
+            success: true,
+            message: "Content published",
+            data: { id: content._id, isPublic: true, moderationStatus: content.moderationStatus }
+        });
+    } catch (error) {
+        console.error("Publish Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to publish content",
+            error: error.message
+        });
+    }
+};
+
+// @desc    Remove Content from the community feed
+// @route   POST /api/content/:id/unpublish
+// @access  Private
+export const unpublishContent = async (req, res) => {
+    try {
+        const content = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Content.findOneAndUpdate(
+                { _id: req.params.id, user: req.user.id },
+                { isPublic: false },
+                { new: true }
+            )
+            : null;
+
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Content unpublished",
+            data: { id: content._id, isPublic: false, moderationStatus: content.moderationStatus }
+        });
+    } catch (error) {
+        console.error("Unpublish Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to unpublish content",
+            error: error.message
+        });
+    }
+};
+
+/**
+ * Send an image with the free-tier watermark rendered on it
+ * Cached only with revalidation: the same URL serves the clean image once the watermark is released.
+ * The ETag comes from the clean bytes and the watermark settings, so a fresh cached copy skips the render.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Buffer} buffer - Clean original
+ * @param {Object} options - { download, filename } (filename without extension)
+ */
+const sendWatermarkedImage = async (req, res, buffer, { download, filename }) => {
+    const etag = createETag("watermark", buffer, JSON.stringify(watermarkConfig));
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Length, ETag");
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", CACHE_POLICIES.revalidate);
+
+    if (isNotModified(req, { etag })) {
+        return res.status(304).end();
+    }
+
+    const { buffer: watermarked, format } = await applyImageWatermark(buffer);
+
+    res.setHeader("Content-Type", `image/${format}`);
+    res.setHeader("Content-Length", watermarked.length);
+    if (download) {
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format === 'jpeg' ? 'jpg' : format}"`);
+    }
+    res.end(watermarked);
+};
+
+/**
+ * Send a stored file: redirect to the backend's signed URL when it has one, otherwise stream it from storage
+ * Byte ranges, validators and conditional requests are handled by sendRangedStream().
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} asset - { storage, key } from resolveStoredAsset()
+ * @param {Object} options - { download, filename } (filename without extension),
+ *                           { cacheControl } one of CACHE_POLICIES (immutable by default)
+ * @returns {Promise<boolean>} false if the file is missing from storage (nothing was sent)
+ */
+const sendStoredAsset = async (req, res, { storage, key }, { download = false, filename, cacheControl = CACHE_POLICIES.immutable } = {}) => {
+    const extension = path.extname(key);
+    const downloadName = `${filename || path.basename(key, extension)}${extension}`;
+
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+    const signedUrl = await storage.getSignedUrl(key, { download, filename: downloadName });
+    if (signedUrl) {
+        res.redirect(signedUrl);
+        return true;
+    }
+
+    const info = await storage.head(key);
+    if (!info) return false;
+
+    return sendRangedStream(req, res, {
+        ...info,
+        etag: createETag(storage.name, key, info.size, info.lastModified?.getTime()),
+        cacheControl,
+        disposition: download ? `attachment; filename="${downloadName}"` : undefined,
+        openStream: (range) => storage.getStream(key, range),
+    });
+};
+
+// @desc    Stream Content
+// @route   GET /api/content/stream/image/:id
+// @access  Public
+export const streamImage = async (req, res) => {
+    try {
+        // Param extraction must match route definition: /stream/image/:imageId
         const id = req.params.imageId || req.params.id;
 
         if (!id) {
@@ -526,116 +1128,33 @@ export const streamImage = async (req, res) => {
             });
         }
 
-        // Check if we have a local file path
-        let localPath = content.metadata?.localFilePath;
-
-        if (!localPath) {
-            const generatedPath = path.join(__dirname, '..', '..', 'public', 'generated');
-            const possibleFilenames = [
-                `${id}.png`,
-                `${content.generationId}.png`,
-                `${id}.jpg`,
-                `${content.generationId}.jpg`,
-                `${id}.jpeg`,
-                `${content.generationId}.jpeg`,
-                `${id}.webp`,
-                `${content.generationId}.webp`,
-                `${id.replace(/[^a-zA-Z0-9-]/g, '')}.png`
-            ];
-
-            for (const filename of possibleFilenames) {
-                const testPath = path.join(generatedPath, filename);
-                if (fs.existsSync(testPath)) {
-                    localPath = testPath;
-                    break;
-                }
-            }
-
-            if (!localPath) {
-                const publicPath = path.join(process.cwd(), 'public', 'generated', `${id}.png`);
-                if (fs.existsSync(publicPath)) {
-                    localPath = publicPath;
-                } else {
-                    const tmpPath = path.join("/", "tmp", "generated", `${id}.png`);
-                    if (fs.existsSync(tmpPath)) {
-                        localPath = tmpPath;
-                    }
-                }
-            }
+        // Free-tier images (and video thumbnails) get the watermark rendered on the way out; the stored file stays clean
+        const watermark = content.isWatermarked;
+        const download = req.query.download === 'true';
 
-            // Self-heal: update DB with local path
-            if (localPath && !content.metadata?.localFilePath) {
-                try {
-                    await Content.updateOne(
-                        { _id: content._id },
-                        { $set: { 'metadata.localFilePath': localPath } }
-                    );
-                } catch (dbError) {
-                    console.error("Failed to update content record:", dbError);
+        const asset = await resolveStoredAsset(content, { assetType: 'image' });
+        if (asset) {
+            if (watermark) {
+                const buffer = await asset.storage.getBuffer(asset.key);
+                if (buffer) {
+                    return sendWatermarkedImage(req, res, buffer, { download, filename: `pixora-image-${id}` });
                 }
-            }
-        }
-
-        if (localPath && fs.existsSync(localPath)) {
-
-            // Check if this is a download request
-            if (req.query.download === 'true') {
-                res.setHeader('Access-Control-Allow-Origin', '*');
-                res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-                res.setHeader('Content-Disposition', `attachment; filename="pixora-image-${id}.png"`);
-                res.setHeader('Content-Type', 'image/png');
-                const readStream = fs.createReadStream(localPath);
-                readStream.pipe(res);
+            } else if (await sendStoredAsset(req, res, asset, { download, filename: `pixora-image-${id}` })) {
                 return;
             }
-
-            // Get file stats
-            const stats = fs.statSync(localPath);
-            const ext = path.extname(localPath).toLowerCase();
-            const contentType = ext === '.png' ? 'image/png' :
-                ext === '.webp' ? 'image/webp' :
-                    ext === '.jpg' || ext === '.jpeg' ? 'image/jpeg' :
-                        'image/png';
-
-            // SET CORS HEADERS FIRST
-            res.setHeader("Access-Control-Allow-Origin", "*");
-            res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
-            res.setHeader("Access-Control-Expose-Headers", "Content-Length, Content-Range");
-            res.setHeader("Content-Type", contentType);
-            res.setHeader("Content-Length", stats.size);
-            res.setHeader("Cache-Control", "public, max-age=31536000");
-
-            // Create read stream
-            const readStream = fs.createReadStream(localPath);
-
-            readStream.on('error', (error) => {
-                console.error('Stream error:', error);
-                if (!res.headersSent) {
-                    res.setHeader("Access-Control-Allow-Origin", "*");
-                    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
-                    res.status(500).json({
-                        success: false,
-                        message: "Error streaming image"
-                    });
-                }
-            });
-
-            readStream.pipe(res);
-            return;
         }
 
-
         // Fallback to remote URL if available or try to recover from provider
         if (content.remoteUrl || content.generationId) {
 
             // OPTIMIZATION: Redirect to Cloudinary if available (CDN offload)
-            if (content.remoteUrl && content.remoteUrl.includes('cloudinary.com')) {
+            if (!watermark && content.remoteUrl && content.remoteUrl.includes('cloudinary.com')) {
                 res.setHeader("Access-Control-Allow-Origin", "*");
                 res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
                 return res.redirect(content.remoteUrl);
             }
 
-            console.log(`[Stream] Local file missing for ${id}, attempting remote fetch`);
+            console.log(`[Stream] Stored file missing for ${id}, attempting remote fetch`);
 
             try {
                 const config = await AIConfig.findOne({ configKey: "global" });
@@ -684,13 +1203,20 @@ export const streamImage = async (req, res) => {
                     throw new Error("All remote fetch attempts failed");
                 }
 
+                if (watermark) {
+                    return sendWatermarkedImage(req, res, Buffer.from(await response.arrayBuffer()), {
+                        download,
+                        filename: `pixora-image-${id}`
+                    });
+                }
+
                 // SET CORS HEADERS
                 res.setHeader("Access-Control-Allow-Origin", "*");
                 res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
                 res.setHeader("Content-Type", response.headers.get("content-type") || "image/png");
-                res.setHeader("Cache-Control", "public, max-age=31536000");
+                res.setHeader("Cache-Control", CACHE_POLICIES.immutable);
 
-                if (req.query.download === 'true') {
+                if (download) {
                     res.setHeader('Content-Disposition', `attachment; filename="pixora-image-${id}.png"`);
                 }
 
@@ -704,7 +1230,7 @@ export const streamImage = async (req, res) => {
             }
         }
 
-        // If no local file and no remote URL
+        // If no stored file and no remote URL
         res.setHeader("Access-Control-Allow-Origin", "*");
         res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
 
@@ -769,85 +1295,37 @@ export const streamVideo = async (req, res) => {
             return res.status(404).send("Video not found");
         }
 
-        // 2. Resolve Local Path
-        let localPath = content.metadata?.localFilePath;
-
-        if (!localPath) {
-            const pathsToSearch = [
-                path.join(__dirname, '..', '..', 'public', 'generated'),
-                path.join(process.cwd(), 'public', 'generated'),
-                path.join("/", "tmp", "generated")
-            ];
-
-            const possibleFilenames = [
-                `${id}.mp4`,
-                `${content.generationId}.mp4`,
-                `${id}.mov`,
-                `${content.generationId}.mov`
-            ];
-
-            outerLoop: for (const searchDir of pathsToSearch) {
-                for (const filename of possibleFilenames) {
-                    const testPath = path.join(searchDir, filename);
-                    if (fs.existsSync(testPath)) {
-                        localPath = testPath;
-                        break outerLoop;
-                    }
-                }
+        // 2. Free-tier videos are only ever served from their watermarked copy (made by the worker).
+        // If that render failed, it's retried in the background and the clean original is never sent instead
+        const watermarkedStorageKey = content.isWatermarked && content.metadata?.watermarkedStorageKey;
+        if (content.isWatermarked && !watermarkedStorageKey) {
+            if (content.status === "completed") {
+                ensureVideoWatermark(content)
+                    .catch((error) => console.error(`[Stream] Failed to watermark video ${id}:`, error.message));
             }
 
-            // Self-heal: update DB with local path if found
-            if (localPath && !content.metadata?.localFilePath) {
-                await Content.updateOne(
-                    { _id: content._id },
-                    { $set: { 'metadata.localFilePath': localPath } }
-                ).catch(err => console.error("Self-heal failed:", err));
-            }
+            res.setHeader("Access-Control-Allow-Origin", "*");
+            res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+            res.setHeader("Retry-After", "30");
+            return res.status(503).send("Video is being prepared, please try again shortly");
         }
 
+        const asset = watermarkedStorageKey
+            ? { storage: getStorage(content.storageBackend || "local"), key: watermarkedStorageKey }
+            : await resolveStoredAsset(content);
 
         // 3. Handle Streaming or Redirect
-        if (localPath && fs.existsSync(localPath)) {
-            // Handle Download
-            if (req.query.download === 'true') {
-                res.setHeader('Access-Control-Allow-Origin', '*');
-                res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
-                res.setHeader('Content-Disposition', `attachment; filename="pixora-video-${id}.mp4"`);
-                res.setHeader('Content-Type', 'video/mp4');
-                return fs.createReadStream(localPath).pipe(res);
-            }
-
-            const stats = fs.statSync(localPath);
-            const fileSize = stats.size;
-            const range = req.headers.range;
-
-            if (range) {
-                const parts = range.replace(/bytes=/, "").split("-");
-                const start = parseInt(parts[0], 10);
-                const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-                const chunkSize = (end - start) + 1;
-
-                res.writeHead(206, {
-                    'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-                    'Accept-Ranges': 'bytes',
-                    'Content-Length': chunkSize,
-                    'Content-Type': 'video/mp4',
-                    'Access-Control-Allow-Origin': '*',
-                    'Cross-Origin-Resource-Policy': 'cross-origin',
-                    'Access-Control-Expose-Headers': 'Content-Range, Content-Length',
-                });
+        const sent = asset && await sendStoredAsset(req, res, asset, {
+            download: req.query.download === 'true',
+            filename: `pixora-video-${id}`,
+            // The same URL serves the clean video once the watermark is released
+            cacheControl: content.isWatermarked ? CACHE_POLICIES.revalidate : CACHE_POLICIES.immutable,
+        });
 
-                return fs.createReadStream(localPath, { start, end }).pipe(res);
-            } else {
-                res.writeHead(200, {
-                    'Content-Length': fileSize,
-                    'Content-Type': 'video/mp4',
-                    'Access-Control-Allow-Origin': '*',
-                    'Cross-Origin-Resource-Policy': 'cross-origin',
-                });
-                return fs.createReadStream(localPath).pipe(res);
-            }
-        } else if (content.remoteUrl || content.generationId) {
+        if (sent) {
+            return;
+        } else if (!content.isWatermarked && (content.remoteUrl || content.generationId)) {
+            // Remote copies are the clean original, so they're never used for watermarked content
             // OPTIMIZATION: Redirect to Cloudinary if available (CDN offload)
             if (content.remoteUrl && content.remoteUrl.includes('cloudinary.com')) {
                 res.setHeader("Access-Control-Allow-Origin", "*");
@@ -856,7 +1334,7 @@ export const streamVideo = async (req, res) => {
             }
 
             // FALLBACK: Proxy remote URL (with Range support and Self-Healing)
-            console.log(`[Stream] Local file missing for ${id}, attempting remote fetch`);
+            console.log(`[Stream] Stored file missing for ${id}, attempting remote fetch`);
 
             try {
                 const config = await AIConfig.findOne({ configKey: "global" });
@@ -941,7 +1419,7 @@ export const streamVideo = async (req, res) => {
         } else {
             res.setHeader("Access-Control-Allow-Origin", "*");
             res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
-            return res.status(404).send("Video file not found locally or remotely");
+            return res.status(404).send("Video file not found in storage or remotely");
         }
     } catch (error) {
         console.error("Stream Video Error:", error);
@@ -951,71 +1429,422 @@ export const streamVideo = async (req, res) => {
 
 
 
-// @desc    Download Image
-// @route   GET /api/content/download/:id
-// @access  Private
-export const downloadImage = async (req, res) => {
+// @desc    Stream Audio
+// @route   GET /api/content/stream/audio/:id
+// @access  Public
+export const streamAudio = async (req, res) => {
     try {
-        const { id } = req.params;
+        res.setHeader("Access-Control-Allow-Origin", "*");
+        res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+        const id = req.params.audioId || req.params.id;
         const content = await Content.findOne({
-            generationId: id,
-            user: req.user.id
+            $or: [
+                { generationId: id },
+                { _id: mongoose.Types.ObjectId.isValid(id) ? id : null },
+            ],
+            type: "audio",
         });
 
         if (!content) {
+            return res.status(404).send("Audio not found");
+        }
+
+        const asset = await resolveStoredAsset(content);
+        if (asset && await sendStoredAsset(req, res, asset, { download: req.query.download === 'true', filename: `pixora-audio-${id}` })) {
+            return;
+        }
+
+        if (content.remoteUrl) {
+            // Audio is small enough to hand off to the CDN or vendor directly
+            return res.redirect(content.remoteUrl);
+        }
+
+        return res.status(404).send("Audio file not found in storage or remotely");
+    } catch (error) {
+        console.error("Stream Audio Error:", error);
+        if (!res.headersSent) {
+            return res.status(500).send("Internal Server Error");
+        }
+    }
+};
+
+// @desc    Attach generated audio to a video as its soundtrack
+// @route   POST /api/content/:id/soundtrack
+// @access  Private
+export const attachSoundtrack = async (req, res) => {
+    try {
+        const { audioContentId, volume = 1 } = req.body || {};
+
+        if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(audioContentId)) {
+            return res.status(400).json({
+                success: false,
+                message: "A valid video id and audioContentId are required."
+            });
+        }
+        if (typeof volume !== "number" || volume < 0 || volume > 1) {
+            return res.status(400).json({
+                success: false,
+                message: "volume must be a number between 0 and 1."
+            });
+        }
+
+        const [video, audio] = await Promise.all([
+            Content.findOne({ _id: req.params.id, user: req.user.id }),
+            Content.findOne({ _id: audioContentId, user: req.user.id }),
+        ]);
+
+        if (!video || !audio) {
             return res.status(404).json({
                 success: false,
-                message: "Image not found or access denied."
+                message: "Content not found"
+            });
+        }
+        if (video.type !== "video" || video.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                message: "A soundtrack can only be attached to a completed video."
+            });
+        }
+        if (audio.type !== "audio" || audio.status !== "completed") {
+            return res.status(400).json({
+                success: false,
+                message: "The soundtrack must be a completed audio generation."
             });
         }
 
-        let localPath = content.metadata?.localFilePath;
+        video.soundtrack = {
+            content: audio._id,
+            url: audio.url,
+            volume,
+            attachedAt: new Date(),
+        };
+        await video.save();
 
-        if (!localPath) {
-            // Try to find the file
-            const generatedPath = path.join(process.cwd(), 'public', 'generated');
-            const possibleFilenames = [
-                `${id}.png`,
-                `${content.generationId}.png`,
-                `${id.replace(/[^a-zA-Z0-9-]/g, '')}.png`
-            ];
+        res.json({
+            success: true,
+            data: {
+                id: video._id,
+                soundtrack: video.soundtrack
+            }
+        });
+    } catch (error) {
+        console.error("Attach Soundtrack Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to attach soundtrack",
+            error: error.message
+        });
+    }
+};
 
-            for (const filename of possibleFilenames) {
-                const testPath = path.join(generatedPath, filename);
-                if (fs.existsSync(testPath)) {
-                    localPath = testPath;
-                    break;
-                }
+// @desc    Remove a video's soundtrack
+// @route   DELETE /api/content/:id/soundtrack
+// @access  Private
+export const detachSoundtrack = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
+
+        const video = await Content.findOneAndUpdate(
+            { _id: req.params.id, user: req.user.id, type: "video" },
+            { $unset: { soundtrack: 1 } },
+            { new: true }
+        );
+
+        if (!video) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
+
+        res.json({
+            success: true,
+            message: "Soundtrack removed"
+        });
+    } catch (error) {
+        console.error("Detach Soundtrack Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to remove soundtrack",
+            error: error.message
+        });
+    }
+};
+
+
+
+// @desc    Stream one output of a multi-image generation
+// @route   GET /api/content/:id/variants/:index
+// @access  Public
+export const streamVariant = async (req, res) => {
+    try {
+        res.setHeader("Access-Control-Allow-Origin", "*");
+        res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+        const index = Number(req.params.index);
+        const content = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Content.findById(req.params.id).select("type variants isWatermarked storageBackend")
+            : null;
+        const variant = Number.isInteger(index) ? content?.variants?.[index] : null;
+
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: "Variant not found"
+            });
+        }
+
+        const filename = `pixora-image-${req.params.id}-${index + 1}`;
+
+        const asset = await resolveStoredAsset(content, { variant });
+        const download = req.query.download === 'true';
+
+        if (content.isWatermarked) {
+            let buffer = asset ? await asset.storage.getBuffer(asset.key) : null;
+            if (!buffer && variant.remoteUrl) {
+                const response = await fetch(variant.remoteUrl);
+                if (response.ok) buffer = Buffer.from(await response.arrayBuffer());
+            }
+            if (buffer) {
+                return sendWatermarkedImage(req, res, buffer, { download, filename });
             }
+        } else if (asset && await sendStoredAsset(req, res, asset, { download, filename })) {
+            return;
+        } else if (variant.remoteUrl) {
+            return res.redirect(variant.remoteUrl);
+        }
 
-            if (!localPath) {
-                localPath = path.join(process.cwd(), "public", "generated", `${id}.png`);
+        return res.status(404).json({
+            success: false,
+            message: "Variant file not found"
+        });
+    } catch (error) {
+        console.error("Stream Variant Error:", error);
+        if (!res.headersSent) {
+            res.status(500).json({
+                success: false,
+                message: "Failed to stream variant"
+            });
+        }
+    }
+};
+
+// @desc    Remove the watermark from free-tier content
+// Free on plans that release watermarks, otherwise charged WATERMARK_REMOVAL_COST credits
+// @route   POST /api/content/:id/remove-watermark
+// @access  Private
+export const removeWatermark = async (req, res) => {
+    // Credits taken but not yet matched by a release; returned if anything fails in between
+    let pendingRefund = 0;
+
+    try {
+        const content = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Content.findOne({ _id: req.params.id, user: req.user.id })
+            : null;
+
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
+
+        if (!content.isWatermarked) {
+            return res.status(400).json({
+                success: false,
+                message: "This content is not watermarked"
+            });
+        }
+
+        const user = await User.findById(req.user.id);
+        const eligibility = canRemoveWatermark(user);
+        const cost = planReleasesWatermarks(user.subscriptionPlan) ? 0 : WATERMARK_REMOVAL_COST;
+
+        if (!eligibility.eligible || user.credits < cost) {
+            return res.status(403).json({
+                success: false,
+                message: eligibility.eligible
+                    ? `Insufficient credits. You need ${cost} credit${cost > 1 ? 's' : ''} to remove the watermark.`
+                    : `Watermark removal is not available: ${eligibility.reason}.`,
+                requiresCredits: true,
+                cost,
+                currentBalance: user.credits
+            });
+        }
+
+        // Charge atomically, then release; a concurrent request that released it first gets the credits back
+        let balance = user.credits;
+        if (cost > 0) {
+            const charged = await User.findOneAndUpdate(
+                { _id: user._id, credits: { $gte: cost } },
+                { $inc: { credits: -cost } },
+                { new: true }
+            );
+            if (!charged) {
+                return res.status(403).json({
+                    success: false,
+                    message: `Insufficient credits. You need ${cost} credit${cost > 1 ? 's' : ''} to remove the watermark.`,
+                    requiresCredits: true,
+                    cost,
+                    currentBalance: user.credits
+                });
             }
+            balance = charged.credits;
+            pendingRefund = cost;
+        }
+
+        const released = await Content.releaseWatermarks({ _id: content._id });
 
-            // Self-heal logic for downloads too
-            if (localPath && fs.existsSync(localPath) && !content.metadata?.localFilePath) {
-                await Content.updateOne(
-                    { _id: content._id },
-                    { $set: { 'metadata.localFilePath': localPath } }
-                );
+        if (cost > 0) {
+            if (released === 0) {
+                await User.updateOne({ _id: user._id }, { $inc: { credits: cost } });
+                pendingRefund = 0;
+                balance += cost;
+            } else {
+                pendingRefund = 0;
+                await User.updateOne({ _id: user._id }, {
+                    $push: {
+                        creditHistory: {
+                            amount: -cost,
+                            type: "usage",
+                            description: `Watermark removal: ${content.prompt.substring(0, 20)}...`,
+                            balance
+                        }
+                    }
+                });
+            }
+        }
+
+        res.json({
+            success: true,
+            message: "Watermark removed",
+            data: {
+                id: content._id,
+                isWatermarked: false,
+                cost: released > 0 ? cost : 0,
+                creditsRemaining: balance
             }
+        });
+    } catch (error) {
+        console.error("Remove Watermark Error:", error);
+        if (pendingRefund > 0) {
+            await User.updateOne({ _id: req.user.id }, { $inc: { credits: pendingRefund } })
+                .catch((refundError) => console.error("Failed to refund watermark removal:", refundError));
         }
+        res.status(500).json({
+            success: false,
+            message: "Failed to remove watermark",
+            error: error.message
+        });
+    }
+};
 
-        if (!fs.existsSync(localPath)) {
+// @desc    Make one output of a multi-image generation the primary result
+// @route   POST /api/content/:id/variants/:index/promote
+// @access  Private
+export const promoteVariant = async (req, res) => {
+    try {
+        const index = Number(req.params.index);
+        const content = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await Content.findOne({ _id: req.params.id, user: req.user.id })
+            : null;
+
+        if (!content) {
             return res.status(404).json({
                 success: false,
-                message: "Image file not found."
+                message: "Content not found"
+            });
+        }
+
+        const variant = Number.isInteger(index) ? content.variants?.[index] : null;
+        if (!variant) {
+            return res.status(404).json({
+                success: false,
+                message: "Variant not found"
+            });
+        }
+
+        // The primary result is served by the regular image stream under the variant's generationId
+        // (on the same base URL the generation was recorded with)
+        const url = variant.url.replace(/\/api\/content\/.*$/, `/api/content/stream/image/${variant.generationId}`);
+
+        // A new primary output hasn't been moderated; published content goes back through publish
+        if (content.primaryVariant !== index && content.isPublic) {
+            content.isPublic = false;
+            if (content.moderationStatus === "approved") content.moderationStatus = "clear";
+        }
+
+        content.url = url;
+        content.thumbnailUrl = url;
+        content.generationId = variant.generationId;
+        content.remoteUrl = variant.remoteUrl;
+        content.primaryVariant = index;
+        content.storageKey = variant.storageKey;
+        if (variant.localPath) {
+            content.metadata = { ...content.metadata, localFilePath: variant.localPath };
+        }
+        await content.save();
+
+        res.json({
+            success: true,
+            data: {
+                id: content._id,
+                url: content.url,
+                thumbnailUrl: content.thumbnailUrl,
+                primaryVariant: content.primaryVariant,
+                variants: content.variants
+            }
+        });
+    } catch (error) {
+        console.error("Promote Variant Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to promote variant",
+            error: error.message
+        });
+    }
+};
+
+// @desc    Download Image
+// @route   GET /api/content/download/:id
+// @access  Private
+export const downloadImage = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const content = await Content.findOne({
+            generationId: id,
+            user: req.user.id
+        });
+
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Image not found or access denied."
             });
         }
 
-        const filename = `pixora-${content.generationId}-${Date.now()}.png`;
+        const asset = await resolveStoredAsset(content, { assetType: 'image' });
+        const filename = `pixora-${content.generationId}-${Date.now()}`;
 
-        res.setHeader('Content-Type', 'image/png');
-        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
-        res.setHeader('Access-Control-Allow-Origin', '*');
+        if (asset && content.isWatermarked) {
+            const buffer = await asset.storage.getBuffer(asset.key);
+            if (buffer) {
+                return sendWatermarkedImage(req, res, buffer, { download: true, filename });
+            }
+        } else if (asset && await sendStoredAsset(req, res, asset, { download: true, filename })) {
+            return;
+        }
 
-        const readStream = fs.createReadStream(localPath);
-        readStream.pipe(res);
+        return res.status(404).json({
+            success: false,
+            message: "Image file not found."
+        });
 
     } catch (error) {
         console.error("Download Image Error:", error);
@@ -1044,46 +1873,28 @@ export const getImagePreview = async (req, res) => {
             });
         }
 
-        let localPath = content.metadata?.localFilePath;
+        const asset = await resolveStoredAsset(content, { assetType: 'image' });
+        let imageBuffer = asset ? await asset.storage.getBuffer(asset.key) : null;
 
-        if (!localPath) {
-            // Try to find the file
-            const generatedPath = path.join(__dirname, '..', '..', 'public', 'generated');
-            const possibleFilenames = [
-                `${id}.png`,
-                `${content.generationId}.png`,
-                `${id.replace(/[^a-zA-Z0-9-]/g, '')}.png`
-            ];
-
-            for (const filename of possibleFilenames) {
-                const testPath = path.join(generatedPath, filename);
-                if (fs.existsSync(testPath)) {
-                    localPath = testPath;
-                    break;
-                }
-            }
-
-            if (!localPath) {
-                localPath = path.join(process.cwd(), "public", "generated", `${id}.png`);
-            }
-        }
-
-        if (!fs.existsSync(localPath)) {
+        if (!imageBuffer) {
             return res.status(404).json({
                 success: false,
                 message: "Image file not found."
             });
         }
 
-        const imageBuffer = fs.readFileSync(localPath);
+        let format = 'png';
+        if (content.isWatermarked) {
+            ({ buffer: imageBuffer, format } = await applyImageWatermark(imageBuffer));
+        }
         const base64Image = imageBuffer.toString('base64');
 
         res.json({
             success: true,
             data: {
-                base64: `data:image/png;base64,${base64Image}`,
-                contentType: 'image/png',
-                filename: `pixora-${id}.png`
+                base64: `data:image/${format};base64,${base64Image}`,
+                contentType: `image/${format}`,
+                filename: `pixora-${id}.${format === 'jpeg' ? 'jpg' : format}`
             }
         });
 
@@ -1110,17 +1921,8 @@ export const enhancePrompt = async (req, res) => {
         // Get AI Configuration
         let config = await AIConfig.findOne({ configKey: "global" });
 
-        // If not found, try to create or just use null
-        let apiKey = null;
-
-        if (config) {
-            apiKey = config.getApiKey("competapi"); // Prefer CompetAPI for this utility
-        }
-
-        if (!apiKey) {
-            // Check environment variable as fallback
-            apiKey = process.env.COMPETAPI_KEY;
-        }
+        // Prefer CompetAPI for this utility (falls back to COMPETAPI_KEY)
+        const apiKey = getProviderApiKey("competapi", config);
 
         if (!apiKey) {
             // Fallback mock if no API key
@@ -1130,7 +1932,7 @@ export const enhancePrompt = async (req, res) => {
             });
         }
 
-        const provider = new CompetAPIProvider(apiKey);
+        const provider = createProvider("competapi", config);
         const enhancedPrompt = await provider.enhancePrompt(prompt);
 
         res.json({
@@ -1170,16 +1972,29 @@ export const deleteContent = async (req, res) => {
             });
         }
 
+        // An in-flight generation is stopped and refunded first, so its job and credit hold don't outlive it
+        await stopGeneration(content, `${content.type} generation deleted`);
+
         // Delete the content from database
         await Content.findByIdAndDelete(contentId);
 
-        // Optional: Clean up local files if they exist
-        if (content.localPath && fs.existsSync(content.localPath)) {
-            try {
-                fs.unlinkSync(content.localPath);
-            } catch (fileError) {
-                console.error("Failed to delete local file:", fileError);
-                // Continue even if file deletion fails
+        // Clean up stored files; a failed delete doesn't fail the request
+        const storage = getStorage(content.storageBackend || "local");
+        const storageKeys = new Set([
+            content.storageKey,
+            content.metadata?.watermarkedStorageKey,
+            ...(content.variants || []).map((variant) => variant.storageKey),
+        ].filter(Boolean));
+        for (const key of storageKeys) {
+            storage.delete(key).catch((fileError) => {
+                console.error(`Failed to delete stored file ${key}:`, fileError);
+            });
+        }
+        for (const variant of content.variants || []) {
+            if (variant.localPath && fs.existsSync(variant.localPath)) {
+                fs.unlink(variant.localPath, (fileError) => {
+                    if (fileError) console.error("Failed to delete variant file:", fileError);
+                });
             }
         }
 
@@ -1244,3 +2059,295 @@ export const getContentStatus = async (req, res) => {
         });
     }
 };
+
+/**
+ * Cancel an in-flight generation: mark it canceled, stop its job and return the reserved credits
+ * Only pending / processing content is touched; the status filter also settles a race with the worker.
+ * @param {Object} content - Content document
+ * @param {string} description - Description of the refund
+ * @returns {Promise<Object|null>} { canceled, hold } (updated Content, released CreditHold), or null if it had already finished
+ */
+const stopGeneration = async (content, description) => {
+    const canceled = await Content.findOneAndUpdate(
+        { _id: content._id, status: { $in: ["pending", "processing"] } },
+        { status: "canceled", canceledAt: new Date(), error: "Canceled by user" },
+        { new: true }
+    );
+    if (!canceled) return null;
+
+    // Stop the worker: immediately if it runs in this process, otherwise on its next progress update
+    await GenerationJob.cancelForContent(content._id);
+    abortGeneration(content._id);
+
+    // Return the reserved credits / free generation
+    const hold = await CreditHold.release(content._id, description);
+    return { canceled, hold };
+};
+
+// @desc    Cancel a pending or processing generation
+// @route   POST /api/content/:id/cancel
+// @access  Private
+export const cancelContent = async (req, res) => {
+    try {
+        const contentId = req.params.id;
+        const userId = req.user.id;
+
+        const content = mongoose.Types.ObjectId.isValid(contentId) ? await Content.findById(contentId) : null;
+
+        if (!content) {
+            return res.status(404).json({
+                success: false,
+                message: "Content not found"
+            });
+        }
+
+        // Verify ownership
+        if (content.user.toString() !== userId) {
+            return res.status(403).json({
+                success: false,
+                message: "Not authorized to cancel this content"
+            });
+        }
+
+        const stopped = await stopGeneration(content, `${content.type} generation canceled`);
+
+        if (!stopped) {
+            const current = await Content.findById(contentId).select("status");
+            return res.status(409).json({
+                success: false,
+                message: `Generation is already ${current?.status || "finished"} and can no longer be canceled`,
+                status: current?.status
+            });
+        }
+
+        const { canceled, hold } = stopped;
+        const user = await User.findById(userId).select("credits freeGenerationsLeft");
+
+        res.status(200).json({
+            success: true,
+            message: "Generation canceled",
+            data: {
+                id: canceled._id,
+                status: canceled.status,
+                type: canceled.type
+            },
+            refunded: {
+                credits: hold?.kind === "credits" ? hold.amount : 0,
+                freeGeneration: hold?.kind === "free_generation"
+            },
+            creditsRemaining: user?.credits,
+            freeGenerationsLeft: user?.freeGenerationsLeft
+        });
+    } catch (error) {
+        console.error("Cancel Content Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to cancel generation",
+            error: error.message
+        });
+    }
+};
+
+const EVENTS_POLL_INTERVAL_MS = Number(process.env.CONTENT_EVENTS_POLL_MS) || 2000;
+const EVENTS_HEARTBEAT_MS = 15000;
+const EVENTS_BATCH_SIZE = 100;
+
+/**
+ * Build the SSE event for a content change
+ * @param {Object} content - Content document (lean)
+ * @param {Object} previous - { status, progress } last sent for this content, if any
+ * @returns {Object|null} { event, data }, or null if nothing the client cares about changed
+ */
+const toContentEvent = (content, previous) => {
+    if (previous && previous.status === content.status && previous.progress === content.progress) {
+        return null;
+    }
+
+    const data = {
+        id: content._id,
+        type: content.type,
+        status: content.status,
+        progress: content.progress,
+        updatedAt: content.updatedAt
+    };
+
+    switch (content.status) {
+        case "completed":
+            return { event: "completed", data: { ...data, url: content.url, thumbnailUrl: content.thumbnailUrl } };
+        case "failed":
+            return { event: "failed", data: { ...data, error: content.error } };
+        case "canceled":
+            return { event: "canceled", data };
+        default:
+            if (previous && previous.status === content.status) {
+                return { event: "progress", data: { ...data, stage: content.metadata?.status } };
+            }
+            return { event: "status", data: { ...data, stage: content.metadata?.status } };
+    }
+};
+
+// @desc    Issue a short-lived token for the progress event stream (EventSource can't send an Authorization header)
+// @route   POST /api/content/:id/events/token  (:id = content id, or "all")
+// @access  Private
+export const createEventsToken = async (req, res) => {
+    try {
+        if (req.params.id !== "all") {
+            const content = mongoose.Types.ObjectId.isValid(req.params.id) ? await Content.findById(req.params.id).select("user") : null;
+
+            if (!content) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Content not found"
+                });
+            }
+
+            // Verify ownership
+            if (content.user.toString() !== req.user.id) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Not authorized to access this content"
+                });
+            }
+        }
+
+        const { token, expiresIn } = generateStreamToken(req.user.id, req.params.id);
+
+        res.status(200).json({
+            success: true,
+            data: { token, expiresIn }
+        });
+    } catch (error) {
+        console.error("Create Events Token Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create stream token",
+            error: error.message
+        });
+    }
+};
+
+// @desc    Stream generation progress as Server-Sent Events
+// @route   GET /api/content/:id/events  (:id = content id, or "all" for every active generation)
+// @access  Private (EventSource passes a stream token from POST /api/content/:id/events/token as ?token=)
+export const streamContentEvents = async (req, res) => {
+    // Registered before the first await, so a client that leaves early never gets timers started
+    let closed = false;
+    let pollTimer = null;
+    let heartbeatTimer = null;
+    res.on("close", () => {
+        closed = true;
+        clearInterval(pollTimer);
+        clearInterval(heartbeatTimer);
+    });
+
+    try {
+        const userId = req.user.id;
+        const watchAll = req.params.id === "all";
+        const filter = { user: userId };
+
+        if (!watchAll) {
+            const content = mongoose.Types.ObjectId.isValid(req.params.id) ? await Content.findById(req.params.id).select("user") : null;
+
+            if (!content) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Content not found"
+                });
+            }
+
+            // Verify ownership
+            if (content.user.toString() !== userId) {
+                return res.status(403).json({
+                    success: false,
+                    message: "Not authorized to access this content"
+                });
+            }
+
+            filter._id = content._id;
+        }
+
+        // Resume point: EventSource sends the id of the last event it received when reconnecting
+        const lastEventId = Number(req.get("Last-Event-ID") || req.query.lastEventId);
+        const resuming = Number.isFinite(lastEventId) && lastEventId > 0;
+
+        res.status(200);
+        res.setHeader("Content-Type", "text/event-stream");
+        // no-transform keeps the compression middleware from buffering the stream
+        res.setHeader("Cache-Control", "no-cache, no-transform");
+        res.setHeader("Connection", "keep-alive");
+        res.setHeader("X-Accel-Buffering", "no");
+        res.flushHeaders();
+
+        const send = (chunk) => {
+            res.write(chunk);
+            if (typeof res.flush === "function") res.flush();
+        };
+
+        // Last status/progress sent per content, so unchanged records aren't repeated
+        const sent = new Map();
+        let cursor = resuming ? lastEventId : Date.now();
+        let polling = false;
+
+        const emit = (content, eventId) => {
+            const key = content._id.toString();
+            const update = toContentEvent(content, sent.get(key));
+            sent.set(key, { status: content.status, progress: content.progress, updatedAt: content.updatedAt.getTime() });
+            if (!update) return;
+            send(`id: ${eventId}\nevent: ${update.event}\ndata: ${JSON.stringify(update.data)}\n\n`);
+        };
+
+        send(`retry: 3000\n\n`);
+
+        // Fresh connection: start with the current state (active generations, or the requested content)
+        if (!resuming) {
+            const snapshot = await Content.find(watchAll ? { ...filter, status: { $in: ["pending", "processing"] } } : filter)
+                .sort({ updatedAt: 1 })
+                .lean();
+            snapshot.forEach((content) => emit(content, cursor));
+        }
+
+        const poll = async () => {
+            if (closed || polling) return;
+            polling = true;
+
+            try {
+                // A fresh resume excludes the acknowledged event; afterwards ties at the cursor are filtered via `sent`
+                const changes = await Content.find({
+                    ...filter,
+                    updatedAt: sent.size === 0 && resuming ? { $gt: new Date(cursor) } : { $gte: new Date(cursor) }
+                })
+                    .sort({ updatedAt: 1 })
+                    .limit(EVENTS_BATCH_SIZE)
+                    .lean();
+
+                for (const content of changes) {
+                    if (closed) break;
+                    const updatedAt = content.updatedAt.getTime();
+                    if (sent.get(content._id.toString())?.updatedAt === updatedAt) continue;
+                    emit(content, updatedAt);
+                    cursor = Math.max(cursor, updatedAt);
+                }
+            } catch (error) {
+                console.error("Content Events Poll Error:", error);
+            } finally {
+                polling = false;
+            }
+        };
+
+        if (closed) return;
+
+        pollTimer = setInterval(poll, EVENTS_POLL_INTERVAL_MS);
+        heartbeatTimer = setInterval(() => send(`: ping\n\n`), EVENTS_HEARTBEAT_MS);
+        poll();
+    } catch (error) {
+        console.error("Content Events Error:", error);
+        if (!res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: "Failed to open event stream",
+                error: error.message
+            });
+        }
+        res.end();
+    }
+};
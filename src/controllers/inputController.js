@@ -0,0 +1,120 @@
+import mongoose from "mongoose";
+import AIConfig from "../models/AIConfig.js";
+import InputAsset from "../models/InputAsset.js";
+import { getImageInfo } from "../utils/imageProbe.js";
+
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const MIN_INPUT_DIMENSION = 64;
+const MAX_INPUT_DIMENSION = 4096;
+
+// @desc    Upload a source image or mask for a generation
+// @route   POST /api/content/inputs
+// @access  Private
+export const uploadInput = async (req, res) => {
+    try {
+        const kind = req.body?.kind || "image";
+
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: "No file uploaded. Send the image as multipart field \"file\"."
+            });
+        }
+        if (!["image", "mask"].includes(kind)) {
+            return res.status(400).json({
+                success: false,
+                message: "kind must be \"image\" or \"mask\"."
+            });
+        }
+
+        // The file itself decides its type; the declared MIME type has to agree
+        const info = getImageInfo(req.file.buffer);
+        if (!info || info.mimeType !== req.file.mimetype) {
+            return res.status(400).json({
+                success: false,
+                message: "The file is not a valid PNG, JPEG, or WebP image."
+            });
+        }
+
+        const { width, height } = info;
+        if (Math.min(width, height) < MIN_INPUT_DIMENSION || Math.max(width, height) > MAX_INPUT_DIMENSION) {
+            return res.status(400).json({
+                success: false,
+                message: `Images must be between ${MIN_INPUT_DIMENSION} and ${MAX_INPUT_DIMENSION} pixels on each side (got ${width}x${height}).`
+            });
+        }
+
+        // Edit masks mark the area to repaint with transparency
+        if (kind === "mask" && !(info.format === "png" && info.hasAlpha)) {
+            return res.status(400).json({
+                success: false,
+                message: "Masks must be PNG images with transparency."
+            });
+        }
+
+        const config = await AIConfig.findOne({ configKey: "global" }).lean();
+        const retentionMs = config?.timeouts?.inputRetention || DEFAULT_RETENTION_MS;
+
+        const asset = await InputAsset.store({
+            user: req.user.id,
+            kind,
+            buffer: req.file.buffer,
+            info,
+            originalName: req.file.originalname,
+            retentionMs,
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                inputId: asset._id,
+                kind: asset.kind,
+                mimeType: asset.mimeType,
+                size: asset.size,
+                width: asset.width,
+                height: asset.height,
+                expiresAt: asset.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error("Upload Input Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to upload input",
+            error: error.message
+        });
+    }
+};
+
+// @desc    Delete an uploaded input before it expires
+// @route   DELETE /api/content/inputs/:inputId
+// @access  Private
+export const deleteInput = async (req, res) => {
+    try {
+        const asset = mongoose.Types.ObjectId.isValid(req.params.inputId)
+            ? await InputAsset.findOne({ _id: req.params.inputId, user: req.user.id })
+            : null;
+
+        if (!asset) {
+            return res.status(404).json({
+                success: false,
+                message: "Input not found"
+            });
+        }
+
+        await asset.removeFiles();
+        await InputAsset.deleteOne({ _id: asset._id });
+
+        res.json({
+            success: true,
+            message: "Input deleted"
+        });
+    } catch (error) {
+        console.error("Delete Input Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete input",
+            error: error.message
+        });
+    }
+};
@@ -1,6 +1,6 @@
 import Model from "../models/Model.js";
 import AIConfig from "../models/AIConfig.js";
-import CompetAPIProvider from "../utils/aiProviders/CompetAPIProvider.js";
+import { createProvider, resolveProvider } from "../utils/aiProviders/providerRegistry.js";
 import mongoose from "mongoose";
 
 // @desc    Get all models with filters
@@ -102,8 +102,18 @@ export const createModel = async (req, res) => {
             isPopular,
             parameters,
             supportedContexts,
+            fallbackModels,
+            apiConfig,
         } = req.body;
 
+        const apiConfigError = validateApiConfig(provider, apiConfig);
+        if (apiConfigError) {
+            return res.status(400).json({
+                success: false,
+                message: apiConfigError,
+            });
+        }
+
         // Check if model already exists
         const existingModel = await Model.findOne({ modelId });
         if (existingModel) {
@@ -113,7 +123,7 @@ export const createModel = async (req, res) => {
             });
         }
 
-        const model = await Model.create({
+        const model = new Model({
             modelId,
             name,
             provider,
@@ -125,9 +135,23 @@ export const createModel = async (req, res) => {
             isPopular,
             parameters: parameters || [],
             supportedContexts: supportedContexts || [],
+            apiConfig,
             status: "active",
         });
 
+        if (fallbackModels) {
+            const { ids, error } = await resolveFallbackModels(model, fallbackModels);
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error,
+                });
+            }
+            model.fallbackModels = ids;
+        }
+
+        await model.save();
+
         res.status(201).json({
             success: true,
             data: { model },
@@ -143,6 +167,74 @@ export const createModel = async (req, res) => {
     }
 };
 
+/**
+ * Check that a "custom" provider model has enough apiConfig to run
+ * @param {string} provider - Model provider
+ * @param {Object} apiConfig - Model.apiConfig
+ * @returns {string|null} Error message, or null when valid
+ */
+const validateApiConfig = (provider, apiConfig) => {
+    if (provider !== "custom") return null;
+
+    const mapping = apiConfig?.responseMapping || {};
+    if (!apiConfig?.endpoint || !/^https?:\/\//i.test(apiConfig.endpoint)) {
+        return "Custom provider models need an http(s) apiConfig.endpoint.";
+    }
+    if (!mapping.outputUrl) {
+        return "Custom provider models need apiConfig.responseMapping.outputUrl.";
+    }
+    if (mapping.jobId && !apiConfig.statusEndpoint) {
+        return "apiConfig.statusEndpoint is required when responseMapping.jobId is set.";
+    }
+    if (apiConfig.auth?.type !== "none" && !apiConfig.auth?.keyName) {
+        return "apiConfig.auth.keyName is required unless auth.type is \"none\".";
+    }
+    return null;
+};
+
+/**
+ * Validate an ordered fallback list and resolve it to Model ids
+ * Entries may be Model _ids or modelIds. Each must be another model of the same type
+ * that supports every context the model supports.
+ * @param {Object} model - { _id, type, supportedContexts } of the model being saved
+ * @param {Array} fallbackModels - Requested fallback list
+ * @returns {Promise<Object>} { ids } or { error }
+ */
+const resolveFallbackModels = async (model, fallbackModels) => {
+    if (!Array.isArray(fallbackModels)) {
+        return { error: "fallbackModels must be an array." };
+    }
+
+    const ids = [];
+    for (const ref of fallbackModels) {
+        const fallback = /^[0-9a-fA-F]{24}$/.test(String(ref))
+            ? await Model.findById(ref)
+            : await Model.findOne({ modelId: ref });
+
+        if (!fallback) {
+            return { error: `Fallback model ${ref} not found.` };
+        }
+        if (model._id && fallback._id.equals(model._id)) {
+            return { error: "A model cannot fall back to itself." };
+        }
+        if (ids.some((id) => id.equals(fallback._id))) {
+            return { error: `Fallback model ${fallback.modelId} is listed more than once.` };
+        }
+        if (fallback.type !== model.type) {
+            return { error: `Fallback model ${fallback.modelId} is a ${fallback.type} model, expected ${model.type}.` };
+        }
+
+        const unsupported = (model.supportedContexts || []).filter((context) => !fallback.supportsContext(context));
+        if (unsupported.length > 0) {
+            return { error: `Fallback model ${fallback.modelId} does not support ${unsupported.join(", ")}.` };
+        }
+
+        ids.push(fallback._id);
+    }
+
+    return { ids };
+};
+
 // @desc    Update a model
 // @route   PUT /api/admin/models/:id
 // @access  Private/SuperAdmin
@@ -157,9 +249,59 @@ export const updateModel = async (req, res) => {
             });
         }
 
+        const updates = { ...req.body };
+
+        if (["provider", "apiConfig"].some((field) => field in updates)) {
+            const existing = await Model.findById(id).lean();
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Model not found.",
+                });
+            }
+
+            const apiConfigError = validateApiConfig(
+                updates.provider ?? existing.provider,
+                updates.apiConfig ?? existing.apiConfig
+            );
+            if (apiConfigError) {
+                return res.status(400).json({
+                    success: false,
+                    message: apiConfigError,
+                });
+            }
+        }
+
+        // Changing the fallbacks, type or contexts must leave a compatible fallback chain
+        if (["fallbackModels", "type", "supportedContexts"].some((field) => field in updates)) {
+            const existing = await Model.findById(id);
+            if (!existing) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Model not found.",
+                });
+            }
+
+            const { ids, error } = await resolveFallbackModels(
+                {
+                    _id: existing._id,
+                    type: updates.type ?? existing.type,
+                    supportedContexts: updates.supportedContexts ?? existing.supportedContexts,
+                },
+                updates.fallbackModels ?? existing.fallbackModels
+            );
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    message: error,
+                });
+            }
+            updates.fallbackModels = ids;
+        }
+
         const model = await Model.findByIdAndUpdate(
             id,
-            { $set: req.body },
+            { $set: updates },
             { new: true, runValidators: true }
         );
 
@@ -208,6 +350,9 @@ export const deleteModel = async (req, res) => {
             });
         }
 
+        // Drop it from other models' fallback chains
+        await Model.updateMany({ fallbackModels: model._id }, { $pull: { fallbackModels: model._id } });
+
         res.status(200).json({
             success: true,
             message: "Model deleted successfully.",
@@ -272,12 +417,19 @@ export const toggleModelStatus = async (req, res) => {
     }
 };
 
+// Webhook settings safe to return to the admin UI (the secret is never sent back)
+const getWebhookSettings = (config) => ({
+    aiCompletionUrl: config.webhooks?.aiCompletionUrl || "",
+    aiFailureUrl: config.webhooks?.aiFailureUrl || "",
+    secretConfigured: Boolean(config.webhooks?.secret),
+});
+
 // @desc    Save API keys and Integration settings (encrypted/global)
 // @route   POST /api/admin/config/api-keys
 // @access  Private/SuperAdmin
 export const saveAPIKeys = async (req, res) => {
     try {
-        const { competapi, openai, deepseek, rateLimits, timeouts, integrations, features } = req.body;
+        const { competapi, openai, deepseek, customKeys, rateLimits, timeouts, integrations, features, webhooks, mock } = req.body;
 
         let config = await AIConfig.findOne({ configKey: "global" });
 
@@ -290,6 +442,19 @@ export const saveAPIKeys = async (req, res) => {
         if (openai) config.setApiKey("openai", openai);
         if (deepseek) config.setApiKey("deepseek", deepseek);
 
+        // Custom vendor keys: { keyName: "secret" } sets, { keyName: null } removes
+        if (customKeys) {
+            for (const [name, key] of Object.entries(customKeys)) {
+                if (!/^[a-z0-9_-]{1,50}$/i.test(name)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Invalid custom key name "${name}". Use letters, numbers, "-" and "_".`,
+                    });
+                }
+                config.setCustomApiKey(name, key);
+            }
+        }
+
         // Update other settings
         if (rateLimits) {
             config.rateLimits = { ...config.rateLimits, ...rateLimits };
@@ -310,6 +475,40 @@ export const saveAPIKeys = async (req, res) => {
             config.features = { ...config.features, ...features };
             config.markModified('features');
         }
+        if (webhooks) {
+            // Empty string clears a URL; the secret is only replaced when a new one is sent
+            for (const field of ["aiCompletionUrl", "aiFailureUrl"]) {
+                if (webhooks[field] === undefined) continue;
+                const url = webhooks[field] || undefined;
+                if (url && !/^https?:\/\/\S+$/i.test(url)) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Webhook ${field} must be an http(s) URL.`,
+                    });
+                }
+                config.set(`webhooks.${field}`, url);
+            }
+            if (webhooks.secret) {
+                config.set("webhooks.secret", webhooks.secret);
+            }
+        }
+        if (mock) {
+            if (mock.latencyMs !== undefined && !(Number.isInteger(mock.latencyMs) && mock.latencyMs >= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "mock.latencyMs must be a non-negative integer.",
+                });
+            }
+            if (mock.failureRate !== undefined && !(typeof mock.failureRate === "number" && mock.failureRate >= 0 && mock.failureRate <= 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "mock.failureRate must be between 0 and 1.",
+                });
+            }
+            for (const field of ["latencyMs", "failureRate", "videoSource"]) {
+                if (mock[field] !== undefined) config.set(`mock.${field}`, mock[field] || undefined);
+            }
+        }
 
         await config.save();
 
@@ -318,8 +517,11 @@ export const saveAPIKeys = async (req, res) => {
             message: "Configuration saved successfully.",
             data: {
                 maskedKeys: config.getMaskedKeys(),
+                customKeys: config.getMaskedCustomKeys(),
                 integrations: config.integrations,
-                features: config.features
+                features: config.features,
+                webhooks: getWebhookSettings(config),
+                mock: config.mock
             },
         });
     } catch (error) {
@@ -332,6 +534,86 @@ export const saveAPIKeys = async (req, res) => {
     }
 };
 
+// @desc    Update generation rate limits (per user, global and per-plan overrides)
+// @route   PUT /api/admin/config/rate-limits
+// @access  Private/Admin
+export const updateRateLimits = async (req, res) => {
+    try {
+        const { global, planOverrides, ...userLimits } = req.body;
+        const limitFields = ["maxConcurrentGenerations", "maxRequestsPerMinute", "maxRequestsPerHour"];
+        const overridablePlans = ["pro", "enterprise"];
+
+        const isValidLimit = (value) => Number.isInteger(value) && value >= 0;
+
+        // Collect a flat $set so nested limits are updated field by field
+        const updates = {};
+        const errors = [];
+
+        const collect = (source, prefix, allowNull = false) => {
+            if (!source || typeof source !== "object") return;
+            for (const field of limitFields) {
+                if (!(field in source)) continue;
+                const value = source[field];
+                if (allowNull && value === null) {
+                    updates[`${prefix}.${field}`] = undefined;
+                } else if (isValidLimit(value)) {
+                    updates[`${prefix}.${field}`] = value;
+                } else {
+                    errors.push(`${prefix}.${field} must be a non-negative integer${allowNull ? " or null" : ""}`);
+                }
+            }
+        };
+
+        collect(userLimits, "rateLimits");
+        collect(global, "rateLimits.global");
+
+        if (planOverrides) {
+            for (const plan of Object.keys(planOverrides)) {
+                if (!overridablePlans.includes(plan)) {
+                    errors.push(`Rate limit overrides are only supported for: ${overridablePlans.join(", ")}`);
+                    continue;
+                }
+                collect(planOverrides[plan], `rateLimits.planOverrides.${plan}`, true);
+            }
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid rate limit configuration.",
+                errors,
+            });
+        }
+
+        let config = await AIConfig.findOne({ configKey: "global" });
+
+        if (!config) {
+            config = await AIConfig.create({ configKey: "global" });
+        }
+
+        for (const [path, value] of Object.entries(updates)) {
+            config.set(path, value);
+        }
+
+        await config.save();
+
+        res.status(200).json({
+            success: true,
+            message: "Rate limits updated successfully.",
+            data: {
+                rateLimits: config.rateLimits,
+            },
+        });
+    } catch (error) {
+        console.error("Update Rate Limits Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update rate limits.",
+            error: error.message,
+        });
+    }
+};
+
 // @desc    Get public configuration (non-sensitive)
 // @route   GET /api/config
 // @access  Public
@@ -391,6 +673,7 @@ export const getAPIKeys = async (req, res) => {
                 success: true,
                 data: {
                     maskedKeys: {},
+                    customKeys: {},
                     rateLimits: {},
                     timeouts: {},
                     features: {},
@@ -402,10 +685,13 @@ export const getAPIKeys = async (req, res) => {
             success: true,
             data: {
                 maskedKeys: config.getMaskedKeys(),
+                customKeys: config.getMaskedCustomKeys(),
                 rateLimits: config.rateLimits,
                 timeouts: config.timeouts,
                 features: config.features,
                 integrations: config.integrations,
+                webhooks: getWebhookSettings(config),
+                mock: config.mock,
             },
         });
     } catch (error) {
@@ -423,7 +709,8 @@ export const getAPIKeys = async (req, res) => {
 // @access  Private/Admin
 export const testModel = async (req, res) => {
     try {
-        const { provider = "competapi" } = req.body;
+        const { modelId } = req.body;
+        let { provider = "competapi" } = req.body;
 
         const config = await AIConfig.findOne({ configKey: "global" });
 
@@ -434,21 +721,37 @@ export const testModel = async (req, res) => {
             });
         }
 
-        const apiKey = config.getApiKey(provider);
+        // Test the provider behind a specific model when one is given
+        let model = null;
+        if (modelId) {
+            model = await Model.findOne({ modelId });
+            if (!model) {
+                return res.status(404).json({
+                    success: false,
+                    message: `Model ${modelId} not found.`,
+                });
+            }
+            provider = model.provider;
+        }
 
-        if (!apiKey) {
+        let aiProvider;
+        try {
+            aiProvider = model ? resolveProvider(model, config) : createProvider(provider, config);
+        } catch (providerError) {
+            if (!["PROVIDER_NOT_SUPPORTED", "PROVIDER_NOT_CONFIGURED"].includes(providerError.code)) throw providerError;
             return res.status(400).json({
                 success: false,
-                message: `No API key found for provider: ${provider}`,
+                message: providerError.code === "PROVIDER_NOT_CONFIGURED"
+                    ? `No API key found for provider: ${provider}`
+                    : providerError.message,
             });
         }
 
         // Test connection based on provider
         let connectionSuccessful = false;
 
-        if (provider === "competapi") {
-            const competAPIProvider = new CompetAPIProvider(apiKey);
-            connectionSuccessful = await competAPIProvider.testConnection();
+        if (typeof aiProvider.testConnection === "function") {
+            connectionSuccessful = await aiProvider.testConnection();
         }
 
         res.status(200).json({
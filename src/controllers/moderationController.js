@@ -0,0 +1,405 @@
+import mongoose from "mongoose";
+import AIConfig from "../models/AIConfig.js";
+import Content from "../models/Content.js";
+import ModerationRule from "../models/ModerationRule.js";
+import ModerationCase from "../models/ModerationCase.js";
+import { compileRule, getModerationSettings, moderate } from "../utils/moderation.js";
+import { getClassifierNames } from "../utils/moderationClassifiers/classifierRegistry.js";
+
+const RULE_FIELDS = ["type", "pattern", "flags", "action", "category", "description", "isActive"];
+
+/**
+ * Pick the editable rule fields from a request body and check that the result compiles
+ * @param {Object} body - Request body
+ * @param {Object} existing - Rule being updated (for partial updates)
+ * @returns {Object} { updates, errors }
+ */
+const parseRuleInput = (body = {}, existing = {}) => {
+    const updates = Object.fromEntries(
+        RULE_FIELDS.filter((field) => body[field] !== undefined).map((field) => [field, body[field]])
+    );
+    const rule = { ...existing, ...updates };
+    const errors = [];
+
+    if (typeof rule.pattern !== "string" || !rule.pattern.trim()) {
+        errors.push("pattern is required");
+    } else {
+        try {
+            compileRule(rule);
+        } catch (error) {
+            errors.push(`pattern is not a valid ${rule.type || "keyword"} rule: ${error.message}`);
+        }
+    }
+    if (rule.type && !["keyword", "regex"].includes(rule.type)) {
+        errors.push("type must be keyword or regex");
+    }
+    if (rule.action && !["block", "flag"].includes(rule.action)) {
+        errors.push("action must be block or flag");
+    }
+
+    return { updates, errors };
+};
+
+// @desc    Get moderation rules
+// @route   GET /api/admin/moderation/rules
+// @access  Private/Admin
+export const getModerationRules = async (req, res) => {
+    try {
+        const { type, action, category, active } = req.query;
+
+        const query = {};
+        if (type) query.type = type;
+        if (action) query.action = action;
+        if (category) query.category = category;
+        if (active !== undefined) query.isActive = active === "true";
+
+        const rules = await ModerationRule.find(query).sort({ createdAt: -1 }).lean();
+
+        res.status(200).json({
+            success: true,
+            data: rules,
+        });
+    } catch (error) {
+        console.error("Get Moderation Rules Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve moderation rules.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Create a moderation rule (blocklist keyword or regex)
+// @route   POST /api/admin/moderation/rules
+// @access  Private/Admin
+export const createModerationRule = async (req, res) => {
+    try {
+        const { updates, errors } = parseRuleInput(req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid moderation rule.",
+                errors,
+            });
+        }
+
+        const rule = await ModerationRule.create({ ...updates, createdBy: req.user.id });
+
+        res.status(201).json({
+            success: true,
+            message: "Moderation rule created successfully.",
+            data: rule,
+        });
+    } catch (error) {
+        console.error("Create Moderation Rule Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to create moderation rule.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Update a moderation rule
+// @route   PUT /api/admin/moderation/rules/:id
+// @access  Private/Admin
+export const updateModerationRule = async (req, res) => {
+    try {
+        const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await ModerationRule.findById(req.params.id)
+            : null;
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: "Moderation rule not found.",
+            });
+        }
+
+        const { updates, errors } = parseRuleInput(req.body, rule.toObject());
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid moderation rule.",
+                errors,
+            });
+        }
+
+        rule.set(updates);
+        await rule.save();
+
+        res.status(200).json({
+            success: true,
+            message: "Moderation rule updated successfully.",
+            data: rule,
+        });
+    } catch (error) {
+        console.error("Update Moderation Rule Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update moderation rule.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Delete a moderation rule
+// @route   DELETE /api/admin/moderation/rules/:id
+// @access  Private/Admin
+export const deleteModerationRule = async (req, res) => {
+    try {
+        const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await ModerationRule.findByIdAndDelete(req.params.id)
+            : null;
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: "Moderation rule not found.",
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: "Moderation rule deleted successfully.",
+        });
+    } catch (error) {
+        console.error("Delete Moderation Rule Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to delete moderation rule.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Check a prompt (and optional image) against the current policy without recording anything
+// @route   POST /api/admin/moderation/test
+// @access  Private/Admin
+export const testModeration = async (req, res) => {
+    try {
+        const { text, imageUrl } = req.body;
+
+        if (!text && !imageUrl) {
+            return res.status(400).json({
+                success: false,
+                message: "Provide text or imageUrl to check.",
+            });
+        }
+
+        const config = await AIConfig.findOne({ configKey: "global" });
+        const result = await moderate({ text, imageUrl }, config);
+
+        res.status(200).json({
+            success: true,
+            data: result,
+        });
+    } catch (error) {
+        console.error("Test Moderation Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to run moderation check.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get the moderation review queue
+// @route   GET /api/admin/moderation/cases
+// @access  Private/Admin
+export const getModerationCases = async (req, res) => {
+    try {
+        const { page = 1, limit = 20, status = "pending", stage, action } = req.query;
+
+        const query = {};
+        if (status && status !== "all") query.status = status;
+        if (stage) query.stage = stage;
+        if (action) query.action = action;
+
+        const cases = await ModerationCase.find(query)
+            .populate("user", "name email")
+            .populate("content", "type status url thumbnailUrl isPublic moderationStatus")
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .lean();
+
+        const count = await ModerationCase.countDocuments(query);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                cases,
+                totalPages: Math.ceil(count / limit),
+                currentPage: parseInt(page),
+                total: count,
+            },
+        });
+    } catch (error) {
+        console.error("Get Moderation Cases Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve moderation cases.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Approve or reject a moderation case
+// Approving an output case publishes the content; approving a prompt case lets it be published
+// (after the usual output check). Rejecting hides the content and stops it from being published.
+// @route   POST /api/admin/moderation/cases/:id/review
+// @access  Private/Admin
+export const reviewModerationCase = async (req, res) => {
+    try {
+        const { decision, note } = req.body;
+
+        if (!["approve", "reject"].includes(decision)) {
+            return res.status(400).json({
+                success: false,
+                message: "decision must be approve or reject.",
+            });
+        }
+
+        const moderationCase = mongoose.Types.ObjectId.isValid(req.params.id)
+            ? await ModerationCase.findById(req.params.id)
+            : null;
+
+        if (!moderationCase) {
+            return res.status(404).json({
+                success: false,
+                message: "Moderation case not found.",
+            });
+        }
+
+        moderationCase.status = decision === "approve" ? "approved" : "rejected";
+        moderationCase.reviewedBy = req.user.id;
+        moderationCase.reviewedAt = new Date();
+        moderationCase.reviewNote = note;
+        await moderationCase.save();
+
+        let content = null;
+        if (moderationCase.content) {
+            const update = decision === "reject"
+                ? { moderationStatus: "rejected", isPublic: false }
+                : moderationCase.stage === "output"
+                    ? { moderationStatus: "approved", isPublic: true }
+                    : { moderationStatus: "clear" };
+
+            content = await Content.findByIdAndUpdate(moderationCase.content, update, { new: true })
+                .select("isPublic moderationStatus")
+                .lean();
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Moderation case ${moderationCase.status}.`,
+            data: {
+                case: moderationCase,
+                content,
+            },
+        });
+    } catch (error) {
+        console.error("Review Moderation Case Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to review moderation case.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Update moderation settings
+// @route   PUT /api/admin/moderation/settings
+// @access  Private/Admin
+export const updateModerationSettings = async (req, res) => {
+    try {
+        const { enabled, classifier, blockThreshold, flagThreshold } = req.body;
+        const classifierNames = ["none", ...getClassifierNames()];
+
+        const updates = {};
+        const errors = [];
+
+        if (enabled !== undefined) {
+            if (typeof enabled === "boolean") updates["moderation.enabled"] = enabled;
+            else errors.push("moderation.enabled must be a boolean");
+        }
+        if (classifier !== undefined) {
+            if (classifierNames.includes(classifier)) updates["moderation.classifier"] = classifier;
+            else errors.push(`moderation.classifier must be one of: ${classifierNames.join(", ")}`);
+        }
+        for (const [field, value] of Object.entries({ blockThreshold, flagThreshold })) {
+            if (value === undefined) continue;
+            if (typeof value === "number" && value >= 0 && value <= 1) updates[`moderation.${field}`] = value;
+            else errors.push(`moderation.${field} must be a number between 0 and 1`);
+        }
+
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid moderation settings.",
+                errors,
+            });
+        }
+
+        let config = await AIConfig.findOne({ configKey: "global" });
+
+        if (!config) {
+            config = await AIConfig.create({ configKey: "global" });
+        }
+
+        for (const [path, value] of Object.entries(updates)) {
+            config.set(path, value);
+        }
+
+        const settings = getModerationSettings(config);
+        if (settings.flagThreshold > settings.blockThreshold) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid moderation settings.",
+                errors: ["moderation.flagThreshold can't be above moderation.blockThreshold"],
+            });
+        }
+
+        await config.save();
+
+        res.status(200).json({
+            success: true,
+            message: "Moderation settings updated successfully.",
+            data: {
+                moderation: settings,
+            },
+        });
+    } catch (error) {
+        console.error("Update Moderation Settings Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to update moderation settings.",
+            error: error.message,
+        });
+    }
+};
+
+// @desc    Get moderation settings
+// @route   GET /api/admin/moderation/settings
+// @access  Private/Admin
+export const getModerationSettingsConfig = async (req, res) => {
+    try {
+        const config = await AIConfig.findOne({ configKey: "global" });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                moderation: getModerationSettings(config),
+                classifiers: ["none", ...getClassifierNames()],
+            },
+        });
+    } catch (error) {
+        console.error("Get Moderation Settings Error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to retrieve moderation settings.",
+            error: error.message,
+        });
+    }
+};
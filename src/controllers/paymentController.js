@@ -1,6 +1,7 @@
 import Transaction from "../models/Transaction.js";
 import Subscription from "../models/Subscription.js";
 import User from "../models/User.js";
+import Content from "../models/Content.js";
 import { config } from "../config/env.js";
 import stripe, {
     getCreditPack,
@@ -493,6 +494,14 @@ async function handleSubscriptionCreated(stripeSubscription) {
     user.subscriptionEndsAt = new Date(current_period_end * 1000);
     await user.save();
 
+    // Paid plans come without watermarks, including on the user's earlier free-tier content
+    if (plan.releasesWatermarks) {
+        const released = await Content.releaseWatermarks({ user: user._id });
+        if (released > 0) {
+            console.log(`Released watermarks on ${released} item(s) for user ${user._id}`);
+        }
+    }
+
     // Add monthly credits if not unlimited
     if (plan.credits > 0) {
         await user.addCredits(plan.credits, "purchase", `${plan.name} subscription - Monthly credits`);
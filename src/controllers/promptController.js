@@ -1,5 +1,5 @@
 import AIConfig from "../models/AIConfig.js";
-import CompetAPIProvider from "../utils/aiProviders/CompetAPIProvider.js";
+import { createProvider, getProviderApiKey } from "../utils/aiProviders/providerRegistry.js";
 
 // @desc    Generate AI prompt ideas
 // @route   POST /api/prompts/ideas
@@ -26,7 +26,7 @@ export const generatePromptIdeas = async (req, res) => {
             });
         }
 
-        const apiKey = config.getApiKey("competapi") || process.env.COMPETAPI_KEY;
+        const apiKey = getProviderApiKey("competapi", config);
 
         if (!apiKey) {
             // Fallback to static prompts if API is not configured
@@ -40,7 +40,7 @@ export const generatePromptIdeas = async (req, res) => {
             });
         }
 
-        const provider = new CompetAPIProvider(apiKey);
+        const provider = createProvider("competapi", config);
 
         const result = await provider.generatePromptIdeas({
             context,
@@ -107,7 +107,7 @@ export const enhancePrompt = async (req, res) => {
             });
         }
 
-        const apiKey = config.getApiKey("competapi") || process.env.COMPETAPI_KEY;
+        const apiKey = getProviderApiKey("competapi", config);
 
         if (!apiKey) {
             return res.status(200).json({
@@ -119,7 +119,7 @@ export const enhancePrompt = async (req, res) => {
             });
         }
 
-        const provider = new CompetAPIProvider(apiKey);
+        const provider = createProvider("competapi", config);
 
         const enhancedPrompt = await provider.enhancePrompt(prompt);
 
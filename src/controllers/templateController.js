@@ -73,6 +73,15 @@ export const createTemplate = async (req, res) => {
             });
         }
 
+        // Video-to-video templates need a model that accepts a source video
+        if (generatorType === 'video-to-video' && !model.supportsContext(generatorType)) {
+            deleteFile(req.file.path);
+            return res.status(400).json({
+                success: false,
+                message: `Model ${modelId} does not support video-to-video generation`
+            });
+        }
+
         // Determine preview type
         const ext = path.extname(req.file.filename).toLowerCase();
         const previewType = ext === '.gif' ? 'gif' : 'video';
@@ -95,6 +104,10 @@ export const createTemplate = async (req, res) => {
             });
         }
 
+        if (generatorType === 'video-to-video') {
+            parsedInputRequirements.requiresVideo = true;
+        }
+
         const templateData = {
             title,
             description,
@@ -396,6 +409,19 @@ export const updateTemplate = async (req, res) => {
             updateData.lastTestedAt = new Date();
         }
 
+        // Switching to video-to-video needs a model that accepts a source video
+        const generatorType = updateData.generatorType || template.generatorType;
+        if (generatorType === 'video-to-video' && (updateData.generatorType || updateData.modelId)) {
+            const model = await Model.findOne({ modelId: updateData.modelId || template.modelId });
+            if (!model || !model.supportsContext(generatorType)) {
+                if (req.file) deleteFile(req.file.path);
+                return res.status(400).json({
+                    success: false,
+                    message: `Model ${updateData.modelId || template.modelId} does not support video-to-video generation`
+                });
+            }
+        }
+
         // Validate model if changed
         if (updateData.modelId && updateData.modelId !== template.modelId) {
             const model = await Model.findOne({ modelId: updateData.modelId, status: 'active' });
@@ -1,5 +1,6 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { verifyStreamToken } from "../utils/tokenUtils.js";
 
 export const protect = async (req, res, next) => {
   let token;
@@ -11,6 +12,8 @@ export const protect = async (req, res, next) => {
     try {
       token = req.headers.authorization.split(" ")[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET || "232in2enin3nncijnininci2nini2ncininin");
+      // Single-purpose tokens (e.g. stream tokens) are not sessions
+      if (decoded.purpose) throw new Error("Token is not a session token");
 
       req.user = await User.findById(decoded.id).select("-password");
       if (!req.user) {
@@ -29,6 +32,33 @@ export const protect = async (req, res, next) => {
   }
 };
 
+// EventSource can't send an Authorization header, so streams take a short-lived stream token as ?token=
+// (POST /api/content/:id/events/token); the session JWT is never accepted in the query string
+export const protectStream = async (req, res, next) => {
+  if (req.headers.authorization) {
+    return protect(req, res, next);
+  }
+  if (typeof req.query.token !== "string") {
+    return res.status(401).json({ success: false, message: "Not authorized, no token." });
+  }
+
+  try {
+    // Reconnects resume from the last event id; their token may have expired since the stream was opened
+    const reconnecting = Boolean(req.get("Last-Event-ID") || req.query.lastEventId);
+    const decoded = verifyStreamToken(req.query.token, req.params.id, { reconnecting });
+
+    req.user = await User.findById(decoded.id).select("-password");
+    if (!req.user) {
+      return res.status(404).json({ success: false, message: "User not found." });
+    }
+  } catch (error) {
+    console.error("Auth Middleware Error:", error);
+    return res.status(401).json({ success: false, message: "Not authorized, invalid or expired stream token." });
+  }
+
+  next();
+};
+
 export const authorize = (...roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -17,7 +17,7 @@ export const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
-  exposedHeaders: ['x-auth-token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'Idempotency-Key'],
+  exposedHeaders: ['x-auth-token', 'Idempotent-Replayed'],
   optionsSuccessStatus: 200 // Some legacy browsers choke on 204
 };
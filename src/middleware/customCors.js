@@ -33,8 +33,8 @@ export const corsMiddleware = (req, res, next) => {
 
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, PATCH, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-auth-token, Accept, X-Requested-With');
-    res.setHeader('Access-Control-Expose-Headers', 'x-auth-token');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-auth-token, Accept, X-Requested-With, Last-Event-ID, Idempotency-Key');
+    res.setHeader('Access-Control-Expose-Headers', 'x-auth-token, Retry-After, Idempotent-Replayed');
     res.setHeader('Access-Control-Max-Age', '86400');
 
     // Handle preflight OPTIONS request
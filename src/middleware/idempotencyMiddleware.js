@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import AIConfig from "../models/AIConfig.js";
+import IdempotencyKey from "../models/IdempotencyKey.js";
+
+/**
+ * Idempotency Middleware
+ * Honors an Idempotency-Key header on endpoints that charge or create something.
+ * The first successful response is stored for AIConfig.timeouts.idempotencyWindow and
+ * replayed for any retry with the same key; failed requests release the key so they can be retried.
+ * Must run after protect (keys are scoped to the user).
+ */
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Replay or reserve the request's Idempotency-Key
+ */
+export const idempotency = async (req, res, next) => {
+    const key = req.get("Idempotency-Key");
+    if (key === undefined) return next();
+
+    if (!key || key.length > MAX_KEY_LENGTH || !/^[\x21-\x7e]+$/.test(key)) {
+        return res.status(400).json({
+            success: false,
+            code: "INVALID_IDEMPOTENCY_KEY",
+            message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} printable characters without spaces.`,
+        });
+    }
+
+    try {
+        const config = await AIConfig.findOne({ configKey: "global" }).lean();
+        const windowMs = config?.timeouts?.idempotencyWindow || DEFAULT_WINDOW_MS;
+
+        const user = req.user.id;
+        const scope = `${req.method} ${req.baseUrl}${req.path}`;
+        const requestHash = crypto.createHash("sha256").update(JSON.stringify(req.body ?? {})).digest("hex");
+
+        const record = await IdempotencyKey.reserve({ key, user, scope, requestHash, windowMs });
+
+        if (!record) {
+            const existing = await IdempotencyKey.findOne({ user, scope, key });
+
+            if (!existing) {
+                // Released by a failed request in the meantime
+                return res.status(409).json({
+                    success: false,
+                    code: "IDEMPOTENCY_KEY_IN_USE",
+                    message: "A request with this Idempotency-Key is being processed. Please retry.",
+                });
+            }
+            if (existing.requestHash !== requestHash) {
+                return res.status(422).json({
+                    success: false,
+                    code: "IDEMPOTENCY_KEY_REUSED",
+                    message: "This Idempotency-Key was already used with a different request.",
+                });
+            }
+            if (existing.status !== "completed") {
+                res.setHeader("Retry-After", "1");
+                return res.status(409).json({
+                    success: false,
+                    code: "IDEMPOTENCY_KEY_IN_USE",
+                    message: "A request with this Idempotency-Key is being processed. Please retry.",
+                });
+            }
+
+            res.setHeader("Idempotent-Replayed", "true");
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Capture the handler's response; only successes are kept for replay
+        let settled = false;
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (!settled) {
+                settled = true;
+                // Stored as plain JSON, exactly as it was sent
+                const save = res.statusCode < 400
+                    ? record.complete(res.statusCode, JSON.parse(JSON.stringify(body ?? null)))
+                    : record.release();
+                save.catch((error) => console.error("[Idempotency] Failed to store response:", error.message));
+            }
+            return json(body);
+        };
+
+        // Responses that never went through res.json don't hold the key
+        res.on("close", () => {
+            if (settled) return;
+            settled = true;
+            record.release().catch((error) => console.error("[Idempotency] Failed to release key:", error.message));
+        });
+
+        next();
+    } catch (error) {
+        console.error("Idempotency middleware error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to process Idempotency-Key",
+            error: error.message,
+        });
+    }
+};
+
+export default {
+    idempotency,
+};
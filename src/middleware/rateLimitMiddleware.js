@@ -0,0 +1,194 @@
+import mongoose from "mongoose";
+import AIConfig from "../models/AIConfig.js";
+import ConcurrencySlot from "../models/ConcurrencySlot.js";
+import RateLimitCounter from "../models/RateLimitCounter.js";
+
+/**
+ * Rate Limit Middleware
+ * Enforces AIConfig.rateLimits on generation requests, per user and platform-wide.
+ * Counters live in MongoDB so every API instance shares the same view.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Suggested wait when blocked on concurrency (no fixed window to report)
+const CONCURRENCY_RETRY_AFTER_SECONDS = 30;
+
+/**
+ * Take a concurrency slot, pruning finished generations once if the scope looks full
+ * @returns {Promise<boolean>} Whether the slot was taken
+ */
+const acquireSlot = async (key, slotId, max) => {
+    if (await ConcurrencySlot.acquire(key, slotId, max)) return true;
+
+    await ConcurrencySlot.prune(key);
+    return ConcurrencySlot.acquire(key, slotId, max);
+};
+
+/**
+ * Send a structured 429 response
+ */
+const rejectRequest = (res, { scope, limit, max, current, retryAfter }) => {
+    const scopeLabel = scope === "global" ? "Platform" : "Your";
+    const limitLabel = {
+        concurrent: `${scopeLabel} concurrent generation limit (${max}) has been reached.`,
+        perMinute: `${scopeLabel} limit of ${max} generation requests per minute has been reached.`,
+        perHour: `${scopeLabel} limit of ${max} generation requests per hour has been reached.`,
+    }[limit];
+
+    res.setHeader("Retry-After", String(retryAfter));
+    return res.status(429).json({
+        success: false,
+        code: "RATE_LIMIT_EXCEEDED",
+        message: `${limitLabel} Please try again in ${retryAfter} second${retryAfter === 1 ? "" : "s"}.`,
+        rateLimit: {
+            scope,
+            limit,
+            max,
+            current,
+        },
+        retryAfter,
+    });
+};
+
+/**
+ * Per-minute and per-hour windows of a request type, per user and platform-wide
+ * @param {string} prefix - Counter key prefix, so different request types don't share quota
+ */
+const requestWindows = (prefix, userId, userLimits, globalLimits) => [
+    { scope: "user", limit: "perMinute", key: `${prefix}:user:${userId}`, windowMs: MINUTE_MS, max: userLimits.maxRequestsPerMinute },
+    { scope: "user", limit: "perHour", key: `${prefix}:user:${userId}`, windowMs: HOUR_MS, max: userLimits.maxRequestsPerHour },
+    { scope: "global", limit: "perMinute", key: `${prefix}:global`, windowMs: MINUTE_MS, max: globalLimits.maxRequestsPerMinute },
+    { scope: "global", limit: "perHour", key: `${prefix}:global`, windowMs: HOUR_MS, max: globalLimits.maxRequestsPerHour },
+];
+
+/**
+ * Count the request in each window
+ * @returns {Promise<Object|null>} rejectRequest() details for the first window over its max, or null
+ */
+const hitWindows = async (windows) => {
+    const hits = [];
+
+    for (const window of windows) {
+        if (!(window.max > 0)) continue;
+
+        const hit = await RateLimitCounter.hit(window.key, window.windowMs);
+        hits.push(hit.key);
+
+        if (hit.count > window.max) {
+            // Rejected requests don't consume quota
+            await Promise.all(hits.map((key) => RateLimitCounter.release(key)));
+
+            return {
+                scope: window.scope,
+                limit: window.limit,
+                max: window.max,
+                current: window.max,
+                retryAfter: Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000)),
+            };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Enforce generation rate limits for the authenticated user
+ */
+export const generationRateLimit = async (req, res, next) => {
+    const slots = [];
+    const slotId = new mongoose.Types.ObjectId();
+
+    try {
+        const config = await AIConfig.findOne({ configKey: "global" });
+        if (!config) return next();
+
+        const userId = req.user.id;
+        const userLimits = config.getRateLimitsForPlan(req.user.subscriptionPlan);
+        const globalLimits = config.rateLimits.global || {};
+
+        // --- 1. Concurrent generations ---
+        // Slots are held under the id the Content will be created with (see startGeneration), so each
+        // check-and-reserve is a single atomic update and parallel requests can't exceed the limit
+        const concurrency = [
+            { scope: "user", key: `gen:user:${userId}`, max: userLimits.maxConcurrentGenerations },
+            { scope: "global", key: "gen:global", max: globalLimits.maxConcurrentGenerations },
+        ];
+
+        for (const slot of concurrency) {
+            if (!(slot.max > 0)) continue;
+
+            if (!(await acquireSlot(slot.key, slotId, slot.max))) {
+                await Promise.all(slots.map((key) => ConcurrencySlot.release(key, slotId)));
+
+                return rejectRequest(res, {
+                    scope: slot.scope,
+                    limit: "concurrent",
+                    max: slot.max,
+                    current: slot.max,
+                    retryAfter: CONCURRENCY_RETRY_AFTER_SECONDS,
+                });
+            }
+            slots.push(slot.key);
+        }
+
+        // --- 2. Request windows ---
+        const rejection = await hitWindows(requestWindows("gen", userId, userLimits, globalLimits));
+        if (rejection) {
+            await Promise.all(slots.map((key) => ConcurrencySlot.release(key, slotId)));
+            return rejectRequest(res, rejection);
+        }
+
+        if (slots.length > 0) {
+            req.generationSlotId = slotId;
+            // A request that fails never creates its Content, so its slot is given back right away
+            res.on("finish", () => {
+                if (res.statusCode < 400) return;
+                Promise.all(slots.map((key) => ConcurrencySlot.release(key, slotId)))
+                    .catch((error) => console.error("Failed to release concurrency slot:", error));
+            });
+        }
+
+        next();
+    } catch (error) {
+        console.error("Rate limit middleware error:", error);
+        await Promise.all(slots.map((key) => ConcurrencySlot.release(key, slotId))).catch(() => {});
+        res.status(500).json({
+            success: false,
+            message: "Failed to validate rate limits",
+            error: error.message,
+        });
+    }
+};
+
+/**
+ * Enforce the same request windows on price estimates (counted separately from generations)
+ * Estimates don't start anything, so they take no concurrency slot.
+ */
+export const estimateRateLimit = async (req, res, next) => {
+    try {
+        const config = await AIConfig.findOne({ configKey: "global" });
+        if (!config) return next();
+
+        const userLimits = config.getRateLimitsForPlan(req.user.subscriptionPlan);
+        const globalLimits = config.rateLimits.global || {};
+
+        const rejection = await hitWindows(requestWindows("estimate", req.user.id, userLimits, globalLimits));
+        if (rejection) return rejectRequest(res, rejection);
+
+        next();
+    } catch (error) {
+        console.error("Rate limit middleware error:", error);
+        res.status(500).json({
+            success: false,
+            message: "Failed to validate rate limits",
+            error: error.message,
+        });
+    }
+};
+
+export default {
+    generationRateLimit,
+    estimateRateLimit,
+};
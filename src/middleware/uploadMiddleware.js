@@ -57,6 +57,26 @@ const upload = multer({
 // Middleware for single preview file upload
 export const uploadPreview = upload.single('previewFile');
 
+// Generation inputs (source images and masks) are kept in memory: they are checked
+// (see utils/imageProbe.js) before anything is written
+const inputUpload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (['image/png', 'image/jpeg', 'image/webp'].includes(file.mimetype)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Invalid file type. Only PNG, JPEG, and WebP images are allowed.'), false);
+        }
+    },
+    limits: {
+        fileSize: 15 * 1024 * 1024, // 15MB max file size
+        files: 1,
+    }
+});
+
+// Middleware for a single generation input upload
+export const uploadInputFile = inputUpload.single('file');
+
 // Error handling middleware for multer errors
 export const handleUploadError = (err, req, res, next) => {
     if (err instanceof multer.MulterError) {
@@ -98,4 +118,4 @@ export const getFileUrl = (filename) => {
     return `/uploads/templates/${filename}`;
 };
 
-export default { uploadPreview, handleUploadError, deleteFile, getFileUrl };
+export default { uploadPreview, uploadInputFile, handleUploadError, deleteFile, getFileUrl };
@@ -33,7 +33,21 @@ const aiConfigSchema = new mongoose.Schema(
                 lastUpdated: Date,
             },
         },
-        // Rate Limiting
+        // Encrypted keys for "custom" provider vendors, referenced by Model.apiConfig.auth.keyName
+        customApiKeys: {
+            type: Map,
+            of: new mongoose.Schema(
+                {
+                    encrypted: String,
+                    iv: String,
+                    masked: String,
+                    lastUpdated: Date,
+                },
+                { _id: false }
+            ),
+            default: {},
+        },
+        // Rate Limiting (top-level values apply to each user)
         rateLimits: {
             maxConcurrentGenerations: {
                 type: Number,
@@ -47,6 +61,34 @@ const aiConfigSchema = new mongoose.Schema(
                 type: Number,
                 default: 1000,
             },
+            // Platform-wide limits across all users
+            global: {
+                maxConcurrentGenerations: {
+                    type: Number,
+                    default: 100,
+                },
+                maxRequestsPerMinute: {
+                    type: Number,
+                    default: 600,
+                },
+                maxRequestsPerHour: {
+                    type: Number,
+                    default: 10000,
+                },
+            },
+            // Per-plan replacements for the per-user values (unset fields fall back to the defaults above)
+            planOverrides: {
+                pro: {
+                    maxConcurrentGenerations: Number,
+                    maxRequestsPerMinute: Number,
+                    maxRequestsPerHour: Number,
+                },
+                enterprise: {
+                    maxConcurrentGenerations: Number,
+                    maxRequestsPerMinute: Number,
+                    maxRequestsPerHour: Number,
+                },
+            },
         },
         // Timeout Configuration
         timeouts: {
@@ -62,6 +104,16 @@ const aiConfigSchema = new mongoose.Schema(
                 type: Number,
                 default: 5000, // 5 seconds
             },
+            // How long an Idempotency-Key response is replayed
+            idempotencyWindow: {
+                type: Number,
+                default: 86400000, // 24 hours
+            },
+            // How long uploaded generation inputs (POST /api/content/inputs) are kept
+            inputRetention: {
+                type: Number,
+                default: 86400000, // 24 hours
+            },
         },
         // Webhook Configuration
         webhooks: {
@@ -69,6 +121,47 @@ const aiConfigSchema = new mongoose.Schema(
             aiFailureUrl: String,
             secret: String,
         },
+        // Content moderation (rules are ModerationRule documents; see src/utils/moderation.js)
+        moderation: {
+            enabled: {
+                type: Boolean,
+                default: true,
+            },
+            // Registered classifier run alongside the rules ("none" checks rules only)
+            classifier: {
+                type: String,
+                default: "none",
+            },
+            // Classifier category scores at or above these block / flag the request
+            blockThreshold: {
+                type: Number,
+                default: 0.9,
+                min: 0,
+                max: 1,
+            },
+            flagThreshold: {
+                type: Number,
+                default: 0.5,
+                min: 0,
+                max: 1,
+            },
+        },
+        // Mock provider behaviour (used when features.enableMockMode is on)
+        mock: {
+            latencyMs: {
+                type: Number,
+                default: 5000,
+                min: 0,
+            },
+            failureRate: {
+                type: Number,
+                default: 0,
+                min: 0,
+                max: 1,
+            },
+            // MP4 path (absolute or relative to the app root) or URL used for mock videos
+            videoSource: String,
+        },
         // Feature Toggles
         features: {
             enableMockMode: {
@@ -180,6 +273,68 @@ aiConfigSchema.methods.getMaskedKeys = function () {
     return masked;
 };
 
+// Method to set (or remove, with an empty key) an encrypted custom vendor key
+aiConfigSchema.methods.setCustomApiKey = function (name, apiKey) {
+    if (!apiKey) {
+        this.customApiKeys.delete(name);
+        return;
+    }
+
+    const { encrypted, iv } = encrypt(apiKey);
+    this.customApiKeys.set(name, {
+        encrypted,
+        iv,
+        masked: maskApiKey(apiKey),
+        lastUpdated: new Date(),
+    });
+};
+
+// Method to get a decrypted custom vendor key
+aiConfigSchema.methods.getCustomApiKey = function (name) {
+    const apiKeyData = name ? this.customApiKeys?.get(name) : null;
+    if (!apiKeyData || !apiKeyData.encrypted || !apiKeyData.iv) {
+        return null;
+    }
+
+    try {
+        return decrypt(apiKeyData.encrypted, apiKeyData.iv);
+    } catch (error) {
+        console.error(`Failed to decrypt custom API key ${name}:`, error);
+        return null;
+    }
+};
+
+// Method to get masked custom vendor keys (for display)
+aiConfigSchema.methods.getMaskedCustomKeys = function () {
+    const masked = {};
+    for (const [name, apiKeyData] of this.customApiKeys || []) {
+        if (apiKeyData?.masked) {
+            masked[name] = apiKeyData.masked;
+        }
+    }
+    return masked;
+};
+
+// Method to get the per-user rate limits for a subscription plan
+aiConfigSchema.methods.getRateLimitsForPlan = function (plan) {
+    const limits = {
+        maxConcurrentGenerations: this.rateLimits.maxConcurrentGenerations,
+        maxRequestsPerMinute: this.rateLimits.maxRequestsPerMinute,
+        maxRequestsPerHour: this.rateLimits.maxRequestsPerHour,
+    };
+
+    const overrides = this.rateLimits.planOverrides?.[plan];
+    if (overrides) {
+        for (const key of Object.keys(limits)) {
+            if (typeof overrides[key] === "number") {
+                limits[key] = overrides[key];
+            }
+        }
+    }
+
+    return limits;
+};
+
 const AIConfig = mongoose.model("AIConfig", aiConfigSchema);
 
 export default AIConfig;
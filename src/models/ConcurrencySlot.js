@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+import Content from "./Content.js";
+
+const ACTIVE_STATUSES = ["pending", "processing"];
+
+// A holder whose Content doesn't exist yet is kept this long, since the request may still be creating it
+const HOLDER_GRACE_MS = 2 * 60 * 1000;
+
+// Concurrent-generation slots shared by every API instance. Each holder is the id of the Content
+// a generation request creates; a scope is full once it has as many holders as its limit.
+const concurrencySlotSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    holders: [
+        {
+            _id: false,
+            id: mongoose.Schema.Types.ObjectId,
+            acquiredAt: Date,
+        },
+    ],
+});
+
+// Static methods
+concurrencySlotSchema.statics = {
+    // Take a slot for the given Content id if fewer than max are held; resolves true if it was taken.
+    // The check and the push are one conditional update, so parallel requests can't overshoot the limit.
+    acquire: async function (key, id, max) {
+        // Fewer than max holders <=> there is no holder at index max - 1
+        const filter = { key, [`holders.${max - 1}`]: { $exists: false } };
+        const update = { $push: { holders: { id, acquiredAt: new Date() } } };
+
+        try {
+            return Boolean(await this.findOneAndUpdate(filter, update, { upsert: true, new: true }));
+        } catch (error) {
+            // The scope is full (the upsert hit the existing document) or another instance created it first
+            if (error.code !== 11000) throw error;
+            return Boolean(await this.findOneAndUpdate(filter, update, { new: true }));
+        }
+    },
+
+    // Give a slot back (request rejected, or its Content finished)
+    release: function (key, id) {
+        return this.updateOne({ key }, { $pull: { holders: { id } } });
+    },
+
+    // Drop the holders whose Content has finished (or was never created), so slots free up without
+    // every terminal transition having to release them
+    prune: async function (key) {
+        const slot = await this.findOne({ key }).lean();
+        if (!slot?.holders?.length) return;
+
+        const contents = await Content.find({ _id: { $in: slot.holders.map((holder) => holder.id) } })
+            .select("status")
+            .lean();
+        const statuses = new Map(contents.map((content) => [String(content._id), content.status]));
+        const cutoff = Date.now() - HOLDER_GRACE_MS;
+
+        const stale = slot.holders
+            .filter((holder) => {
+                const status = statuses.get(String(holder.id));
+                if (status) return !ACTIVE_STATUSES.includes(status);
+                return !holder.acquiredAt || holder.acquiredAt.getTime() < cutoff;
+            })
+            .map((holder) => holder.id);
+
+        if (stale.length > 0) {
+            await this.updateOne({ key }, { $pull: { holders: { id: { $in: stale } } } });
+        }
+    },
+};
+
+export default mongoose.model("ConcurrencySlot", concurrencySlotSchema);
@@ -1,4 +1,22 @@
 import mongoose from "mongoose";
+import { getStorage } from "../utils/storageProviders/storageRegistry.js";
+
+// Watermarked content is only delivered through the stream endpoints, which apply the watermark;
+// the direct URLs and storage keys of the clean originals stay server-side until the watermark is released
+const hideCleanOriginals = (ret) => {
+    if (ret.isWatermarked) {
+        delete ret.remoteUrl;
+        delete ret.storageKey;
+        if (ret.metadata) {
+            const { localFilePath, watermarkedStorageKey, ...metadata } = ret.metadata;
+            ret.metadata = metadata;
+        }
+        if (ret.variants) {
+            ret.variants = ret.variants.map(({ remoteUrl, storageKey, localPath, ...variant }) => variant);
+        }
+    }
+    return ret;
+};
 
 const contentSchema = new mongoose.Schema(
     {
@@ -30,6 +48,14 @@ const contentSchema = new mongoose.Schema(
             type: String,
             index: true
         },
+        // Where the generated file lives: its key in the named storage backend (see utils/storageProviders).
+        // Content from before the storage layer only has metadata.localFilePath.
+        storageKey: {
+            type: String,
+        },
+        storageBackend: {
+            type: String,
+        },
         prompt: {
             type: String,
             required: true,
@@ -37,10 +63,12 @@ const contentSchema = new mongoose.Schema(
         modelDetails: {
             provider: { type: String, default: "comet" },
             modelId: String,
+            // Model the user picked, when a fallback model produced the result
+            requestedModelId: String,
         },
         status: {
             type: String,
-            enum: ["pending", "processing", "completed", "failed"],
+            enum: ["pending", "processing", "completed", "failed", "canceled"],
             default: "pending",
         },
         progress: {
@@ -50,14 +78,27 @@ const contentSchema = new mongoose.Schema(
         error: {
             type: String,
         },
+        canceledAt: {
+            type: Date,
+        },
         isPublic: {
             type: Boolean,
             default: false,
         },
+        // pending_review: a flagged prompt or output awaits an admin decision; rejected content can't be published
+        moderationStatus: {
+            type: String,
+            enum: ["clear", "pending_review", "approved", "rejected"],
+            default: "clear",
+        },
         isWatermarked: {
             type: Boolean,
             default: false,
         },
+        // Set when the watermark was removed (plan upgrade or POST /api/content/:id/remove-watermark)
+        watermarkReleasedAt: {
+            type: Date,
+        },
         usageCost: {
             type: Number,
             default: 0,
@@ -66,15 +107,102 @@ const contentSchema = new mongoose.Schema(
             type: mongoose.Schema.Types.Mixed,
             default: {}
         },
+        // Normalized generation request, reused by retry and remix
+        generationParams: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        // Set when this content was produced by retrying, remixing, upscaling or varying another one
+        parentContent: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Content",
+        },
+        derivation: {
+            type: String,
+            enum: ["retry", "remix", "upscale", "variation"],
+        },
+        // Every output of a multi-image generation (the "n" parameter), in provider order.
+        // url/generationId/remoteUrl above mirror the primary one (see POST /api/content/:id/variants/:index/promote)
+        variants: [
+            {
+                _id: false,
+                url: String,
+                thumbnailUrl: String,
+                remoteUrl: String,
+                // Key in the parent content's storage backend
+                storageKey: String,
+                // Absolute file path, on variants stored before storageKey existed
+                localPath: String,
+                generationId: String,
+            },
+        ],
+        primaryVariant: {
+            type: Number,
+        },
+        // Generated audio played over a video (set via POST /api/content/:id/soundtrack)
+        soundtrack: {
+            content: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Content",
+            },
+            url: String,
+            volume: {
+                type: Number,
+                min: 0,
+                max: 1,
+            },
+            attachedAt: Date,
+        },
     },
     {
         timestamps: true,
+        toJSON: {
+            transform: function (doc, ret) {
+                return hideCleanOriginals(ret);
+            },
+        },
     }
 );
 
+// Static methods
+contentSchema.statics = {
+    // Same redaction as toJSON, for lean() results
+    hideCleanOriginals,
+
+    // Serve the clean originals of the matching watermarked content from now on, and delete the
+    // watermarked video copies; resolves the number of items released
+    releaseWatermarks: async function (filter) {
+        const contents = await this.find({ ...filter, isWatermarked: true }).select("storageBackend metadata.watermarkedStorageKey").lean();
+        if (contents.length === 0) return 0;
+
+        const { modifiedCount } = await this.updateMany(
+            { _id: { $in: contents.map((content) => content._id) }, isWatermarked: true },
+            {
+                $set: { isWatermarked: false, watermarkReleasedAt: new Date() },
+                $unset: { "metadata.watermarkedStorageKey": "" },
+            }
+        );
+
+        for (const content of contents) {
+            const watermarkedStorageKey = content.metadata?.watermarkedStorageKey;
+            if (watermarkedStorageKey) {
+                getStorage(content.storageBackend).delete(watermarkedStorageKey).catch((error) => {
+                    console.error("[Watermark] Failed to delete watermarked copy:", error.message);
+                });
+            }
+        }
+
+        return modifiedCount;
+    },
+};
+
 // Indexes for faster querying of community page
 contentSchema.index({ isPublic: 1, createdAt: -1 });
 contentSchema.index({ user: 1, createdAt: -1 });
+// Indexes for counting active generations
+contentSchema.index({ user: 1, status: 1 });
+contentSchema.index({ status: 1, createdAt: 1 });
+// Index for the progress event stream
+contentSchema.index({ user: 1, updatedAt: 1 });
 
 const Content = mongoose.model("Content", contentSchema);
 
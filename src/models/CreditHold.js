@@ -0,0 +1,236 @@
+import mongoose from "mongoose";
+import User from "./User.js";
+
+const FREE_GENERATIONS_TOTAL = 3;
+
+const creditHoldSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        // One hold per generation - the unique index is what prevents double charging
+        content: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Content",
+            required: true,
+            unique: true,
+        },
+        kind: {
+            type: String,
+            enum: ["credits", "free_generation"],
+            required: true,
+        },
+        amount: {
+            type: Number,
+            default: 0,
+            min: [0, "Amount cannot be negative"],
+        },
+        status: {
+            type: String,
+            enum: ["held", "captured", "released"],
+            default: "held",
+        },
+        description: {
+            type: String,
+        },
+        capturedAt: {
+            type: Date,
+        },
+        releasedAt: {
+            type: Date,
+        },
+        releaseReason: {
+            type: String,
+        },
+        // Part of the hold returned at capture because the generation cost less than reserved
+        refundedAmount: {
+            type: Number,
+            default: 0,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+creditHoldSchema.index({ status: 1, createdAt: -1 });
+
+/**
+ * Error raised when the user can't cover a hold
+ */
+const insufficientFundsError = (kind) => {
+    const error = new Error(kind === "free_generation" ? "No free generations remaining" : "Insufficient credits");
+    error.code = "INSUFFICIENT_CREDITS";
+    return error;
+};
+
+// Static methods
+creditHoldSchema.statics = {
+    /**
+     * Reserve credits (or one free generation) for a generation
+     * @param {Object} params - { user, content, amount, useFreeGeneration, description }
+     * @returns {Promise<Object>} { hold, user } with the user's updated balances
+     */
+    place: async function ({ user, content, amount = 0, useFreeGeneration = false, description = "" }) {
+        const kind = useFreeGeneration ? "free_generation" : "credits";
+
+        // Insert first: a second hold for the same content fails on the unique index before touching the balance
+        const hold = await this.create({
+            user,
+            content,
+            kind,
+            amount: useFreeGeneration ? 0 : amount,
+            description,
+        });
+
+        const deduction = useFreeGeneration
+            ? { filter: { freeGenerationsLeft: { $gt: 0 } }, update: { $inc: { freeGenerationsLeft: -1 } } }
+            : { filter: { credits: { $gte: amount } }, update: { $inc: { credits: -amount } } };
+
+        const updatedUser = await User.findOneAndUpdate(
+            { _id: user, ...deduction.filter },
+            deduction.update,
+            { new: true }
+        );
+
+        if (!updatedUser) {
+            await this.deleteOne({ _id: hold._id });
+            throw insufficientFundsError(kind);
+        }
+
+        // Track in credit history for transparency
+        const historyEntry = useFreeGeneration
+            ? {
+                amount: 0,
+                type: "usage",
+                description: `${description} (Free Tier - ${FREE_GENERATIONS_TOTAL - updatedUser.freeGenerationsLeft}/${FREE_GENERATIONS_TOTAL})`,
+                balance: updatedUser.credits,
+            }
+            : {
+                amount: -amount,
+                type: "usage",
+                description,
+                balance: updatedUser.credits,
+            };
+
+        const historyUpdate = { $push: { creditHistory: historyEntry } };
+        if (useFreeGeneration && updatedUser.freeGenerationsLeft === 0) {
+            historyUpdate.$set = { isFreeTierExhausted: true };
+        }
+        await User.updateOne({ _id: user }, historyUpdate);
+
+        return { hold, user: updatedUser };
+    },
+
+    /**
+     * Finalize the charge for a completed generation
+     * @param {string} content - Content id
+     * @param {Object} options - { amount } final cost when lower than the reserved amount; the difference is refunded
+     * @returns {Promise<Object|null>} Captured hold, or null if it was already settled
+     */
+    capture: async function (content, { amount } = {}) {
+        const hold = await this.findOne({ content, status: "held" });
+        if (!hold) return null;
+
+        const refund = hold.kind === "credits" && typeof amount === "number" && amount < hold.amount
+            ? hold.amount - Math.max(0, amount)
+            : 0;
+
+        const captured = await this.findOneAndUpdate(
+            { _id: hold._id, status: "held" },
+            {
+                $set: {
+                    status: "captured",
+                    capturedAt: new Date(),
+                    amount: hold.amount - refund,
+                    refundedAmount: refund,
+                },
+            },
+            { new: true }
+        );
+
+        if (captured && refund > 0) {
+            const user = await User.findOneAndUpdate(
+                { _id: hold.user },
+                { $inc: { credits: refund } },
+                { new: true }
+            );
+            if (user) {
+                await User.updateOne(
+                    { _id: hold.user },
+                    {
+                        $push: {
+                            creditHistory: {
+                                amount: refund,
+                                type: "refund",
+                                description: `Price adjustment - refunded ${refund} credit${refund > 1 ? "s" : ""}`,
+                                balance: user.credits,
+                            },
+                        },
+                    }
+                );
+            }
+        }
+
+        return captured;
+    },
+
+    /**
+     * Return the reserved credits / free generation to the user
+     * The held -> released transition is atomic, so a hold is refunded at most once.
+     * @param {string} content - Content id
+     * @param {string} reason - Why the hold was released
+     * @returns {Promise<Object|null>} Released hold, or null if it was already settled
+     */
+    release: async function (content, reason = "Generation failed") {
+        const hold = await this.findOneAndUpdate(
+            { content, status: "held" },
+            { $set: { status: "released", releasedAt: new Date(), releaseReason: reason } },
+            { new: true }
+        );
+
+        if (!hold) return null;
+
+        if (hold.kind === "free_generation") {
+            const user = await User.findOneAndUpdate(
+                { _id: hold.user, freeGenerationsLeft: { $lt: FREE_GENERATIONS_TOTAL } },
+                { $inc: { freeGenerationsLeft: 1 }, $set: { isFreeTierExhausted: false } },
+                { new: true }
+            );
+            if (user) {
+                await User.updateOne(
+                    { _id: hold.user },
+                    { $push: { creditHistory: { amount: 0, type: "refund", description: reason, balance: user.credits } } }
+                );
+            }
+        } else if (hold.amount > 0) {
+            const user = await User.findOneAndUpdate(
+                { _id: hold.user },
+                { $inc: { credits: hold.amount } },
+                { new: true }
+            );
+            if (user) {
+                await User.updateOne(
+                    { _id: hold.user },
+                    {
+                        $push: {
+                            creditHistory: {
+                                amount: hold.amount,
+                                type: "refund",
+                                description: `${reason} - refunded ${hold.amount} credit${hold.amount > 1 ? "s" : ""}`,
+                                balance: user.credits,
+                            },
+                        },
+                    }
+                );
+            }
+        }
+
+        return hold;
+    },
+};
+
+export default mongoose.model("CreditHold", creditHoldSchema);
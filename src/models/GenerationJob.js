@@ -0,0 +1,185 @@
+import mongoose from "mongoose";
+
+const generationJobSchema = new mongoose.Schema(
+    {
+        content: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Content",
+            required: true,
+            unique: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed", "canceled"],
+            default: "queued",
+        },
+        // Everything the worker needs to run the generation without the original request
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3,
+        },
+        runAfter: {
+            type: Date,
+            default: Date.now,
+        },
+        // Lease held by the worker currently processing the job
+        leaseOwner: {
+            type: String,
+        },
+        leaseExpiresAt: {
+            type: Date,
+        },
+        // Provider state saved mid-generation (e.g. upstream task id) so a new lease can resume polling
+        checkpoint: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {},
+        },
+        lastError: {
+            type: String,
+        },
+        completedAt: {
+            type: Date,
+        },
+        failedAt: {
+            type: Date,
+        },
+        canceledAt: {
+            type: Date,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Indexes for claiming due and abandoned jobs
+generationJobSchema.index({ status: 1, runAfter: 1 });
+generationJobSchema.index({ status: 1, leaseExpiresAt: 1 });
+
+// Static methods
+generationJobSchema.statics = {
+    // Queue a generation for the worker
+    enqueue: function ({ content, user, payload, maxAttempts = 3 }) {
+        return this.create({
+            content,
+            user,
+            payload,
+            maxAttempts: Math.max(1, maxAttempts),
+        });
+    },
+
+    // Atomically claim the next due job, or one whose lease has expired (crashed/frozen worker)
+    claimNext: function (workerId, leaseMs) {
+        const now = new Date();
+
+        return this.findOneAndUpdate(
+            {
+                $or: [
+                    { status: "queued", runAfter: { $lte: now } },
+                    { status: "running", leaseExpiresAt: { $lte: now } },
+                ],
+            },
+            {
+                $set: {
+                    status: "running",
+                    leaseOwner: workerId,
+                    leaseExpiresAt: new Date(now.getTime() + leaseMs),
+                },
+                $inc: { attempts: 1 },
+            },
+            { sort: { runAfter: 1 }, new: true }
+        );
+    },
+
+    // Cancel the job for a content if it hasn't finished yet; resolves true if it was still active
+    cancelForContent: async function (content) {
+        const result = await this.updateOne(
+            { content, status: { $in: ["queued", "running"] } },
+            {
+                $set: { status: "canceled", canceledAt: new Date() },
+                $unset: { leaseOwner: "", leaseExpiresAt: "" },
+            }
+        );
+        return result.matchedCount > 0;
+    },
+
+    // Fail the job for a content from outside the worker (e.g. the timeout watchdog)
+    failForContent: async function (content, errorMessage) {
+        const result = await this.updateOne(
+            { content, status: { $in: ["queued", "running"] } },
+            {
+                $set: { status: "failed", lastError: errorMessage, failedAt: new Date() },
+                $unset: { leaseOwner: "", leaseExpiresAt: "" },
+            }
+        );
+        return result.matchedCount > 0;
+    },
+};
+
+// Instance methods
+generationJobSchema.methods = {
+    // Extend the lease; resolves false if another worker has taken the job over
+    renewLease: async function (leaseMs) {
+        const result = await this.constructor.updateOne(
+            { _id: this._id, status: "running", leaseOwner: this.leaseOwner },
+            { $set: { leaseExpiresAt: new Date(Date.now() + leaseMs) } }
+        );
+        return result.matchedCount > 0;
+    },
+
+    // Persist provider progress needed to resume after a restart
+    saveCheckpoint: function (data) {
+        this.checkpoint = { ...this.checkpoint, ...data };
+        return this.constructor.updateOne(
+            { _id: this._id, leaseOwner: this.leaseOwner },
+            { $set: { checkpoint: this.checkpoint } }
+        );
+    },
+
+    // Leave the running state; only applies while this worker still owns the job,
+    // so a cancellation (or a takeover after an expired lease) is never overwritten
+    _finish: async function (update) {
+        const result = await this.constructor.updateOne(
+            { _id: this._id, status: "running", leaseOwner: this.leaseOwner },
+            { $set: update, $unset: { leaseOwner: "", leaseExpiresAt: "" } }
+        );
+        Object.assign(this, update, { leaseOwner: undefined, leaseExpiresAt: undefined });
+        return result.matchedCount > 0;
+    },
+
+    // Mark as completed
+    complete: function () {
+        return this._finish({ status: "completed", completedAt: new Date() });
+    },
+
+    // Put back in the queue after a transient failure (the failed upstream task is not resumed)
+    requeue: function (errorMessage, delayMs) {
+        return this._finish({
+            status: "queued",
+            lastError: errorMessage,
+            checkpoint: {},
+            runAfter: new Date(Date.now() + delayMs),
+        });
+    },
+
+    // Mark as permanently failed
+    fail: function (errorMessage) {
+        return this._finish({ status: "failed", lastError: errorMessage, failedAt: new Date() });
+    },
+};
+
+export default mongoose.model("GenerationJob", generationJobSchema);
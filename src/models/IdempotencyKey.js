@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// Responses remembered per Idempotency-Key so a retried request is replayed instead of run twice
+const idempotencyKeySchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Method and path the key was used on, e.g. "POST /api/content/generate"
+        scope: {
+            type: String,
+            required: true,
+        },
+        // Hash of the request body; reusing a key with a different body is rejected
+        requestHash: {
+            type: String,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ["processing", "completed"],
+            default: "processing",
+        },
+        responseStatus: Number,
+        responseBody: mongoose.Schema.Types.Mixed,
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+// Let MongoDB drop keys once their replay window is over
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+idempotencyKeySchema.statics = {
+    // Reserve a key for a new request; resolves null if it is already taken (see the existing record instead)
+    reserve: async function ({ key, user, scope, requestHash, windowMs }) {
+        // A record past its window may still exist until the TTL monitor removes it
+        await this.deleteOne({ user, scope, key, expiresAt: { $lte: new Date() } });
+
+        try {
+            return await this.create({
+                key,
+                user,
+                scope,
+                requestHash,
+                expiresAt: new Date(Date.now() + windowMs),
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            return null;
+        }
+    },
+};
+
+// Instance methods
+idempotencyKeySchema.methods = {
+    // Store the response to replay for the rest of the window
+    complete: function (responseStatus, responseBody) {
+        return this.constructor.updateOne(
+            { _id: this._id, status: "processing" },
+            { $set: { status: "completed", responseStatus, responseBody } }
+        );
+    },
+    // Free the key so the client can retry with it
+    release: function () {
+        return this.constructor.deleteOne({ _id: this._id, status: "processing" });
+    },
+};
+
+export default mongoose.model("IdempotencyKey", idempotencyKeySchema);
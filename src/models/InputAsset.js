@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+import { getStorage } from "../utils/storageProviders/storageRegistry.js";
+
+// Images users upload as generation inputs (source images and edit masks), referenced by inputId
+const inputAssetSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+        kind: {
+            type: String,
+            enum: ["image", "mask"],
+            default: "image",
+        },
+        mimeType: {
+            type: String,
+            required: true,
+        },
+        size: Number,
+        width: Number,
+        height: Number,
+        originalName: String,
+        // Stored like generated assets: no public URL, and a random suffix in the key so it can't be guessed
+        storageKey: String,
+        storageBackend: String,
+        // Removed (with its files) by the worker's sweep once the retention period is over
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Static methods
+inputAssetSchema.statics = {
+    // Store a validated upload; info is the imageProbe result
+    store: async function ({ user, kind, buffer, info, originalName, retentionMs }) {
+        const asset = new this({
+            user,
+            kind,
+            mimeType: info.mimeType,
+            size: buffer.length,
+            width: info.width,
+            height: info.height,
+            originalName,
+            expiresAt: new Date(Date.now() + retentionMs),
+        });
+
+        const storage = getStorage();
+        asset.storageKey = `inputs/${asset._id}-${crypto.randomBytes(12).toString("hex")}.${info.format}`;
+        asset.storageBackend = storage.name;
+        await storage.put(asset.storageKey, buffer, { contentType: info.mimeType });
+
+        return asset.save();
+    },
+
+    // An unexpired input of the user's, or null
+    findUsable: function (id, user, kind) {
+        if (!mongoose.Types.ObjectId.isValid(id)) return Promise.resolve(null);
+        return this.findOne({ _id: id, user, kind, expiresAt: { $gt: new Date() } });
+    },
+
+    // Delete inputs past their retention period; resolves the number removed
+    purgeExpired: async function () {
+        const expired = await this.find({ expiresAt: { $lte: new Date() } }).limit(500);
+        for (const asset of expired) {
+            await asset.removeFiles();
+            await this.deleteOne({ _id: asset._id });
+        }
+        return expired.length;
+    },
+};
+
+// Instance methods
+inputAssetSchema.methods = {
+    // File contents as a data URL, the form providers accept for source images and masks
+    toDataUrl: async function () {
+        const buffer = this.storageKey ? await getStorage(this.storageBackend).getBuffer(this.storageKey) : null;
+        if (!buffer) {
+            throw new Error(`Input ${this._id} is no longer available`);
+        }
+        return `data:${this.mimeType};base64,${buffer.toString("base64")}`;
+    },
+    // Delete the stored file
+    removeFiles: async function () {
+        if (!this.storageKey) return;
+        await getStorage(this.storageBackend).delete(this.storageKey).catch((error) => {
+            console.error(`[Inputs] Failed to delete ${this.storageKey}:`, error.message);
+        });
+    },
+};
+
+export default mongoose.model("InputAsset", inputAssetSchema);
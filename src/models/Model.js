@@ -22,7 +22,7 @@ const modelSchema = new mongoose.Schema(
         type: {
             type: String,
             required: true,
-            enum: ["video", "image"],
+            enum: ["video", "image", "audio"],
         },
         status: {
             type: String,
@@ -39,6 +39,14 @@ const modelSchema = new mongoose.Schema(
                 type: Number,
                 default: 0,
             },
+            // Text-to-speech models charge per character of the script (music uses costPerSecond)
+            costPerCharacter: {
+                type: Number,
+                default: 0,
+            },
+            // Actions on a completed image; costPerImage applies when unset
+            costPerUpscale: Number, // per 2x (a 4x upscale costs twice as much)
+            costPerVariation: Number, // per variation returned
         },
         // Technical Specifications
         specifications: {
@@ -66,8 +74,13 @@ const modelSchema = new mongoose.Schema(
                 type: String,
                 default: "mp4", // or "png" for images
             },
+            // Images one request may return (the "n" parameter); each one is charged
+            maxOutputs: {
+                type: Number,
+                default: 1,
+            },
         },
-        // API Configuration
+        // API Configuration (drives the "custom" provider; {{placeholders}} are filled per request)
         apiConfig: {
             endpoint: String,
             method: {
@@ -75,7 +88,51 @@ const modelSchema = new mongoose.Schema(
                 default: "POST",
             },
             headers: mongoose.Schema.Types.Mixed,
+            // Request body template, e.g. { "prompt": "{{prompt}}", "seconds": "{{duration}}" }
             requestFormat: mongoose.Schema.Types.Mixed,
+            auth: {
+                type: {
+                    type: String,
+                    enum: ["bearer", "header", "query", "none"],
+                    default: "bearer",
+                },
+                // Header (bearer/header) or query parameter (query) carrying the key
+                name: String,
+                // Entry in AIConfig.customApiKeys
+                keyName: String,
+            },
+            // Polling endpoint for async APIs, e.g. "https://api.vendor.com/v1/jobs/{{jobId}}"
+            statusEndpoint: String,
+            statusMethod: {
+                type: String,
+                default: "GET",
+            },
+            pollInterval: {
+                type: Number,
+                default: 5000,
+            },
+            maxPollAttempts: {
+                type: Number,
+                default: 120,
+            },
+            // JSONPath-style paths into the vendor responses, e.g. "$.data.task_id"
+            responseMapping: {
+                jobId: String,
+                status: String,
+                progress: String,
+                outputUrl: String,
+                thumbnailUrl: String,
+                error: String,
+            },
+            // Status values that end polling
+            completedStatuses: {
+                type: [String],
+                default: ["completed", "succeeded", "success", "done"],
+            },
+            failedStatuses: {
+                type: [String],
+                default: ["failed", "failure", "error", "canceled", "cancelled"],
+            },
         },
         // Features
         features: {
@@ -117,9 +174,16 @@ const modelSchema = new mongoose.Schema(
         tags: [String],
         supportedContexts: {
             type: [String],
-            enum: ["text-to-video", "image-to-video", "text-to-image", "image-to-image", "video-to-video"],
+            enum: ["text-to-video", "image-to-video", "text-to-image", "image-to-image", "video-to-video", "text-to-speech", "text-to-music", "image-upscale", "image-variation"],
             default: []
         },
+        // Ordered models to fail over to when this one errors (same type, compatible contexts)
+        fallbackModels: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Model",
+            },
+        ],
         isPopular: {
             type: Boolean,
             default: false,
@@ -181,6 +245,51 @@ modelSchema.methods.incrementGenerationStats = async function (success, generati
     await this.save();
 };
 
+// Generation context of a request (text-to-video, image-to-video, text-to-image, image-to-image, image-upscale, ...)
+modelSchema.statics.getGenerationContext = function ({ type, imageUrl, image, inputId, videoUrl, audioType, operation } = {}) {
+    if (type === "audio") {
+        return audioType === "music" ? "text-to-music" : "text-to-speech";
+    }
+    if (operation) {
+        return `${type}-${operation}`;
+    }
+    const source = videoUrl ? "video" : imageUrl || image || inputId ? "image" : "text";
+    return `${source}-to-${type}`;
+};
+
+// Method to check whether the model can serve a generation context
+// (models without supportedContexts serve every context of their type, but no upscale / variation actions)
+modelSchema.methods.supportsContext = function (context) {
+    if (!this.supportedContexts?.length) {
+        if (this.type === "audio") {
+            return ["text-to-speech", "text-to-music"].includes(context);
+        }
+        return context.endsWith(`-to-${this.type}`);
+    }
+    return this.supportedContexts.includes(context);
+};
+
+// Method to calculate the credit cost of a generation with this model
+// (characters: length of a text-to-speech script; n: images requested; operation/scale: image actions)
+modelSchema.methods.calculateCost = function ({ duration = 5, characters, n = 1, operation, scale = 2 } = {}) {
+    if (this.type === "video") {
+        return Math.ceil(this.pricing.costPerSecond * duration);
+    }
+    if (this.type === "audio") {
+        if (characters !== undefined && this.pricing.costPerCharacter > 0) {
+            return Math.ceil(this.pricing.costPerCharacter * characters);
+        }
+        return Math.ceil(this.pricing.costPerSecond * duration);
+    }
+    if (operation === "upscale") {
+        return Math.ceil((this.pricing.costPerUpscale ?? this.pricing.costPerImage) * (scale / 2));
+    }
+    if (operation === "variation") {
+        return (this.pricing.costPerVariation ?? this.pricing.costPerImage) * n;
+    }
+    return this.pricing.costPerImage * n;
+};
+
 const Model = mongoose.model("Model", modelSchema);
 
 export default Model;
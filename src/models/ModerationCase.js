@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// A blocked or flagged prompt / output, kept for the admin review queue
+const moderationCaseSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+        // Unset for blocked prompts, which never create content
+        content: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Content",
+        },
+        // prompt: checked before generation; output: checked when the content is published
+        stage: {
+            type: String,
+            enum: ["prompt", "output"],
+            required: true,
+        },
+        prompt: String,
+        outputUrl: String,
+        action: {
+            type: String,
+            enum: ["blocked", "flagged"],
+            required: true,
+        },
+        matches: [
+            {
+                _id: false,
+                source: {
+                    type: String,
+                    enum: ["rule", "classifier"],
+                },
+                rule: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: "ModerationRule",
+                },
+                pattern: String,
+                category: String,
+                score: Number,
+            },
+        ],
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending",
+        },
+        reviewedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+        reviewedAt: Date,
+        reviewNote: String,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+moderationCaseSchema.index({ status: 1, createdAt: -1 });
+moderationCaseSchema.index({ content: 1 });
+
+export default mongoose.model("ModerationCase", moderationCaseSchema);
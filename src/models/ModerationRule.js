@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// Admin-managed blocklist entries and regex rules checked against prompts before generation and publishing
+const moderationRuleSchema = new mongoose.Schema(
+    {
+        // keyword: whole-word, case-insensitive match; regex: pattern compiled with flags
+        type: {
+            type: String,
+            enum: ["keyword", "regex"],
+            default: "keyword",
+        },
+        pattern: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 500,
+        },
+        flags: {
+            type: String,
+            default: "i",
+        },
+        // block: reject the request outright; flag: let it through and queue it for review
+        action: {
+            type: String,
+            enum: ["block", "flag"],
+            default: "block",
+        },
+        category: {
+            type: String,
+            default: "general",
+            trim: true,
+        },
+        description: String,
+        isActive: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+moderationRuleSchema.index({ isActive: 1 });
+
+// Static methods
+moderationRuleSchema.statics = {
+    getActive: function () {
+        return this.find({ isActive: true }).lean();
+    },
+};
+
+export default mongoose.model("ModerationRule", moderationRuleSchema);
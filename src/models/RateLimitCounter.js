@@ -0,0 +1,62 @@
+import mongoose from "mongoose";
+
+// Fixed-window request counters shared by every API instance
+const rateLimitCounterSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    count: {
+        type: Number,
+        default: 0,
+    },
+    resetAt: {
+        type: Date,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+// Let MongoDB drop counters once their window is over
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static methods
+rateLimitCounterSchema.statics = {
+    // Count a hit in the current window for the given scope, returns { key, count, resetAt }
+    hit: async function (scope, windowMs) {
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const key = `${scope}:${windowMs}:${windowStart}`;
+        const resetAt = new Date(windowStart + windowMs);
+
+        const increment = () => this.findOneAndUpdate(
+            { key },
+            {
+                $inc: { count: 1 },
+                $setOnInsert: { resetAt, expiresAt: new Date(resetAt.getTime() + windowMs) },
+            },
+            { upsert: true, new: true }
+        );
+
+        let counter;
+        try {
+            counter = await increment();
+        } catch (error) {
+            // Two instances upserted the same new window at once; the second one just increments
+            if (error.code !== 11000) throw error;
+            counter = await increment();
+        }
+
+        return { key, count: counter.count, resetAt: counter.resetAt };
+    },
+
+    // Undo a hit (used when a request is rejected by a later limit)
+    release: function (key) {
+        return this.updateOne({ key, count: { $gt: 0 } }, { $inc: { count: -1 } });
+    },
+};
+
+export default mongoose.model("RateLimitCounter", rateLimitCounterSchema);
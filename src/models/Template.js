@@ -22,14 +22,14 @@ const templateSchema = new mongoose.Schema({
     // Generator Type Mapping (replaces contentType)
     generatorType: {
         type: String,
-        enum: ['text-to-video', 'image-to-video', 'text-to-image', 'image-to-image'],
+        enum: ['text-to-video', 'image-to-video', 'video-to-video', 'text-to-image', 'image-to-image'],
         required: [true, 'Please provide generator type'],
         index: true
     },
     // Legacy field for backward compatibility
     contentType: {
         type: String,
-        enum: ['textToVideo', 'imageToVideo', 'textToImage', 'imageToImage']
+        enum: ['textToVideo', 'imageToVideo', 'videoToVideo', 'textToImage', 'imageToImage']
     },
     // Template Category (image or video)
     category: {
@@ -201,6 +201,7 @@ templateSchema.pre('save', function (next) {
         const generatorToContentType = {
             'text-to-video': 'textToVideo',
             'image-to-video': 'imageToVideo',
+            'video-to-video': 'videoToVideo',
             'text-to-image': 'textToImage',
             'image-to-image': 'imageToImage'
         };
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        // Stable event id sent to receivers (shared by redeliveries so they can deduplicate)
+        eventId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        event: {
+            type: String,
+            enum: ["generation.completed", "generation.failed"],
+            required: true,
+        },
+        url: {
+            type: String,
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        content: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Content",
+            index: true,
+        },
+        status: {
+            type: String,
+            enum: ["pending", "delivered", "failed"],
+            default: "pending",
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        maxAttempts: {
+            type: Number,
+            default: 8,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        // One entry per HTTP attempt
+        attemptLog: [
+            {
+                at: Date,
+                statusCode: Number,
+                durationMs: Number,
+                error: String,
+                responseBody: String,
+            },
+        ],
+        lastError: {
+            type: String,
+        },
+        deliveredAt: {
+            type: Date,
+        },
+        // Set on deliveries created by an admin redelivery
+        redeliveryOf: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "WebhookDelivery",
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+// Static methods
+webhookDeliverySchema.statics = {
+    // Atomically claim a due delivery; pushing nextAttemptAt out keeps other dispatchers off it while it's sent
+    claimDue: function (leaseMs) {
+        const now = new Date();
+        return this.findOneAndUpdate(
+            { status: "pending", nextAttemptAt: { $lte: now } },
+            { $set: { nextAttemptAt: new Date(now.getTime() + leaseMs) } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+    },
+};
+
+export default mongoose.model("WebhookDelivery", webhookDeliverySchema);
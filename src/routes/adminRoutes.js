@@ -13,6 +13,10 @@ import {
     refundTransaction,
     getAllContent,
     deleteContent,
+    getCreditHolds,
+    getWebhookDeliveries,
+    getWebhookDelivery,
+    redeliverWebhookDelivery,
 } from "../controllers/adminController.js";
 import {
     getAllModels,
@@ -23,7 +27,19 @@ import {
     saveAPIKeys,
     getAPIKeys,
     testModel,
+    updateRateLimits,
 } from "../controllers/modelController.js";
+import {
+    getModerationRules,
+    createModerationRule,
+    updateModerationRule,
+    deleteModerationRule,
+    testModeration,
+    getModerationCases,
+    reviewModerationCase,
+    getModerationSettingsConfig,
+    updateModerationSettings,
+} from "../controllers/moderationController.js";
 
 const router = express.Router();
 
@@ -53,6 +69,25 @@ router.post("/transactions/:id/refund", protect, authorize("admin", "superadmin"
 router.get("/content", protect, authorize("admin", "superadmin"), getAllContent);
 router.delete("/content/:id", protect, authorize("admin", "superadmin"), deleteContent);
 
+// Credit Holds
+router.get("/credit-holds", protect, authorize("admin", "superadmin"), getCreditHolds);
+
+// Webhook Deliveries
+router.get("/webhooks/deliveries", protect, authorize("admin", "superadmin"), getWebhookDeliveries);
+router.get("/webhooks/deliveries/:id", protect, authorize("admin", "superadmin"), getWebhookDelivery);
+router.post("/webhooks/deliveries/:id/redeliver", protect, authorize("admin", "superadmin"), redeliverWebhookDelivery);
+
+// Content Moderation
+router.get("/moderation/rules", protect, authorize("admin", "superadmin"), getModerationRules);
+router.post("/moderation/rules", protect, authorize("admin", "superadmin"), createModerationRule);
+router.put("/moderation/rules/:id", protect, authorize("admin", "superadmin"), updateModerationRule);
+router.delete("/moderation/rules/:id", protect, authorize("admin", "superadmin"), deleteModerationRule);
+router.post("/moderation/test", protect, authorize("admin", "superadmin"), testModeration);
+router.get("/moderation/cases", protect, authorize("admin", "superadmin"), getModerationCases);
+router.post("/moderation/cases/:id/review", protect, authorize("admin", "superadmin"), reviewModerationCase);
+router.get("/moderation/settings", protect, authorize("admin", "superadmin"), getModerationSettingsConfig);
+router.put("/moderation/settings", protect, authorize("admin", "superadmin"), updateModerationSettings);
+
 // Model Management
 router.get("/models", protect, authorize("admin", "superadmin"), getAllModels);
 router.post("/models", protect, authorize("admin", "superadmin"), createModel);
@@ -64,6 +99,7 @@ router.patch("/models/:id/toggle", protect, authorize("admin", "superadmin"), to
 router.post("/config/api-keys", protect, authorize("admin", "superadmin"), saveAPIKeys);
 router.get("/config/api-keys", protect, authorize("admin", "superadmin"), getAPIKeys);
 router.post("/config/test-model", protect, authorize("admin", "superadmin"), testModel);
+router.put("/config/rate-limits", protect, authorize("admin", "superadmin"), updateRateLimits);
 
 export default router;
 
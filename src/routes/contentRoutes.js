@@ -1,18 +1,38 @@
 import express from "express";
-import { protect } from "../middleware/authMiddleware.js";
+import { protect, protectStream } from "../middleware/authMiddleware.js";
+import { estimateRateLimit, generationRateLimit } from "../middleware/rateLimitMiddleware.js";
+import { idempotency } from "../middleware/idempotencyMiddleware.js";
+import { uploadInputFile, handleUploadError } from "../middleware/uploadMiddleware.js";
 import Content from "../models/Content.js";
 import {
     generateContent,
+    estimateContent,
     getFreeTierStatus,
     getContentHistory,
     getDashboardStats,
     getCommunityContent,
+    publishContent,
+    unpublishContent,
     streamVideo,
     streamImage,
+    streamAudio,
+    attachSoundtrack,
+    detachSoundtrack,
+    streamVariant,
+    promoteVariant,
+    removeWatermark,
     enhancePrompt,
     deleteContent,
-    getContentStatus
+    getContentStatus,
+    cancelContent,
+    retryContent,
+    remixContent,
+    upscaleContent,
+    createVariations,
+    streamContentEvents,
+    createEventsToken
 } from "../controllers/contentController.js";
+import { uploadInput, deleteInput } from "../controllers/inputController.js";
 
 const router = express.Router();
 
@@ -24,7 +44,22 @@ router.get("/community", getCommunityContent);
 // @desc    Generate Content (Stubbed for now)
 // @route   POST /api/content/generate
 // @access  Private
-router.post("/generate", protect, generateContent);
+router.post("/generate", protect, idempotency, generationRateLimit, generateContent);
+
+// @desc    Estimate the price of a generation
+// @route   POST /api/content/estimate
+// @access  Private
+router.post("/estimate", protect, estimateRateLimit, estimateContent);
+
+// @desc    Upload a generation input (source image or mask); pass its inputId / maskInputId to generate
+// @route   POST /api/content/inputs
+// @access  Private
+router.post("/inputs", protect, uploadInputFile, handleUploadError, uploadInput);
+
+// @desc    Delete an uploaded input
+// @route   DELETE /api/content/inputs/:inputId
+// @access  Private
+router.delete("/inputs/:inputId", protect, deleteInput);
 
 // @desc    Enhance Prompt
 // @route   POST /api/content/enhance-prompt
@@ -51,6 +86,16 @@ router.get("/history", protect, getContentHistory);
 // @access  Private
 router.get("/status/:id", protect, getContentStatus);
 
+// @desc    Short-lived token for the progress event stream
+// @route   POST /api/content/:id/events/token
+// @access  Private
+router.post("/:id/events/token", protect, createEventsToken);
+
+// @desc    Generation Progress Events (SSE)
+// @route   GET /api/content/:id/events
+// @access  Private
+router.get("/:id/events", protectStream, streamContentEvents);
+
 // @desc    Stream Video
 // @route   GET /api/content/stream/video/:videoId
 // @access  Public (Used by frontend player)
@@ -61,6 +106,71 @@ router.get("/stream/video/:videoId", streamVideo);
 // @access  Public (Used by frontend display)
 router.get("/stream/image/:imageId", streamImage);
 
+// @desc    Stream Audio
+// @route   GET /api/content/stream/audio/:audioId
+// @access  Public (Used by frontend player)
+router.get("/stream/audio/:audioId", streamAudio);
+
+// @desc    Cancel Generation
+// @route   POST /api/content/:id/cancel
+// @access  Private
+router.post("/:id/cancel", protect, cancelContent);
+
+// @desc    Retry Failed Generation
+// @route   POST /api/content/:id/retry
+// @access  Private
+router.post("/:id/retry", protect, idempotency, generationRateLimit, retryContent);
+
+// @desc    Remix Generation
+// @route   POST /api/content/:id/remix
+// @access  Private
+router.post("/:id/remix", protect, idempotency, generationRateLimit, remixContent);
+
+// @desc    Upscale Image (2x / 4x)
+// @route   POST /api/content/:id/upscale
+// @access  Private
+router.post("/:id/upscale", protect, idempotency, generationRateLimit, upscaleContent);
+
+// @desc    Image Variations
+// @route   POST /api/content/:id/variations
+// @access  Private
+router.post("/:id/variations", protect, idempotency, generationRateLimit, createVariations);
+
+// @desc    Publish Content (moderated)
+// @route   POST /api/content/:id/publish
+// @access  Private
+router.post("/:id/publish", protect, publishContent);
+
+// @desc    Unpublish Content
+// @route   POST /api/content/:id/unpublish
+// @access  Private
+router.post("/:id/unpublish", protect, unpublishContent);
+
+// @desc    Attach Soundtrack to a Video
+// @route   POST /api/content/:id/soundtrack
+// @access  Private
+router.post("/:id/soundtrack", protect, attachSoundtrack);
+
+// @desc    Remove Soundtrack
+// @route   DELETE /api/content/:id/soundtrack
+// @access  Private
+router.delete("/:id/soundtrack", protect, detachSoundtrack);
+
+// @desc    Stream / Download one output of a multi-image generation
+// @route   GET /api/content/:id/variants/:index
+// @access  Public (Used by frontend display)
+router.get("/:id/variants/:index", streamVariant);
+
+// @desc    Promote Variant to primary
+// @route   POST /api/content/:id/variants/:index/promote
+// @access  Private
+router.post("/:id/variants/:index/promote", protect, promoteVariant);
+
+// @desc    Remove Watermark (free on paid plans, otherwise charged in credits)
+// @route   POST /api/content/:id/remove-watermark
+// @access  Private
+router.post("/:id/remove-watermark", protect, idempotency, removeWatermark);
+
 // @desc    Delete Content
 // @route   DELETE /api/content/:id
 // @access  Private
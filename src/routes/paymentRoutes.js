@@ -6,12 +6,14 @@ import {
     handleWebhook,
 } from "../controllers/paymentController.js";
 import { protect } from "../middleware/authMiddleware.js";
+import { idempotency } from "../middleware/idempotencyMiddleware.js";
 
 const router = express.Router();
 
 // Protected routes (require authentication)
-router.post("/create-checkout-session", protect, createCheckoutSession);
-router.post("/create-subscription", protect, createSubscriptionCheckout);
+// (an Idempotency-Key header replays the first session instead of creating another)
+router.post("/create-checkout-session", protect, idempotency, createCheckoutSession);
+router.post("/create-subscription", protect, idempotency, createSubscriptionCheckout);
 router.get("/status/:sessionId", protect, getPaymentStatus);
 
 // Webhook route (public but verified by Stripe signature)
@@ -1,6 +1,7 @@
 import app from "./app.js";
 import { connectDB } from "./config/db.js";
 import { PORT } from "./config/env.js";
+import { startGenerationWorker } from "./utils/generationWorker.js";
 
 const startServer = async () => {
   try {
@@ -12,9 +13,12 @@ const startServer = async () => {
     // Increase timeout to 10 minutes for AI video generation
     server.setTimeout(600000);
 
+    // Single-process deployments can run the generation worker alongside the API
+    const worker = process.env.RUN_GENERATION_WORKER === "true" ? startGenerationWorker() : null;
 
     const shutdown = (signal) => {
-      server.close(() => {
+      server.close(async () => {
+        if (worker) await worker.stop();
         process.exit(0);
       });
     };
@@ -1,3 +1,6 @@
+import crypto from "crypto";
+import { getStorage } from "../storageProviders/storageRegistry.js";
+
 /**
  * Base Provider Class
  * Abstract class for all AI providers
@@ -59,8 +62,8 @@ class BaseProvider {
             errors.push("Prompt is too long (max 1000 characters)");
         }
 
-        if (params.type && !["video", "image"].includes(params.type)) {
-            errors.push("Type must be 'video' or 'image'");
+        if (params.type && !["video", "image", "audio"].includes(params.type)) {
+            errors.push("Type must be 'video', 'image' or 'audio'");
         }
 
         return {
@@ -103,6 +106,95 @@ class BaseProvider {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
 
+    /**
+     * Stop a generation whose caller has canceled it
+     * @param {AbortSignal} signal - Cancellation signal passed in generate() params
+     * @throws {Error} With code GENERATION_CANCELED once the signal is aborted
+     */
+    throwIfCanceled(signal) {
+        if (signal?.aborted) {
+            const error = new Error("Generation canceled");
+            error.code = "GENERATION_CANCELED";
+            throw error;
+        }
+    }
+
+    /**
+     * Decode a source image, e.g. the parent image of an upscale or variation
+     * The worker reads sources from storage and passes them as data URLs; other URLs are never fetched here.
+     * @param {string} imageUrl - Source image as a data URL
+     * @param {AbortSignal} signal - Cancellation signal
+     * @returns {Promise<Buffer>} - Image data
+     */
+    async loadSourceImage(imageUrl, signal) {
+        this.throwIfCanceled(signal);
+        if (typeof imageUrl !== "string" || !imageUrl.startsWith("data:")) {
+            throw new Error("Source image must be a data URL.");
+        }
+        return Buffer.from(imageUrl.split(",")[1] || "", "base64");
+    }
+
+    /**
+     * Store a generated file in the default storage backend
+     * Files are never given a public URL: clean originals of watermarked content must stay private,
+     * so they're only delivered through the API (or the backend's expiring signed URLs).
+     * @param {string} key - Storage key (file name, see generatedFileKey())
+     * @param {Buffer} buffer - File data
+     * @returns {Promise<Object>} - { storageKey, storageBackend, duration (seconds, when the backend reports it) }
+     */
+    async storeGeneratedFile(key, buffer) {
+        const storage = getStorage();
+        const stored = await storage.put(key, buffer);
+
+        return {
+            storageKey: key,
+            storageBackend: storage.name,
+            duration: stored.duration,
+        };
+    }
+
+    /**
+     * Storage key for a generated file: the generationId plus a random suffix, so a stored file
+     * can't be found from the generationId that appears in content URLs
+     * @param {string} generationId - Generation identifier
+     * @param {string} extension - File extension without the dot
+     * @returns {string}
+     */
+    generatedFileKey(generationId, extension) {
+        return `${generationId}-${crypto.randomBytes(12).toString("hex")}.${extension}`;
+    }
+
+    /**
+     * Store a generated image
+     * @param {string} generationId - Generation identifier (the start of the file name)
+     * @param {Buffer} imageBuffer - PNG data
+     * @returns {Promise<Object>} - See storeGeneratedFile()
+     */
+    async saveGeneratedImage(generationId, imageBuffer) {
+        return this.storeGeneratedFile(this.generatedFileKey(generationId, "png"), imageBuffer);
+    }
+
+    /**
+     * Store a generated video
+     * @param {string} generationId - Generation identifier (the start of the file name)
+     * @param {Buffer} videoBuffer - MP4 data
+     * @returns {Promise<Object>} - See storeGeneratedFile()
+     */
+    async saveGeneratedVideo(generationId, videoBuffer) {
+        return this.storeGeneratedFile(this.generatedFileKey(generationId, "mp4"), videoBuffer);
+    }
+
+    /**
+     * Store generated audio
+     * @param {string} generationId - Generation identifier (the start of the file name)
+     * @param {Buffer} audioBuffer - Audio data
+     * @param {string} format - File extension ("mp3" or "wav")
+     * @returns {Promise<Object>} - See storeGeneratedFile()
+     */
+    async saveGeneratedAudio(generationId, audioBuffer, format = "mp3") {
+        return this.storeGeneratedFile(this.generatedFileKey(generationId, format), audioBuffer);
+    }
+
     /**
      * Normalize response from provider
      * @param {Object} response - Raw provider response
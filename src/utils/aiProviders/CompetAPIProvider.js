@@ -1,6 +1,4 @@
 import BaseProvider from "./BaseProvider.js";
-import fs from "fs";
-import path from "path";
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import axios from 'axios';
@@ -9,55 +7,78 @@ import FormData from 'form-data';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-import CloudinaryProvider from "../storageProviders/CloudinaryProvider.js";
-
 /**
  * CompetAPI Provider - Real implementation based on official documentation
  * Supports video models: sora-2, veo3.1, runway-gen4, kling-2.0, luma, etc.
  * Supports image models: midjourney, flux, wanx-2.2-plus-img, etc.
+ * Supports audio models: tts-1 (speech), suno (music)
  */
 class CompetAPIProvider extends BaseProvider {
     constructor(apiKey, config = {}) {
         super(apiKey, config);
         this.baseUrl = "https://api.cometapi.com/v1";
+        this.runwayBaseUrl = "https://api.cometapi.com/runwayml/v1";
         this.maxPollAttempts = 120; // 120 attempts (10 minutes)
         this.pollInterval = 5000; // 5 seconds
     }
 
-    _getOutputDir() {
-        if (process.env.VERCEL) {
-            return path.join('/', 'tmp', 'generated');
-        }
-        return path.join(process.cwd(), "public", "generated");
-    }
-
     /**
-     * Sleep utility for polling
+     * Sleep utility for polling (wakes up early if the signal is aborted)
      */
-    async sleep(ms) {
-        return new Promise((resolve) => setTimeout(resolve, ms));
+    async sleep(ms, signal) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(done, ms);
+            function done() {
+                clearTimeout(timer);
+                signal?.removeEventListener("abort", done);
+                resolve();
+            }
+            signal?.addEventListener("abort", done, { once: true });
+        });
     }
 
     /**
-     * Generate content (video or image)
+     * Generate content (video, image or audio)
      */
     async generate(params) {
-        const { type, prompt, model: modelId, aspectRatio, duration, imageUrl, cfg_scale, mask, quality, size, n, mode } = params;
+        const { type, prompt, model: modelId, aspectRatio, duration, imageUrl, videoUrl, cfg_scale, mask, quality, size, n, mode } = params;
+
+        // Upstream task tracking so an interrupted job can resume polling instead of resubmitting
+        const task = {
+            resumeTaskId: params.resumeTaskId,
+            onTaskCreated: params.onTaskCreated,
+            signal: params.signal,
+        };
 
-        // Determine if it's video or image generation
         // Determine if it's video or image generation
         if (type === "video") {
             const enhancedPrompt = this._enhancePrompt(prompt, params.style, "video");
+            if (videoUrl) {
+                return await this.generateVideoToVideo(videoUrl, enhancedPrompt, aspectRatio, params.onProgress, task);
+            }
             if (imageUrl) {
-                return await this.generateImageToVideo(imageUrl, enhancedPrompt, duration, mode, cfg_scale, params.onProgress);
+                return await this.generateImageToVideo(imageUrl, enhancedPrompt, duration, mode, cfg_scale, params.onProgress, task);
             }
-            return await this.generateVideo(enhancedPrompt, modelId, aspectRatio, duration, params.onProgress);
+            return await this.generateVideo(enhancedPrompt, modelId, aspectRatio, duration, params.onProgress, task);
+        } else if (type === "audio") {
+            if (params.audioType === "music") {
+                return await this.generateMusic(prompt, modelId, duration, params.onProgress, task);
+            }
+            return await this.generateSpeech(prompt, modelId, params.voice, task.signal);
         } else if (type === "image") {
+            // Actions on a completed image
+            if (params.operation === "variation") {
+                const imageBuffer = await this.loadSourceImage(imageUrl, params.signal);
+                return await this.generateImageEdit(`data:image/png;base64,${imageBuffer.toString("base64")}`, prompt, modelId, null, quality, size, n);
+            }
+            if (params.operation) {
+                throw new Error(`CompetAPI provider does not support image ${params.operation}`);
+            }
             // Check if it's image editing (has imageUrl + prompt) or generation
             if (imageUrl && prompt) {
                 return await this.generateImageEdit(imageUrl, prompt, modelId, mask, quality, size, n);
             }
-            return await this.generateImage(prompt, modelId, aspectRatio, imageUrl);
+            return await this.generateImage(prompt, modelId, aspectRatio, imageUrl, n);
         } else {
             throw new Error(`Unsupported generation type: ${type}`);
         }
@@ -69,7 +90,7 @@ class CompetAPIProvider extends BaseProvider {
     /**
      * Generate video using CompetAPI
      */
-    async generateVideo(prompt, modelId, aspectRatio, duration, onProgress) {
+    async generateVideo(prompt, modelId, aspectRatio, duration, onProgress, task = {}) {
         try {
             // Strict Parameter Enforcement
 
@@ -80,6 +101,11 @@ class CompetAPIProvider extends BaseProvider {
                 model = modelId;
             }
 
+            // A resumed task was submitted by the same model (the worker resumes with the checkpoint's model)
+            if (task.resumeTaskId) {
+                return await this._finishVideo(task.resumeTaskId, onProgress, model, task.signal);
+            }
+
             // 2. Seconds: Default to 4, allowed: 4, 8, 12
             let seconds = "4";
             const validSeconds = ["4", "8"];
@@ -144,10 +170,13 @@ class CompetAPIProvider extends BaseProvider {
                 "Content-Length": payloadBuffer.length
             };
 
+            this.throwIfCanceled(task.signal);
+
             const submitResponse = await fetch(`${this.baseUrl}/videos`, {
                 method: "POST",
                 headers: headers,
                 body: payloadBuffer,
+                signal: task.signal,
             });
 
             if (!submitResponse.ok) {
@@ -166,51 +195,12 @@ class CompetAPIProvider extends BaseProvider {
                 throw new Error(`No video ID found in response: ${JSON.stringify(result)}`);
             }
 
-            // Step 2: Poll for completion
-            const finalData = await this.pollVideoProgress(videoId, onProgress);
-
-            // Extract video URL
-            let videoUrl = finalData?.url || finalData?.video_url || finalData?.output_url || finalData?.data?.video_url || finalData?.data?.url;
-
-            // Fallback
-            if (!videoUrl) {
-                videoUrl = `${this.baseUrl}/videos/${videoId}/content`;
-            }
-
-
-            // Download
-            let localPath = null;
-            let cloudinaryUrl = null;
-            try {
-                const downloadResult = await this.downloadVideo(videoId, videoUrl);
-                // Handle new object return style
-                if (typeof downloadResult === 'object') {
-                    localPath = downloadResult.localPath; // e.g. /generated/xyz.mp4
-                    cloudinaryUrl = downloadResult.cloudinaryUrl; // Main Goal!
-
-                    // If we have a persistent URL, prefer it as "remoteUrl"
-                    if (cloudinaryUrl) {
-                        videoUrl = cloudinaryUrl;
-                    }
-                } else {
-                    localPath = downloadResult;
-                }
-            } catch (downloadError) {
-                console.error("[CompetAPI] Failed to auto-download video:", downloadError);
+            if (task.onTaskCreated) {
+                await task.onTaskCreated({ taskId: videoId });
             }
 
-            return {
-                url: `/api/content/stream/video/${videoId}`,
-                remoteUrl: videoUrl, // Now points to Cloudinary if successful
-                localPath: localPath, // Relative path for stream fallback
-                thumbnailUrl: finalData?.thumbnail_url || finalData?.cover_url || finalData?.data?.thumbnail_url || null,
-                modelUsed: model,
-                generationId: videoId,
-                format: "mp4",
-                providerMetadata: {
-                    cloudinaryUrl: cloudinaryUrl
-                }
-            };
+            // Step 2: Poll for completion and download
+            return await this._finishVideo(videoId, onProgress, model, task.signal);
 
         } catch (error) {
             console.error("[CompetAPI] Video generation error:", error);
@@ -218,14 +208,53 @@ class CompetAPIProvider extends BaseProvider {
         }
     }
 
+    /**
+     * Poll a submitted /videos task to completion and download the result
+     */
+    async _finishVideo(videoId, onProgress, model, signal) {
+        const finalData = await this.pollVideoProgress(videoId, onProgress, signal);
+
+        // Extract video URL
+        let videoUrl = finalData?.url || finalData?.video_url || finalData?.output_url || finalData?.data?.video_url || finalData?.data?.url;
+
+        // Fallback
+        if (!videoUrl) {
+            videoUrl = `${this.baseUrl}/videos/${videoId}/content`;
+        }
+
+
+        // Download
+        let stored = {};
+        try {
+            stored = await this.downloadVideo(videoId, videoUrl);
+        } catch (downloadError) {
+            console.error("[CompetAPI] Failed to auto-download video:", downloadError);
+        }
+
+        return {
+            url: `/api/content/stream/video/${videoId}`,
+            remoteUrl: videoUrl,
+            storageKey: stored.storageKey,
+            storageBackend: stored.storageBackend,
+            thumbnailUrl: finalData?.thumbnail_url || finalData?.cover_url || finalData?.data?.thumbnail_url || null,
+            modelUsed: model,
+            generationId: videoId,
+            format: "mp4",
+        };
+    }
+
     /**
      * Generate Image-to-Video using Kling v1
      */
     /**
      * Generate Image-to-Video using Kling v1
      */
-    async generateImageToVideo(imageUrl, prompt, duration, mode, cfg_scale = 0.5, onProgress) {
+    async generateImageToVideo(imageUrl, prompt, duration, mode, cfg_scale = 0.5, onProgress, task = {}) {
         try {
+            if (task.resumeTaskId) {
+                return await this._finishImageToVideo(task.resumeTaskId, onProgress, task.signal);
+            }
+
             // Strict Parameter Enforcement for Kling API
 
             // 1. Image Processing: Ensure raw Base64 if data URI provided
@@ -260,13 +289,16 @@ class CompetAPIProvider extends BaseProvider {
             };
 
             // Use direct URL as Kling endpoint structure differs from base v1
+            this.throwIfCanceled(task.signal);
+
             const response = await fetch(`https://api.cometapi.com/kling/v1/videos/image2video`, {
                 method: "POST",
                 headers: {
                     "Authorization": `Bearer ${this.apiKey}`,
                     "Content-Type": "application/json"
                 },
-                body: JSON.stringify(payload)
+                body: JSON.stringify(payload),
+                signal: task.signal,
             });
 
             if (!response.ok) {
@@ -285,83 +317,407 @@ class CompetAPIProvider extends BaseProvider {
                 throw new Error(`No task_id found in Kling response: ${JSON.stringify(result)}`);
             }
 
-            // Step 2: Poll for completion
-            const finalData = await this.pollVideoProgress(taskId, onProgress);
+            if (task.onTaskCreated) {
+                await task.onTaskCreated({ taskId });
+            }
+
+            // Step 2: Poll for completion and download
+            return await this._finishImageToVideo(taskId, onProgress, task.signal);
+
+        } catch (error) {
+            console.error("[CompetAPI] Image-to-Video error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Poll a submitted Kling task to completion and download the result
+     */
+    async _finishImageToVideo(taskId, onProgress, signal) {
+        const finalData = await this.pollVideoProgress(taskId, onProgress, signal);
+
+        // Extract video URL - handle various response shapes
+        let videoUrl = finalData?.url || finalData?.video_url || finalData?.output_url;
+
+        // Nested Kling specific checks
+        if (!videoUrl && finalData?.data?.task_result?.videos?.length > 0) {
+            videoUrl = finalData.data.task_result.videos[0].url;
+        }
+        if (!videoUrl && finalData?.videos?.length > 0) {
+            videoUrl = finalData.videos[0].url;
+        }
+
+        // Fallback content URL
+        if (!videoUrl) {
+            videoUrl = `${this.baseUrl}/videos/${taskId}/content`;
+        }
+
+
+        // Download into storage
+        let stored = {};
+        try {
+            stored = await this.downloadVideo(taskId, videoUrl);
+        } catch (downloadError) {
+            console.error("[CompetAPI] Failed to auto-download video:", downloadError);
+        }
+
+        return {
+            url: `/api/content/stream/video/${taskId}`,
+            remoteUrl: videoUrl,
+            storageKey: stored.storageKey,
+            storageBackend: stored.storageBackend,
+            thumbnailUrl: finalData?.thumbnail_url || finalData?.cover_url || finalData?.data?.thumbnail_url || null,
+            modelUsed: "kling-v1",
+            generationId: taskId,
+            format: "mp4",
+        };
+    }
+
+    /**
+     * Generate Video-to-Video (restyle or continue a source video) using Runway Aleph
+     * The output follows the source clip's length, which is what the generation is priced on.
+     */
+    async generateVideoToVideo(videoUrl, prompt, aspectRatio, onProgress, task = {}) {
+        try {
+            if (task.resumeTaskId) {
+                return await this._finishVideoToVideo(task.resumeTaskId, onProgress, task.signal);
+            }
+
+            if (!/^https?:\/\//i.test(videoUrl)) {
+                throw new Error("Video-to-video needs a publicly reachable source video URL");
+            }
+
+            // Runway ratios are pixel sizes
+            const ratioMap = {
+                "16:9": "1280:720",
+                "9:16": "720:1280",
+                "1:1": "960:960",
+                "4:3": "1104:832",
+                "3:4": "832:1104",
+            };
+
+            const payload = {
+                model: "gen4_aleph", // Only Aleph accepts a video input
+                videoUri: videoUrl,
+                promptText: prompt,
+                ratio: ratioMap[aspectRatio] || "1280:720",
+            };
+
+            this.throwIfCanceled(task.signal);
 
-            // Extract video URL - handle various response shapes
-            let videoUrl = finalData?.url || finalData?.video_url || finalData?.output_url;
+            const response = await fetch(`${this.runwayBaseUrl}/video_to_video`, {
+                method: "POST",
+                headers: {
+                    "Authorization": `Bearer ${this.apiKey}`,
+                    "Content-Type": "application/json",
+                    "X-Runway-Version": "2024-11-06",
+                },
+                body: JSON.stringify(payload),
+                signal: task.signal,
+            });
 
-            // Nested Kling specific checks
-            if (!videoUrl && finalData?.data?.task_result?.videos?.length > 0) {
-                videoUrl = finalData.data.task_result.videos[0].url;
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`CompetAPI video-to-video submission failed: ${errorText}`);
             }
-            if (!videoUrl && finalData?.videos?.length > 0) {
-                videoUrl = finalData.videos[0].url;
+
+            const result = await response.json();
+            const taskId = result.id || result.data?.id || result.data?.task_id;
+
+            if (!taskId) {
+                throw new Error(`No task id found in video-to-video response: ${JSON.stringify(result)}`);
             }
 
-            // Fallback content URL
-            if (!videoUrl) {
-                videoUrl = `${this.baseUrl}/videos/${taskId}/content`;
+            if (task.onTaskCreated) {
+                await task.onTaskCreated({ taskId });
             }
 
+            return await this._finishVideoToVideo(taskId, onProgress, task.signal);
+
+        } catch (error) {
+            console.error("[CompetAPI] Video-to-Video error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Poll a submitted Runway task to completion and download the result
+     */
+    async _finishVideoToVideo(taskId, onProgress, signal) {
+        let finalData = null;
+
+        for (let attempts = 0; attempts < this.maxPollAttempts && !finalData; attempts++) {
+            await this.sleep(this.pollInterval, signal);
+            this.throwIfCanceled(signal);
 
-            // Download locally
-            let localPath = null;
-            let cloudinaryUrl = null;
+            let data;
             try {
-                const downloadResult = await this.downloadVideo(taskId, videoUrl);
-                if (typeof downloadResult === 'object') {
-                    localPath = downloadResult.localPath;
-                    cloudinaryUrl = downloadResult.cloudinaryUrl;
-                    if (cloudinaryUrl) {
-                        videoUrl = cloudinaryUrl;
-                    }
-                } else {
-                    localPath = downloadResult;
+                const statusResponse = await fetch(`${this.runwayBaseUrl}/tasks/${taskId}`, {
+                    headers: {
+                        "Authorization": `Bearer ${this.apiKey}`,
+                        "X-Runway-Version": "2024-11-06",
+                    },
+                    signal,
+                });
+                const statusResult = await statusResponse.json();
+                data = statusResult.data || statusResult;
+            } catch (pollError) {
+                // Temporary errors (HTML pages, network blips) are retried
+                this.throwIfCanceled(signal);
+                console.warn(`[CompetAPI] Video-to-video status check failed:`, pollError.message);
+                continue;
+            }
+
+            const status = String(data.status || "").toUpperCase();
+
+            if (status === "FAILED" || status === "CANCELLED") {
+                throw new Error(`Video generation failed: ${data.failure || data.failureCode || status}`);
+            }
+
+            if (status === "SUCCEEDED") {
+                finalData = data;
+            } else if (onProgress && typeof onProgress === 'function') {
+                try {
+                    onProgress({
+                        progress: Math.round((Number(data.progress) || 0) * 100),
+                        status: status.toLowerCase() || "processing",
+                        data: data
+                    });
+                } catch (e) {
+                    console.warn("[CompetAPI] Failed to report progress:", e.message);
                 }
-            } catch (downloadError) {
-                console.error("[CompetAPI] Failed to auto-download video:", downloadError);
             }
+        }
+
+        if (!finalData) {
+            throw new Error("Video generation timeout - exceeded maximum poll attempts");
+        }
+
+        let videoUrl = finalData.output?.[0];
+        if (!videoUrl) {
+            throw new Error(`No output video in task ${taskId}`);
+        }
+
+        let stored = {};
+        try {
+            stored = await this.downloadVideo(taskId, videoUrl);
+        } catch (downloadError) {
+            console.error("[CompetAPI] Failed to auto-download video:", downloadError);
+        }
+
+        return {
+            url: `/api/content/stream/video/${taskId}`,
+            remoteUrl: videoUrl,
+            storageKey: stored.storageKey,
+            storageBackend: stored.storageBackend,
+            thumbnailUrl: null,
+            modelUsed: "gen4_aleph",
+            generationId: taskId,
+            format: "mp4",
+        };
+    }
+
+    /**
+     * Generate speech from the prompt (OpenAI-compatible speech endpoint)
+     */
+    async generateSpeech(prompt, modelId = "tts-1", voice = "alloy", signal) {
+        try {
+            this.throwIfCanceled(signal);
+
+            const response = await fetch(`${this.baseUrl}/audio/speech`, {
+                method: "POST",
+                headers: {
+                    "Authorization": `Bearer ${this.apiKey}`,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify({
+                    model: modelId || "tts-1",
+                    input: prompt,
+                    voice: voice || "alloy",
+                    response_format: "mp3",
+                }),
+                signal,
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`CompetAPI speech generation failed: ${errorText}`);
+            }
+
+            const audioBuffer = Buffer.from(await response.arrayBuffer());
+            const generationId = `tts-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const { storageKey, storageBackend, duration } = await this.saveGeneratedAudio(generationId, audioBuffer, "mp3");
 
             return {
-                url: `/api/content/stream/video/${taskId}`,
-                remoteUrl: videoUrl,
-                localPath: localPath,
-                thumbnailUrl: finalData?.thumbnail_url || finalData?.cover_url || finalData?.data?.thumbnail_url || null,
-                modelUsed: "kling-v1",
-                generationId: taskId,
-                format: "mp4",
+                url: `/api/content/stream/audio/${generationId}`,
+                storageKey,
+                storageBackend,
+                thumbnailUrl: null,
+                modelUsed: modelId || "tts-1",
+                generationId: generationId,
+                format: "mp3",
+                duration,
                 providerMetadata: {
-                    cloudinaryUrl: cloudinaryUrl
+                    voice: voice || "alloy",
                 }
             };
 
         } catch (error) {
-            console.error("[CompetAPI] Image-to-Video error:", error);
+            console.error("[CompetAPI] Speech generation error:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Generate music using Suno
+     * Suno decides the final length; the requested duration is passed along as a hint in the prompt.
+     */
+    async generateMusic(prompt, modelId, duration, onProgress, task = {}) {
+        try {
+            if (task.resumeTaskId) {
+                return await this._finishMusic(task.resumeTaskId, onProgress, task.signal);
+            }
+
+            const payload = {
+                gpt_description_prompt: duration ? `${prompt} (about ${duration} seconds)` : prompt,
+                make_instrumental: false,
+                mv: modelId && modelId.startsWith("chirp-") ? modelId : "chirp-v4",
+            };
+
+            this.throwIfCanceled(task.signal);
+
+            const response = await fetch("https://api.cometapi.com/suno/submit/music", {
+                method: "POST",
+                headers: {
+                    "Authorization": `Bearer ${this.apiKey}`,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify(payload),
+                signal: task.signal,
+            });
+
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`CompetAPI music submission failed: ${errorText}`);
+            }
+
+            const result = await response.json();
+            const taskId = typeof result.data === "string" ? result.data : (result.data?.task_id || result.task_id);
+
+            if (!taskId) {
+                throw new Error(`No task id found in music response: ${JSON.stringify(result)}`);
+            }
+
+            if (task.onTaskCreated) {
+                await task.onTaskCreated({ taskId });
+            }
+
+            return await this._finishMusic(taskId, onProgress, task.signal);
+
+        } catch (error) {
+            console.error("[CompetAPI] Music generation error:", error);
             throw error;
         }
     }
 
+    /**
+     * Poll a submitted Suno task to completion and download the first clip
+     */
+    async _finishMusic(taskId, onProgress, signal) {
+        let clip = null;
+
+        for (let attempts = 0; attempts < this.maxPollAttempts && !clip; attempts++) {
+            await this.sleep(this.pollInterval, signal);
+            this.throwIfCanceled(signal);
+
+            let data;
+            try {
+                const statusResponse = await fetch(`https://api.cometapi.com/suno/fetch/${taskId}`, {
+                    headers: { "Authorization": `Bearer ${this.apiKey}` },
+                    signal,
+                });
+                const statusResult = await statusResponse.json();
+                data = statusResult.data || statusResult;
+            } catch (pollError) {
+                // Temporary errors (HTML pages, network blips) are retried
+                this.throwIfCanceled(signal);
+                console.warn(`[CompetAPI] Music status check failed:`, pollError.message);
+                continue;
+            }
+
+            const status = String(data.status || "").toUpperCase();
+
+            if (status === "FAILURE" || status === "FAILED") {
+                throw new Error(`Music generation failed: ${data.fail_reason || status}`);
+            }
+
+            const clips = Array.isArray(data.data) ? data.data : [];
+            if (status === "SUCCESS" && clips[0]?.audio_url) {
+                clip = clips[0];
+            } else if (onProgress && typeof onProgress === 'function') {
+                try {
+                    onProgress({
+                        progress: parseInt(data.progress, 10) || 0,
+                        status: status.toLowerCase() || "processing",
+                        data: data
+                    });
+                } catch (e) {
+                    console.warn("[CompetAPI] Failed to report progress:", e.message);
+                }
+            }
+        }
+
+        if (!clip) {
+            throw new Error("Music generation timeout - exceeded maximum poll attempts");
+        }
+
+        const audioResponse = await fetch(clip.audio_url, { signal });
+        if (!audioResponse.ok) {
+            throw new Error(`Failed to download music: ${audioResponse.status}`);
+        }
+        const audioBuffer = Buffer.from(await audioResponse.arrayBuffer());
+        const { storageKey, storageBackend, duration } = await this.saveGeneratedAudio(taskId, audioBuffer, "mp3");
+
+        return {
+            url: `/api/content/stream/audio/${taskId}`,
+            remoteUrl: clip.audio_url,
+            storageKey,
+            storageBackend,
+            thumbnailUrl: clip.image_url || null,
+            modelUsed: clip.model_name || "suno",
+            generationId: taskId,
+            format: "mp3",
+            duration: clip.metadata?.duration ?? duration,
+            providerMetadata: {
+                title: clip.title,
+            }
+        };
+    }
+
     /**
      * Poll for video generation progress
+     * Stops with a GENERATION_CANCELED error as soon as the optional signal is aborted.
      */
-    async pollVideoProgress(videoId, onProgress) {
+    async pollVideoProgress(videoId, onProgress, signal) {
 
         let attempts = 0;
 
         while (attempts < this.maxPollAttempts) {
+            this.throwIfCanceled(signal);
+
             try {
                 const statusResponse = await fetch(`${this.baseUrl}/videos/${videoId}`, {
                     headers: {
                         "Authorization": `Bearer ${this.apiKey}`
-                    }
+                    },
+                    signal
                 });
 
                 const text = await statusResponse.text();
 
                 // Handle temporary server errors (HTML responses)
                 if (text.startsWith("<")) {
-                    await this.sleep(this.pollInterval);
+                    await this.sleep(this.pollInterval, signal);
                     attempts++;
                     continue;
                 }
@@ -403,9 +759,10 @@ class CompetAPIProvider extends BaseProvider {
                 if (parseError.message.includes("Video generation failed")) {
                     throw parseError; // Re-throw permanent failure
                 }
+                this.throwIfCanceled(signal);
             }
 
-            await this.sleep(this.pollInterval);
+            await this.sleep(this.pollInterval, signal);
             attempts++;
         }
 
@@ -413,20 +770,11 @@ class CompetAPIProvider extends BaseProvider {
     }
 
     /**
-     * Download video from CompetAPI
-     */
-    /**
-     * Download video from CompetAPI
+     * Download a finished video from CompetAPI into storage
+     * @returns {Promise<Object>} - See BaseProvider.storeGeneratedFile()
      */
     async downloadVideo(videoId, videoUrl) {
         try {
-
-            // Create output directory if it doesn't exist
-            const outputDir = this._getOutputDir();
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
-            }
-
             // Determine download URL
             const downloadUrl = videoUrl || `${this.baseUrl}/videos/${videoId}/content`;
 
@@ -448,37 +796,7 @@ class CompetAPIProvider extends BaseProvider {
             const arrayBuffer = await videoResponse.arrayBuffer();
             const videoBuffer = Buffer.from(arrayBuffer);
 
-            // 1. Save locally (Temporary/Cache)
-            const outputPath = path.join(outputDir, `${videoId}.mp4`);
-            fs.writeFileSync(outputPath, videoBuffer);
-
-            // 2. Upload to Cloudinary (Persistent) - We return this object so generateVideo can use it
-            try {
-                console.log(`[CompetAPI] Uploading video ${videoId} to Cloudinary...`);
-                const result = await CloudinaryProvider.uploadVideo(videoBuffer, 'generated');
-                if (result && result.url) {
-                    console.log(`[CompetAPI] Cloudinary upload success: ${result.url}`);
-                    // Attach to the local file object or return separate info?
-                    // Because this method signature originally returned relativePath string,
-                    // we'll stick to that but we need to pass this up.
-                    // Actually, the caller `generateVideo` ignores the return value mostly or uses it for `localPath`.
-                    // We need to change the caller to handle Cloudinary URL.
-                    return {
-                        localPath: `/generated/${videoId}.mp4`,
-                        cloudinaryUrl: result.url,
-                        absolutePath: outputPath
-                    };
-                }
-            } catch (cloudError) {
-                console.error("[CompetAPI] Cloudinary upload failed:", cloudError);
-            }
-
-            // Fallback return
-            return {
-                localPath: `/generated/${videoId}.mp4`,
-                cloudinaryUrl: null,
-                absolutePath: outputPath
-            };
+            return await this.saveGeneratedVideo(videoId, videoBuffer);
 
         } catch (error) {
             console.error("[CompetAPI] Download error stack:", error);
@@ -505,8 +823,9 @@ class CompetAPIProvider extends BaseProvider {
                 return Buffer.from(base64Data, 'base64');
             };
 
-            // Convert image to buffer
+            // Convert image (and the optional PNG mask) to buffers
             const imageBuffer = base64ToBuffer(imageUrl);
+            const maskBuffer = mask ? base64ToBuffer(mask) : null;
 
             // Create FormData - try different approaches
             let FormDataModule;
@@ -523,10 +842,14 @@ class CompetAPIProvider extends BaseProvider {
             formdata.append("prompt", prompt);
             formdata.append("model", "gpt-image-1");
 
-            // For mask, try empty string first
-            formdata.append("mask", "");
+            // Without a mask, send an empty field
+            if (maskBuffer) {
+                formdata.append("mask", maskBuffer, "mask.png");
+            } else {
+                formdata.append("mask", "");
+            }
 
-            formdata.append("n", "");
+            formdata.append("n", String(n || 1));
             formdata.append("quality", "");
             formdata.append("response_format", "");
             formdata.append("size", "");
@@ -580,8 +903,12 @@ class CompetAPIProvider extends BaseProvider {
                         fetchFormData.append("image", imageBlob, "test.png");
                         fetchFormData.append("prompt", prompt);
                         fetchFormData.append("model", "gpt-image-1");
-                        fetchFormData.append("mask", "");
-                        fetchFormData.append("n", "");
+                        if (maskBuffer) {
+                            fetchFormData.append("mask", new Blob([maskBuffer], { type: 'image/png' }), "mask.png");
+                        } else {
+                            fetchFormData.append("mask", "");
+                        }
+                        fetchFormData.append("n", String(n || 1));
                         fetchFormData.append("quality", "");
                         fetchFormData.append("response_format", "");
                         fetchFormData.append("size", "");
@@ -602,42 +929,11 @@ class CompetAPIProvider extends BaseProvider {
                         const result = await fetchResponse.json();
 
                         // Process result...
-                        const b64Image = result.data?.[0]?.b64_json;
-                        if (!b64Image) {
+                        if (!result.data?.[0]?.b64_json) {
                             throw new Error('No image data in response');
                         }
 
-
-                        // Save image
-                        const imageId = `edit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                        const outputDir = this._getOutputDir();
-                        if (!fs.existsSync(outputDir)) {
-                            fs.mkdirSync(outputDir, { recursive: true });
-                        }
-
-                        const outputPath = path.join(outputDir, `${imageId}.png`);
-                        const savedImageBuffer = Buffer.from(b64Image, 'base64');
-                        fs.writeFileSync(outputPath, savedImageBuffer);
-
-                        // Upload to Cloudinary
-                        let cloudinaryUrl = null;
-                        try {
-                            const result = await CloudinaryProvider.uploadImage(savedImageBuffer, 'generated');
-                            if (result && result.url) {
-                                cloudinaryUrl = result.url;
-                            }
-                        } catch (e) {
-                            console.error("Cloudinary image upload failed:", e);
-                        }
-
-                        return {
-                            url: `/api/content/stream/image/${imageId}`,
-                            localPath: outputPath,
-                            remoteUrl: cloudinaryUrl, // Add persistent URL
-                            modelUsed: "gpt-image-1",
-                            generationId: imageId,
-                            format: "png"
-                        };
+                        return await this._imageEditResult(result.data);
 
                     } catch (fetchError) {
                         console.error('[CompetAPI] Fetch also failed:', fetchError.message);
@@ -683,33 +979,12 @@ class CompetAPIProvider extends BaseProvider {
             }
 
             // Extract b64_json from response
-            const b64Image = result.data?.[0]?.b64_json;
-            if (!b64Image) {
+            if (!result.data?.[0]?.b64_json) {
                 console.error('[CompetAPI] No image data in response:', result);
                 throw new Error('No image data in response');
             }
 
-            // Generate unique ID for this image
-            const imageId = `edit-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-            // Save image locally
-            const outputDir = path.join(process.cwd(), "public", "generated");
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
-            }
-
-            const outputPath = path.join(outputDir, `${imageId}.png`);
-            const savedImageBuffer = Buffer.from(b64Image, 'base64');
-            fs.writeFileSync(outputPath, savedImageBuffer);
-
-
-            return {
-                url: `/api/content/stream/image/${imageId}`,
-                localPath: outputPath,
-                modelUsed: "gpt-image-1",
-                generationId: imageId,
-                format: "png"
-            };
+            return await this._imageEditResult(result.data);
 
         } catch (error) {
             console.error("[CompetAPI] Image edit error details:");
@@ -730,6 +1005,25 @@ class CompetAPIProvider extends BaseProvider {
             throw helpfulError;
         }
     }
+
+    /**
+     * Save every edited image; the first is the primary result, all of them are variants
+     */
+    async _imageEditResult(items) {
+        const variants = [];
+        for (const item of items) {
+            const asset = await this._storeImageItem(item, "edit");
+            if (asset) variants.push(asset);
+        }
+
+        return {
+            ...variants[0],
+            modelUsed: "gpt-image-1",
+            format: "png",
+            ...(variants.length > 1 && { variants })
+        };
+    }
+
     /**
      * Enhance a prompt using LLM
      */
@@ -821,7 +1115,7 @@ class CompetAPIProvider extends BaseProvider {
     /**
      * Generate image using CompetAPI (Strict Text-to-Image)
      */
-    async generateImage(prompt, modelId, aspectRatio, existingImage) {
+    async generateImage(prompt, modelId, aspectRatio, existingImage, n = 1) {
         try {
             // Strict Model Enforcement
             const validModels = ["dall-e-3", "gpt-image-1", "gpt-image-1-mini", "flux-kontext-max", "flux-kontext-pro", "qwen-image"];
@@ -840,7 +1134,7 @@ class CompetAPIProvider extends BaseProvider {
             const raw = JSON.stringify({
                 "model": model,
                 "size": size,
-                "n": 1,
+                "n": n || 1,
                 "prompt": prompt
                 // "image": existingImage ? [existingImage] : undefined // User's doc showed image array for edits, but this is generateImage. 
                 // However, user example showed "image": [".jpg"]. I will omit 'image' for pure text-to-image unless it's needed.
@@ -869,68 +1163,20 @@ class CompetAPIProvider extends BaseProvider {
             const result = await response.json();
 
             // Extract data
-            // Expecting result.data[0].url or result.data[0].b64_json
+            // Expecting result.data[i].url or result.data[i].b64_json; every returned image is kept as a variant
             if (result.data && result.data.length > 0) {
-                const imageItem = result.data[0];
-                let remoteUrl = imageItem.url;
-                let b64Data = imageItem.b64_json;
-
-                // If we got b64_json, let's save it (similar to previous logic)
-                // If we got url, we can use it directly
-
-                let generationId = `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-                if (b64Data) {
-                    const imageBuffer = Buffer.from(b64Data, 'base64');
-                    // We'll rely on the controller to handle saving or stream it if we return the right format
-                    // But to be safe and consistent with previous code, let's return it struct
-                    // Save image locally
-                    const outputDir = this._getOutputDir();
-                    if (!fs.existsSync(outputDir)) {
-                        fs.mkdirSync(outputDir, { recursive: true });
-                    }
-
-                    const outputPath = path.join(outputDir, `${generationId}.png`);
-                    fs.writeFileSync(outputPath, imageBuffer);
-
-                    // Upload to Cloudinary
-                    let cloudinaryUrl = null;
-                    try {
-                        const result = await CloudinaryProvider.uploadImage(imageBuffer, 'generated');
-                        if (result && result.url) {
-                            cloudinaryUrl = result.url;
-                        }
-                    } catch (e) {
-                        console.error("Cloudinary image upload failed:", e);
-                    }
-
-                    return {
-                        url: `/api/content/stream/image/${generationId}`,
-                        remoteUrl: cloudinaryUrl || remoteUrl || null,
-                        localPath: outputPath,
-                        modelUsed: model,
-                        generationId: generationId,
-                        format: "png"
-                    };
-
-                } else if (remoteUrl) {
-                    // Upload to Cloudinary from remote URL
-                    let cloudinaryUrl = null;
-                    try {
-                        const result = await CloudinaryProvider.uploadFromUrl(remoteUrl, 'image', 'generated');
-                        if (result && result.url) {
-                            cloudinaryUrl = result.url;
-                        }
-                    } catch (e) {
-                        console.error("Cloudinary upload from URL failed:", e);
-                    }
+                const variants = [];
+                for (const imageItem of result.data) {
+                    const asset = await this._storeImageItem(imageItem, "gen");
+                    if (asset) variants.push(asset);
+                }
 
+                if (variants.length > 0) {
                     return {
-                        url: cloudinaryUrl || remoteUrl,
-                        remoteUrl: cloudinaryUrl || remoteUrl,
+                        ...variants[0],
                         modelUsed: model,
-                        generationId: generationId,
-                        format: "png"
+                        format: "png",
+                        ...(variants.length > 1 && { variants })
                     };
                 }
             }
@@ -945,25 +1191,70 @@ class CompetAPIProvider extends BaseProvider {
 
 
 
+    /**
+     * Keep one image from an images API response (b64_json or url)
+     * URL results are copied into storage too, since vendor URLs expire; if that download fails the vendor URL is kept.
+     * @returns {Promise<Object|null>} - { url, remoteUrl, storageKey, storageBackend, generationId }, or null if the item has no image
+     */
+    async _storeImageItem(imageItem, prefix) {
+        const generationId = `${prefix}-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+        let imageBuffer = null;
+        if (imageItem?.b64_json) {
+            imageBuffer = Buffer.from(imageItem.b64_json, 'base64');
+        } else if (imageItem?.url) {
+            try {
+                const imageResponse = await fetch(imageItem.url);
+                if (!imageResponse.ok) {
+                    throw new Error(`Failed to download image: ${imageResponse.statusText}`);
+                }
+                imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
+            } catch (e) {
+                console.error("[CompetAPI] Image download failed:", e);
+                return {
+                    url: imageItem.url,
+                    remoteUrl: imageItem.url,
+                    generationId: generationId,
+                };
+            }
+        } else {
+            return null;
+        }
+
+        const { storageKey, storageBackend } = await this.saveGeneratedImage(generationId, imageBuffer);
+
+        return {
+            url: `/api/content/stream/image/${generationId}`,
+            remoteUrl: imageItem.url || null,
+            storageKey,
+            storageBackend,
+            generationId: generationId,
+        };
+    }
+
     /**
      * Poll for image generation progress
+     * Stops with a GENERATION_CANCELED error as soon as the optional signal is aborted.
      */
-    async pollImageProgress(imageId) {
+    async pollImageProgress(imageId, signal) {
 
         let attempts = 0;
 
         while (attempts < this.maxPollAttempts) {
+            this.throwIfCanceled(signal);
+
             try {
                 const statusResponse = await fetch(`${this.baseUrl}/images/${imageId}`, {
                     headers: {
                         "Authorization": `Bearer ${this.apiKey}`
-                    }
+                    },
+                    signal
                 });
 
                 const text = await statusResponse.text();
 
                 if (text.startsWith("<")) {
-                    await this.sleep(this.pollInterval);
+                    await this.sleep(this.pollInterval, signal);
                     attempts++;
                     continue;
                 }
@@ -983,9 +1274,10 @@ class CompetAPIProvider extends BaseProvider {
                 }
 
             } catch (parseError) {
+                this.throwIfCanceled(signal);
             }
 
-            await this.sleep(this.pollInterval);
+            await this.sleep(this.pollInterval, signal);
             attempts++;
         }
 
@@ -993,16 +1285,12 @@ class CompetAPIProvider extends BaseProvider {
     }
 
     /**
-     * Download image from CompetAPI
+     * Download image from CompetAPI into storage
+     * @returns {Promise<Object>} - See BaseProvider.storeGeneratedFile()
      */
     async downloadImage(imageId, directUrl = null) {
         try {
 
-            const outputDir = this._getOutputDir();
-            if (!fs.existsSync(outputDir)) {
-                fs.mkdirSync(outputDir, { recursive: true });
-            }
-
             const downloadUrl = directUrl || `${this.baseUrl}/images/${imageId}/content`;
 
             const imageResponse = await fetch(downloadUrl, {
@@ -1015,30 +1303,8 @@ class CompetAPIProvider extends BaseProvider {
                 throw new Error(`Failed to download image: ${imageResponse.statusText}`);
             }
 
-
-            const outputPath = path.join(outputDir, `${imageId}.png`);
             const imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
-            fs.writeFileSync(outputPath, imageBuffer);
-
-            // Cloudinary Upload
-            let cloudinaryUrl = null;
-            try {
-                const result = await CloudinaryProvider.uploadImage(imageBuffer, 'generated');
-                if (result && result.url) {
-                    cloudinaryUrl = result.url;
-                }
-            } catch (e) {
-                console.error("Cloudinary upload failed:", e);
-            }
-
-            if (fs.existsSync(outputPath)) {
-                return {
-                    localPath: `/generated/${imageId}.png`,
-                    cloudinaryUrl: cloudinaryUrl
-                };
-            } else {
-                throw new Error("Failed to save image file");
-            }
+            return await this.saveGeneratedImage(imageId, imageBuffer);
 
         } catch (error) {
             console.error("[CompetAPI] Download error:", error);
@@ -0,0 +1,314 @@
+import BaseProvider from "./BaseProvider.js";
+
+const PLACEHOLDER = /\{\{\s*([a-zA-Z_]+)\s*\}\}/g;
+const EXACT_PLACEHOLDER = /^\{\{\s*([a-zA-Z_]+)\s*\}\}$/;
+
+/**
+ * Read a value with a JSONPath-style path ("$.data.items[0].url" or "data.items.0.url")
+ * @param {Object} source - Parsed JSON
+ * @param {string} jsonPath - Path expression
+ * @returns {any} - Value, or undefined if the path doesn't exist
+ */
+export const getByPath = (source, jsonPath) => {
+    if (!jsonPath) return undefined;
+
+    const keys = jsonPath
+        .replace(/^\$\.?/, "")
+        .replace(/\[(\d+)\]/g, ".$1")
+        .split(".")
+        .filter(Boolean);
+
+    return keys.reduce((value, key) => (value == null ? undefined : value[key]), source);
+};
+
+/**
+ * Fill {{placeholders}} in a template
+ * A string that is exactly one placeholder keeps the variable's type, and object keys
+ * whose placeholder has no value are dropped.
+ * @param {any} template - String, array or object template
+ * @param {Object} variables - Values by name
+ * @returns {any} - Rendered value
+ */
+export const renderTemplate = (template, variables) => {
+    if (typeof template === "string") {
+        const exact = template.match(EXACT_PLACEHOLDER);
+        if (exact) return variables[exact[1]];
+        return template.replace(PLACEHOLDER, (_, name) => (variables[name] ?? ""));
+    }
+    if (Array.isArray(template)) {
+        return template.map((item) => renderTemplate(item, variables)).filter((item) => item !== undefined);
+    }
+    if (template && typeof template === "object") {
+        return Object.fromEntries(
+            Object.entries(template)
+                .map(([key, value]) => [key, renderTemplate(value, variables)])
+                .filter(([, value]) => value !== undefined)
+        );
+    }
+    return template;
+};
+
+/**
+ * Custom HTTP Provider
+ * Generic provider configured entirely from Model.apiConfig, so a new vendor can be
+ * onboarded from the admin Model screen:
+ *  - endpoint / method / headers / requestFormat: the submission request
+ *  - auth: how the AIConfig custom key is sent
+ *  - statusEndpoint + responseMapping: how to poll async jobs and read the result
+ * APIs that return the output directly only need responseMapping.outputUrl.
+ */
+class CustomHTTPProvider extends BaseProvider {
+    constructor(apiKey, config = {}) {
+        super(apiKey, config);
+        this.model = config.model || {};
+        this.apiConfig = this.model.apiConfig || {};
+        this.pollInterval = this.apiConfig.pollInterval || 5000;
+        this.maxPollAttempts = this.apiConfig.maxPollAttempts || 120;
+    }
+
+    /**
+     * Generate content through the configured vendor API
+     * @param {Object} params - Generation parameters
+     * @returns {Promise<Object>} - Generation result
+     */
+    async generate(params) {
+        const { type, onProgress, signal } = params;
+        const mapping = this.apiConfig.responseMapping || {};
+
+        if (!this.apiConfig.endpoint) {
+            throw new Error(`Model ${this.model.modelId} has no apiConfig.endpoint`);
+        }
+        if (!["video", "image", "audio"].includes(type)) {
+            throw new Error(`Unsupported generation type: ${type}`);
+        }
+
+        // Every generation parameter (including the model's declared ones) can be used as a placeholder
+        const variables = {
+            ...params,
+            model: this.model.modelId,
+        };
+
+        let finalData;
+        let jobId = params.resumeTaskId;
+
+        if (!jobId) {
+            this.throwIfCanceled(signal);
+            const submitted = await this.request(this.apiConfig.endpoint, {
+                method: this.apiConfig.method || "POST",
+                body: renderTemplate(this.apiConfig.requestFormat ?? { prompt: "{{prompt}}" }, variables),
+                variables,
+                signal,
+            });
+
+            // Synchronous APIs answer with the output straight away
+            if (getByPath(submitted, mapping.outputUrl)) {
+                finalData = submitted;
+            } else {
+                jobId = getByPath(submitted, mapping.jobId);
+                if (!jobId) {
+                    throw new Error(`No job id at "${mapping.jobId}" in response: ${JSON.stringify(submitted).slice(0, 500)}`);
+                }
+                if (params.onTaskCreated) {
+                    await params.onTaskCreated({ taskId: String(jobId) });
+                }
+            }
+        }
+
+        if (!finalData) {
+            finalData = await this.pollStatus(String(jobId), { ...variables, jobId }, onProgress, signal);
+        }
+
+        const outputUrl = getByPath(finalData, mapping.outputUrl);
+        if (!outputUrl) {
+            throw new Error(`No output URL at "${mapping.outputUrl}" in response: ${JSON.stringify(finalData).slice(0, 500)}`);
+        }
+
+        const generationId = `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const response = await fetch(outputUrl, { signal });
+        if (!response.ok) {
+            throw new Error(`Failed to download output: ${response.statusText}`);
+        }
+        const buffer = Buffer.from(await response.arrayBuffer());
+
+        const saved = {
+            video: () => this.saveGeneratedVideo(generationId, buffer),
+            image: () => this.saveGeneratedImage(generationId, buffer),
+            audio: () => this.saveGeneratedAudio(generationId, buffer),
+        };
+        const formats = { video: "mp4", image: "png", audio: "mp3" };
+        const { storageKey, storageBackend, duration } = await saved[type]();
+
+        return {
+            url: `/api/content/stream/${type}/${generationId}`,
+            remoteUrl: outputUrl,
+            storageKey,
+            storageBackend,
+            thumbnailUrl: getByPath(finalData, mapping.thumbnailUrl) || null,
+            modelUsed: this.model.modelId,
+            generationId,
+            format: formats[type],
+            duration,
+            metadata: {
+                vendorJobId: jobId ? String(jobId) : undefined,
+            },
+        };
+    }
+
+    /**
+     * Poll the status endpoint until the job completes or fails
+     */
+    async pollStatus(jobId, variables, onProgress, signal) {
+        const mapping = this.apiConfig.responseMapping || {};
+        const completed = (this.apiConfig.completedStatuses || []).map((status) => status.toLowerCase());
+        const failed = (this.apiConfig.failedStatuses || []).map((status) => status.toLowerCase());
+
+        if (!this.apiConfig.statusEndpoint) {
+            throw new Error(`Model ${this.model.modelId} returned a job id but has no apiConfig.statusEndpoint`);
+        }
+
+        for (let attempt = 1; attempt <= this.maxPollAttempts; attempt++) {
+            await this.wait(this.pollInterval, signal);
+            this.throwIfCanceled(signal);
+
+            let data;
+            try {
+                data = await this.request(this.apiConfig.statusEndpoint, {
+                    method: this.apiConfig.statusMethod || "GET",
+                    variables,
+                    signal,
+                });
+            } catch (error) {
+                // Transient polling errors are retried until the attempt limit
+                this.throwIfCanceled(signal);
+                console.warn(`[Custom] Status check for ${jobId} failed:`, error.message);
+                continue;
+            }
+
+            const status = String(getByPath(data, mapping.status) ?? "").toLowerCase();
+
+            if (failed.includes(status)) {
+                const reason = getByPath(data, mapping.error) || status;
+                throw new Error(`${this.model.modelId} generation failed: ${typeof reason === "string" ? reason : JSON.stringify(reason)}`);
+            }
+
+            if (completed.includes(status) || (!mapping.status && getByPath(data, mapping.outputUrl))) {
+                return data;
+            }
+
+            if (typeof onProgress === "function") {
+                const rawProgress = getByPath(data, mapping.progress);
+                const progress = rawProgress !== undefined
+                    ? parseFloat(String(rawProgress)) || 0
+                    : Math.round((attempt / this.maxPollAttempts) * 90);
+                try {
+                    onProgress({ progress: Math.min(99, progress), status: status || "processing", data });
+                } catch (error) {
+                    console.warn("[Custom] Failed to report progress:", error.message);
+                }
+            }
+        }
+
+        throw new Error(`${this.model.modelId} generation timeout - exceeded maximum poll attempts`);
+    }
+
+    /**
+     * Send a templated request with the configured headers and auth
+     */
+    async request(urlTemplate, { method, body, variables, signal }) {
+        const auth = this.apiConfig.auth || {};
+        const url = new URL(renderTemplate(urlTemplate, variables));
+        const headers = {
+            "Content-Type": "application/json",
+            ...renderTemplate(this.apiConfig.headers || {}, variables),
+        };
+
+        if (auth.type !== "none") {
+            if (!this.apiKey) {
+                throw new Error(`API key "${auth.keyName}" for ${this.model.modelId} is not configured`);
+            }
+            if (auth.type === "header") {
+                headers[auth.name || "X-API-Key"] = this.apiKey;
+            } else if (auth.type === "query") {
+                url.searchParams.set(auth.name || "api_key", this.apiKey);
+            } else {
+                headers[auth.name || "Authorization"] = `Bearer ${this.apiKey}`;
+            }
+        }
+
+        const timeoutSignal = AbortSignal.timeout(this.config.timeout);
+        const response = await fetch(url, {
+            method,
+            headers,
+            body: body !== undefined && method !== "GET" ? JSON.stringify(body) : undefined,
+            signal: signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal,
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`${this.model.modelId} API error (${response.status}): ${text.slice(0, 500)}`);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${this.model.modelId} API returned invalid JSON: ${text.slice(0, 200)}`);
+        }
+    }
+
+    /**
+     * Wait that ends early when the signal is aborted
+     */
+    wait(ms, signal) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(done, ms);
+            function done() {
+                clearTimeout(timer);
+                signal?.removeEventListener("abort", done);
+                resolve();
+            }
+            signal?.addEventListener("abort", done, { once: true });
+        });
+    }
+
+    /**
+     * Check a job's status once
+     */
+    async checkStatus(jobId) {
+        const data = await this.request(this.apiConfig.statusEndpoint, {
+            method: this.apiConfig.statusMethod || "GET",
+            variables: { jobId, model: this.model.modelId },
+        });
+        const mapping = this.apiConfig.responseMapping || {};
+        return {
+            status: getByPath(data, mapping.status) || "unknown",
+            progress: getByPath(data, mapping.progress),
+            url: getByPath(data, mapping.outputUrl),
+            error: getByPath(data, mapping.error),
+        };
+    }
+
+    /**
+     * Get available models
+     */
+    async getModels() {
+        return [{ id: this.model.modelId, name: this.model.name }];
+    }
+
+    /**
+     * Test API connectivity (any HTTP answer from the vendor host counts)
+     */
+    async testConnection() {
+        try {
+            const response = await fetch(new URL(this.apiConfig.endpoint).origin, {
+                method: "GET",
+                signal: AbortSignal.timeout(10000),
+            });
+            return response.status < 500;
+        } catch (error) {
+            console.error("Connection test failed:", error);
+            return false;
+        }
+    }
+}
+
+export default CustomHTTPProvider;
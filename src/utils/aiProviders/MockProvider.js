@@ -0,0 +1,314 @@
+import BaseProvider from "./BaseProvider.js";
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import zlib from "zlib";
+
+const DEFAULT_VIDEO_DIR = path.join(process.cwd(), "public", "uploads", "templates");
+const PROGRESS_STEPS = 10;
+const AUDIO_SAMPLE_RATE = 8000;
+// Rough speaking rate used to size mock speech
+const SPEECH_CHARS_PER_SECOND = 15;
+
+// CRC-32 table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+const pngChunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+};
+
+/**
+ * Mock Provider
+ * Offline stand-in used when AIConfig.features.enableMockMode is on.
+ * Produces deterministic placeholder images (same request -> same pixels), tones for audio, and short videos
+ * copied from a local source (or the input clip for video-to-video), reporting progress like a real provider.
+ *
+ * Config: latencyMs (total simulated time), failureRate (0-1), videoSource (mp4 path or URL)
+ */
+class MockProvider extends BaseProvider {
+    constructor(apiKey, config = {}) {
+        super(apiKey, config);
+        this.latencyMs = Math.max(0, Number(config.latencyMs ?? 5000));
+        this.failureRate = Math.min(1, Math.max(0, Number(config.failureRate ?? 0)));
+        this.videoSource = config.videoSource || process.env.MOCK_VIDEO_SOURCE || null;
+    }
+
+    /**
+     * Generate placeholder content
+     * @param {Object} params - Generation parameters (type, prompt, model, aspectRatio, onProgress, signal)
+     * @returns {Promise<Object>} - Generation result
+     */
+    async generate(params) {
+        const { type, prompt = "", model = "mock", aspectRatio = "16:9", style = "", onProgress, signal } = params;
+
+        if (!["video", "image", "audio"].includes(type)) {
+            throw new Error(`Unsupported generation type: ${type}`);
+        }
+
+        const generationId = params.resumeTaskId || `mock-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        if (params.onTaskCreated && !params.resumeTaskId) {
+            await params.onTaskCreated({ taskId: generationId });
+        }
+
+        // Decide up front whether this run fails, and at which step
+        const failAtStep = Math.random() < this.failureRate ? 1 + Math.floor(Math.random() * (PROGRESS_STEPS - 1)) : null;
+
+        for (let step = 1; step <= PROGRESS_STEPS; step++) {
+            await this.wait(this.latencyMs / PROGRESS_STEPS, signal);
+            this.throwIfCanceled(signal);
+
+            if (step === failAtStep) {
+                throw new Error(`Mock ${type} generation failed (simulated failure)`);
+            }
+
+            if (typeof onProgress === "function") {
+                try {
+                    await onProgress({
+                        progress: Math.round((step / PROGRESS_STEPS) * 100),
+                        status: step === PROGRESS_STEPS ? "completed" : "in_progress",
+                        data: { id: generationId },
+                    });
+                } catch (error) {
+                    console.warn("[Mock] Failed to report progress:", error.message);
+                }
+            }
+        }
+
+        if (type === "audio") {
+            const { audioType = "speech", voice = "" } = params;
+            const seed = crypto.createHash("sha256").update(JSON.stringify([type, model, prompt, audioType, voice])).digest();
+            const duration = audioType === "music"
+                ? Number(params.duration) || 5
+                : Math.max(1, Math.round(prompt.length / SPEECH_CHARS_PER_SECOND));
+
+            const stored = await this.saveGeneratedAudio(generationId, this.renderTone(seed, duration), "wav");
+
+            return {
+                url: `/api/content/stream/audio/${generationId}`,
+                storageKey: stored.storageKey,
+                storageBackend: stored.storageBackend,
+                thumbnailUrl: null,
+                modelUsed: model,
+                generationId,
+                format: "wav",
+                duration,
+                metadata: { mock: true },
+            };
+        }
+
+        // Upscales and variations also depend on their source image
+        const { operation, scale = 2, imageUrl } = params;
+        const seed = crypto.createHash("sha256")
+            .update(JSON.stringify([type, model, prompt, style, aspectRatio, ...(operation ? [operation, scale, imageUrl] : [])]))
+            .digest();
+        const longestSide = operation === "upscale" ? 512 * scale : 512;
+
+        // Images, and video thumbnails, are drawn from the request hash
+        const image = await this.saveGeneratedImage(generationId, this.renderPlaceholder(seed, aspectRatio, longestSide));
+
+        if (type === "image") {
+            const variants = [{ url: `/api/content/stream/image/${generationId}`, ...image, generationId }];
+
+            // Extra outputs are drawn from the request hash plus their index
+            for (let index = 1; index < (Number(params.n) || 1); index++) {
+                const variantId = `${generationId}-${index}`;
+                const variantSeed = crypto.createHash("sha256").update(seed).update(String(index)).digest();
+                const variant = await this.saveGeneratedImage(variantId, this.renderPlaceholder(variantSeed, aspectRatio, longestSide));
+                variants.push({ url: `/api/content/stream/image/${variantId}`, ...variant, generationId: variantId });
+            }
+
+            return {
+                ...variants[0],
+                modelUsed: model,
+                generationId,
+                format: "png",
+                ...(variants.length > 1 && { variants }),
+                metadata: { mock: true },
+            };
+        }
+
+        const stored = await this.saveGeneratedVideo(generationId, await this.loadVideoSource(signal, params.videoUrl));
+
+        return {
+            url: `/api/content/stream/video/${generationId}`,
+            storageKey: stored.storageKey,
+            storageBackend: stored.storageBackend,
+            thumbnailUrl: null,
+            modelUsed: model,
+            generationId,
+            format: "mp4",
+            metadata: { mock: true },
+        };
+    }
+
+    /**
+     * Wait that ends early when the signal is aborted
+     */
+    wait(ms, signal) {
+        return new Promise((resolve) => {
+            const timer = setTimeout(done, ms);
+            function done() {
+                clearTimeout(timer);
+                signal?.removeEventListener("abort", done);
+                resolve();
+            }
+            signal?.addEventListener("abort", done, { once: true });
+        });
+    }
+
+    /**
+     * Pixel size for an aspect ratio ("16:9" or "1280x720"), longest side 512px unless given
+     */
+    getDimensions(aspectRatio, longestSide = 512) {
+        const [width, height] = String(aspectRatio).split(/[:x]/).map(Number);
+        if (!width || !height) return { width: longestSide, height: longestSide };
+
+        const scale = longestSide / Math.max(width, height);
+        return {
+            width: Math.max(1, Math.round(width * scale)),
+            height: Math.max(1, Math.round(height * scale)),
+        };
+    }
+
+    /**
+     * Render a deterministic gradient-and-stripes PNG from a seed
+     * @param {Buffer} seed - Request hash
+     * @param {string} aspectRatio - Requested aspect ratio
+     * @param {number} longestSide - Pixel length of the longest side (larger for upscales)
+     * @returns {Buffer} - PNG data
+     */
+    renderPlaceholder(seed, aspectRatio, longestSide) {
+        const { width, height } = this.getDimensions(aspectRatio, longestSide);
+        const from = [seed[0], seed[1], seed[2]];
+        const to = [seed[3], seed[4], seed[5]];
+        const stripe = 16 + (seed[6] % 48);
+
+        // Each row: filter byte (0) followed by RGB pixels
+        const raw = Buffer.alloc((width * 3 + 1) * height);
+        let offset = 0;
+        for (let y = 0; y < height; y++) {
+            raw[offset++] = 0;
+            for (let x = 0; x < width; x++) {
+                const t = (x + y) / (width + height);
+                const shade = Math.floor((x + y) / stripe) % 2 === 0 ? 1 : 0.85;
+                for (let c = 0; c < 3; c++) {
+                    raw[offset++] = Math.round((from[c] + (to[c] - from[c]) * t) * shade);
+                }
+            }
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 2; // truecolor RGB
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk("IHDR", header),
+            pngChunk("IDAT", zlib.deflateSync(raw)),
+            pngChunk("IEND", Buffer.alloc(0)),
+        ]);
+    }
+
+    /**
+     * Render a deterministic sine tone as 16-bit mono WAV
+     * @param {Buffer} seed - Request hash
+     * @param {number} duration - Length in seconds
+     * @returns {Buffer} - WAV data
+     */
+    renderTone(seed, duration) {
+        const frequency = 220 + seed.readUInt16BE(0) % 660;
+        const samples = Math.round(duration * AUDIO_SAMPLE_RATE);
+        const data = Buffer.alloc(samples * 2);
+        for (let i = 0; i < samples; i++) {
+            data.writeInt16LE(Math.round(Math.sin((2 * Math.PI * frequency * i) / AUDIO_SAMPLE_RATE) * 8000), i * 2);
+        }
+
+        const header = Buffer.alloc(44);
+        header.write("RIFF", 0, "ascii");
+        header.writeUInt32LE(36 + data.length, 4);
+        header.write("WAVE", 8, "ascii");
+        header.write("fmt ", 12, "ascii");
+        header.writeUInt32LE(16, 16); // fmt chunk size
+        header.writeUInt16LE(1, 20); // PCM
+        header.writeUInt16LE(1, 22); // mono
+        header.writeUInt32LE(AUDIO_SAMPLE_RATE, 24);
+        header.writeUInt32LE(AUDIO_SAMPLE_RATE * 2, 28); // byte rate
+        header.writeUInt16LE(2, 32); // block align
+        header.writeUInt16LE(16, 34); // bits per sample
+        header.write("data", 36, "ascii");
+        header.writeUInt32LE(data.length, 40);
+
+        return Buffer.concat([header, data]);
+    }
+
+    /**
+     * Read the clip used for mock videos (input video, configured source, else the first bundled template video)
+     * @returns {Promise<Buffer>} - MP4 data
+     */
+    async loadVideoSource(signal, inputVideo) {
+        let source = inputVideo || this.videoSource;
+
+        if (!source && fs.existsSync(DEFAULT_VIDEO_DIR)) {
+            const clip = fs.readdirSync(DEFAULT_VIDEO_DIR).sort().find((file) => file.endsWith(".mp4"));
+            if (clip) source = path.join(DEFAULT_VIDEO_DIR, clip);
+        }
+
+        if (!source) {
+            throw new Error("No mock video source available. Set AIConfig mock.videoSource or MOCK_VIDEO_SOURCE.");
+        }
+
+        if (/^https?:\/\//.test(source)) {
+            const response = await fetch(source, { signal });
+            if (!response.ok) {
+                throw new Error(`Failed to load mock video source: ${response.statusText}`);
+            }
+            return Buffer.from(await response.arrayBuffer());
+        }
+
+        return fs.readFileSync(path.isAbsolute(source) ? source : path.join(process.cwd(), source));
+    }
+
+    /**
+     * Check generation status (mock generations finish within generate())
+     */
+    async checkStatus(jobId) {
+        return { status: "completed", progress: "100%" };
+    }
+
+    /**
+     * Get available models
+     */
+    async getModels() {
+        return [{ id: "mock", name: "Mock Provider" }];
+    }
+
+    /**
+     * Test API connectivity (always available)
+     */
+    async testConnection() {
+        return true;
+    }
+}
+
+export default MockProvider;
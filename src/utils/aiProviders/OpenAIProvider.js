@@ -2,7 +2,7 @@ import BaseProvider from "./BaseProvider.js";
 
 /**
  * OpenAI Provider
- * Used for AI-powered prompt generation and enhancement
+ * Used for AI-powered prompt generation and enhancement, image generation and text-to-speech
  */
 class OpenAIProvider extends BaseProvider {
     constructor(apiKey, config = {}) {
@@ -127,10 +127,196 @@ class OpenAIProvider extends BaseProvider {
     }
 
     /**
-     * Not used for OpenAI (implements abstract method)
+     * Generate an image with the OpenAI Images API (dall-e-3, gpt-image-1; variations with dall-e-2), or speech (tts-1)
+     * @param {Object} params - Generation parameters (type, prompt, model, aspectRatio, quality, signal)
+     * @returns {Promise<Object>} - Generation result
      */
     async generate(params) {
-        throw new Error("Use generatePromptIdeas() for OpenAI provider");
+        const { type, prompt, model: modelId, aspectRatio, quality, signal } = params;
+
+        if (type === "audio") {
+            return await this.generateSpeech(params);
+        }
+        if (type !== "image") {
+            throw new Error(`OpenAI provider does not support ${type} generation`);
+        }
+        if (params.operation && params.operation !== "variation") {
+            throw new Error(`OpenAI provider does not support image ${params.operation}`);
+        }
+        if (params.imageUrl && !params.operation) {
+            throw new Error("OpenAI provider does not support image editing");
+        }
+
+        this.throwIfCanceled(signal);
+
+        const requestSignal = signal
+            ? AbortSignal.any([signal, AbortSignal.timeout(this.config.timeout)])
+            : AbortSignal.timeout(this.config.timeout);
+        let model = modelId || "dall-e-3";
+        let request;
+
+        if (params.operation === "variation") {
+            // Only dall-e-2 serves the variations endpoint; the prompt isn't used
+            model = "dall-e-2";
+            const form = new FormData();
+            form.append("image", new Blob([await this.loadSourceImage(params.imageUrl, signal)], { type: "image/png" }), "image.png");
+            form.append("model", model);
+            form.append("n", String(params.n || 1));
+            form.append("size", "1024x1024");
+            form.append("response_format", "b64_json");
+
+            request = fetch(`${this.baseUrl}/images/variations`, {
+                method: "POST",
+                headers: {
+                    "Authorization": `Bearer ${this.apiKey}`,
+                },
+                body: form,
+                signal: requestSignal,
+            });
+        } else {
+            const body = {
+                model,
+                prompt,
+                n: params.n || 1,
+                size: this.getImageSize(model, aspectRatio),
+            };
+            if (quality) body.quality = quality;
+            // gpt-image models always return base64; dall-e defaults to short-lived URLs
+            if (model.startsWith("dall-e")) body.response_format = "b64_json";
+
+            request = fetch(`${this.baseUrl}/images/generations`, {
+                method: "POST",
+                headers: {
+                    "Authorization": `Bearer ${this.apiKey}`,
+                    "Content-Type": "application/json",
+                },
+                body: JSON.stringify(body),
+                signal: requestSignal,
+            });
+        }
+
+        const response = await request.catch((error) => {
+            this.throwIfCanceled(signal);
+            throw error;
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(`OpenAI Error (${response.status}): ${result.error?.message || response.statusText}`);
+        }
+
+        if (!result.data?.length) {
+            throw new Error(`No image returned by OpenAI: ${JSON.stringify(result)}`);
+        }
+
+        // Every returned image is kept; the first is the primary result
+        const variants = [];
+        for (const imageItem of result.data) {
+            let imageBuffer;
+            if (imageItem.b64_json) {
+                imageBuffer = Buffer.from(imageItem.b64_json, "base64");
+            } else {
+                const imageResponse = await fetch(imageItem.url, { signal });
+                if (!imageResponse.ok) {
+                    throw new Error(`Failed to download image: ${imageResponse.statusText}`);
+                }
+                imageBuffer = Buffer.from(await imageResponse.arrayBuffer());
+            }
+
+            const generationId = `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            const { storageKey, storageBackend } = await this.saveGeneratedImage(generationId, imageBuffer);
+            variants.push({
+                url: `/api/content/stream/image/${generationId}`,
+                remoteUrl: imageItem.url || null,
+                storageKey,
+                storageBackend,
+                generationId,
+            });
+        }
+
+        return {
+            ...variants[0],
+            modelUsed: model,
+            format: "png",
+            ...(variants.length > 1 && { variants }),
+            metadata: {
+                revisedPrompt: result.data[0].revised_prompt,
+            },
+        };
+    }
+
+    /**
+     * Read the prompt aloud with the OpenAI speech API (tts-1, tts-1-hd, gpt-4o-mini-tts)
+     * @param {Object} params - Generation parameters (prompt, model, audioType, voice, signal)
+     * @returns {Promise<Object>} - Generation result
+     */
+    async generateSpeech(params) {
+        const { prompt, model: modelId, audioType = "speech", voice, signal } = params;
+
+        if (audioType !== "speech") {
+            throw new Error(`OpenAI provider does not support ${audioType} generation`);
+        }
+
+        this.throwIfCanceled(signal);
+
+        const model = modelId || "tts-1";
+        const response = await fetch(`${this.baseUrl}/audio/speech`, {
+            method: "POST",
+            headers: {
+                "Authorization": `Bearer ${this.apiKey}`,
+                "Content-Type": "application/json",
+            },
+            body: JSON.stringify({
+                model,
+                input: prompt,
+                voice: voice || "alloy",
+                response_format: "mp3",
+            }),
+            signal: signal
+                ? AbortSignal.any([signal, AbortSignal.timeout(this.config.timeout)])
+                : AbortSignal.timeout(this.config.timeout),
+        }).catch((error) => {
+            this.throwIfCanceled(signal);
+            throw error;
+        });
+
+        if (!response.ok) {
+            const result = await response.json().catch(() => ({}));
+            throw new Error(`OpenAI Error (${response.status}): ${result.error?.message || response.statusText}`);
+        }
+
+        const audioBuffer = Buffer.from(await response.arrayBuffer());
+        const generationId = `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const { storageKey, storageBackend, duration } = await this.saveGeneratedAudio(generationId, audioBuffer, "mp3");
+
+        return {
+            url: `/api/content/stream/audio/${generationId}`,
+            storageKey,
+            storageBackend,
+            modelUsed: model,
+            generationId,
+            format: "mp3",
+            duration,
+            metadata: {
+                voice: voice || "alloy",
+            },
+        };
+    }
+
+    /**
+     * Map an aspect ratio to a size the model accepts
+     * @param {string} model - OpenAI image model
+     * @param {string} aspectRatio - Requested aspect ratio (e.g. "16:9")
+     * @returns {string} - Size string
+     */
+    getImageSize(model, aspectRatio) {
+        const sizes = model.startsWith("gpt-image")
+            ? { landscape: "1536x1024", portrait: "1024x1536", square: "1024x1024" }
+            : { landscape: "1792x1024", portrait: "1024x1792", square: "1024x1024" };
+
+        const [width, height] = String(aspectRatio || "1:1").split(":").map(Number);
+        if (!width || !height || width === height) return sizes.square;
+        return width > height ? sizes.landscape : sizes.portrait;
     }
 
     /**
@@ -140,6 +326,23 @@ class OpenAIProvider extends BaseProvider {
         throw new Error("Status checking not applicable for OpenAI provider");
     }
 
+    /**
+     * Test API connectivity
+     */
+    async testConnection() {
+        try {
+            const response = await fetch(`${this.baseUrl}/models`, {
+                headers: {
+                    "Authorization": `Bearer ${this.apiKey}`,
+                },
+            });
+            return response.ok;
+        } catch (error) {
+            console.error("Connection test failed:", error);
+            return false;
+        }
+    }
+
     /**
      * Get available models (OpenAI models)
      */
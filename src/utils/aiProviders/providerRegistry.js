@@ -0,0 +1,112 @@
+import CompetAPIProvider from "./CompetAPIProvider.js";
+import OpenAIProvider from "./OpenAIProvider.js";
+import MockProvider from "./MockProvider.js";
+import CustomHTTPProvider from "./CustomHTTPProvider.js";
+
+/**
+ * Provider Registry
+ * Maps Model.provider values to BaseProvider implementations and the AIConfig
+ * API key each one authenticates with.
+ */
+
+const providers = new Map();
+
+/**
+ * Error raised when a provider can't be built
+ */
+const providerError = (message, code) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Register a provider implementation
+ * @param {string} name - Provider name as stored in Model.provider
+ * @param {Function} ProviderClass - BaseProvider subclass
+ * @param {Object} options - { keyName } AIConfig.apiKeys entry (defaults to name), { envKey } environment fallback,
+ *                           { apiKeyRequired } false for providers that run without credentials,
+ *                           { getApiKey(config, model) } custom key lookup for per-model credentials
+ */
+export const registerProvider = (name, ProviderClass, { keyName = name, envKey, apiKeyRequired = true, getApiKey } = {}) => {
+    providers.set(name, { ProviderClass, keyName, envKey, apiKeyRequired, getApiKey });
+};
+
+/**
+ * Names of all registered providers
+ * @returns {string[]}
+ */
+export const getProviderNames = () => [...providers.keys()];
+
+/**
+ * API key for a provider, from AIConfig or the environment
+ * @param {string} name - Provider name
+ * @param {Object} config - AIConfig document (optional)
+ * @param {Object} model - Model document, for providers keyed per model
+ * @returns {string|null}
+ */
+export const getProviderApiKey = (name, config, model) => {
+    const entry = providers.get(name);
+    if (!entry) return null;
+    if (entry.getApiKey) return entry.getApiKey(config, model) || null;
+    return config?.getApiKey(entry.keyName) || (entry.envKey && process.env[entry.envKey]) || null;
+};
+
+/**
+ * Build a provider instance by name
+ * @param {string} name - Provider name
+ * @param {Object} config - AIConfig document (for the API key and request defaults)
+ * @param {Object} options - Extra provider config, overrides the AIConfig defaults ({ model } for per-model providers)
+ * @returns {Object} BaseProvider instance
+ * @throws {Error} PROVIDER_NOT_SUPPORTED / PROVIDER_NOT_CONFIGURED
+ */
+export const createProvider = (name, config, options = {}) => {
+    const entry = providers.get(name);
+    if (!entry) {
+        throw providerError(`No AI provider registered for "${name}".`, "PROVIDER_NOT_SUPPORTED");
+    }
+
+    const apiKey = getProviderApiKey(name, config, options.model);
+    if (!apiKey && entry.apiKeyRequired) {
+        throw providerError(`${name} API key not configured.`, "PROVIDER_NOT_CONFIGURED");
+    }
+
+    // Only pass settings that are set, so BaseProvider defaults still apply
+    const defaults = {
+        timeout: config?.timeouts?.requestTimeout,
+        maxRetries: config?.features?.maxRetries,
+    };
+    const providerConfig = Object.fromEntries(
+        Object.entries({ ...defaults, ...options }).filter(([, value]) => value !== undefined)
+    );
+
+    return new entry.ProviderClass(apiKey, providerConfig);
+};
+
+/**
+ * Build the provider that serves a Model
+ * @param {Object} model - Model document
+ * @param {Object} config - AIConfig document
+ * @param {Object} options - Extra provider config
+ * @returns {Object} BaseProvider instance
+ */
+export const resolveProvider = (model, config, options = {}) => {
+    return createProvider(model.provider || "competapi", config, { model, ...options });
+};
+
+registerProvider("competapi", CompetAPIProvider, { envKey: "COMPETAPI_KEY" });
+registerProvider("openai", OpenAIProvider, { envKey: "OPENAI_API_KEY" });
+registerProvider("mock", MockProvider, { apiKeyRequired: false });
+// Keys for custom vendors are named per model; the provider rejects missing keys unless auth is "none"
+registerProvider("custom", CustomHTTPProvider, {
+    apiKeyRequired: false,
+    getApiKey: (config, model) => config?.getCustomApiKey(model?.apiConfig?.auth?.keyName),
+});
+
+export default {
+    registerProvider,
+    getProviderNames,
+    getProviderApiKey,
+    createProvider,
+    resolveProvider,
+};
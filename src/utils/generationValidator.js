@@ -0,0 +1,295 @@
+import Model from "../models/Model.js";
+
+/**
+ * Generation Request Validator
+ * Checks a generation request against the selected model's specifications and its
+ * declared Model.parameters, coerces values to their declared types and drops every
+ * field the model doesn't accept, so providers only receive whitelisted parameters:
+ * type, prompt, style, model, aspectRatio (video/image), duration (video, music), imageUrl,
+ * inputId / maskInputId (uploaded inputs), videoUrl / sourceContentId (video-to-video), audioType and voice (audio), n (images),
+ * operation, sourceImage and scale (image actions) and the declared keys.
+ */
+
+export const GENERATION_TYPES = ["video", "image", "audio"];
+export const AUDIO_TYPES = ["speech", "music"];
+// Actions on a completed image (POST /api/content/:id/upscale, /variations)
+export const IMAGE_OPERATIONS = ["upscale", "variation"];
+export const UPSCALE_FACTORS = [2, 4];
+export const MAX_PROMPT_LENGTH = 2000;
+
+const isEmpty = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Coerce a value to a declared parameter type
+ * @param {Object} parameter - Model.parameters entry
+ * @param {any} value - Requested value
+ * @returns {Object} { value } or { error }
+ */
+const coerceParameter = (parameter, value) => {
+    const { label = parameter.key, type, min, max, options } = parameter;
+
+    switch (type) {
+        case "number":
+        case "slider": {
+            const number = typeof value === "number" ? value : Number(String(value).trim());
+            if (!Number.isFinite(number)) {
+                return { error: `${label} must be a number.` };
+            }
+            if (min !== undefined && min !== null && number < min) {
+                return { error: `${label} must be at least ${min}.` };
+            }
+            if (max !== undefined && max !== null && number > max) {
+                return { error: `${label} must be at most ${max}.` };
+            }
+            return { value: number };
+        }
+        case "boolean": {
+            if (typeof value === "boolean") return { value };
+            if (["true", "1", 1].includes(value)) return { value: true };
+            if (["false", "0", 0].includes(value)) return { value: false };
+            return { error: `${label} must be true or false.` };
+        }
+        case "select": {
+            if (options?.length > 0 && !options.includes(String(value))) {
+                return { error: `${label} must be one of: ${options.join(", ")}.` };
+            }
+            return { value };
+        }
+        default: {
+            if (typeof value === "object") {
+                return { error: `${label} must be text.` };
+            }
+            return { value: String(value) };
+        }
+    }
+};
+
+/**
+ * Validate and coerce a generation request
+ * @param {Object} params - Normalized generation parameters (see normalizeGenerationParams)
+ * @param {Object} model - Selected Model document, or null when no model is configured
+ * @returns {Object} { params, errors } - Whitelisted parameters and [{ field, message }] errors
+ */
+export const validateGenerationParams = (params, model) => {
+    const errors = [];
+    const addError = (field, message) => errors.push({ field, message });
+    const specifications = model?.specifications || {};
+    const result = {};
+
+    // Type
+    if (!GENERATION_TYPES.includes(params.type)) {
+        addError("type", `Type must be one of: ${GENERATION_TYPES.join(", ")}.`);
+    } else if (model && model.type !== params.type) {
+        addError("type", `${model.modelId} is a ${model.type} model.`);
+    }
+    result.type = params.type;
+
+    // Prompt
+    const prompt = typeof params.prompt === "string" ? params.prompt.trim() : "";
+    if (!prompt) {
+        addError("prompt", "Prompt is required.");
+    } else if (prompt.length > MAX_PROMPT_LENGTH) {
+        addError("prompt", `Prompt is too long (max ${MAX_PROMPT_LENGTH} characters).`);
+    }
+    result.prompt = prompt;
+
+    if (!isEmpty(params.style)) {
+        if (typeof params.style !== "string") {
+            addError("style", "Style must be text.");
+        }
+        result.style = params.style;
+    }
+
+    if (model) {
+        result.model = model.modelId;
+    }
+
+    // Aspect ratio (defaults to 16:9, or the model's first ratio when it doesn't offer 16:9)
+    if (params.type !== "audio") {
+        const aspectRatios = specifications.supportedAspectRatios || [];
+        const aspectRatio = isEmpty(params.aspectRatio)
+            ? (aspectRatios.length === 0 || aspectRatios.includes("16:9") ? "16:9" : aspectRatios[0])
+            : String(params.aspectRatio);
+        if (aspectRatios.length > 0 && !aspectRatios.includes(aspectRatio)) {
+            addError("aspectRatio", `Aspect ratio must be one of: ${aspectRatios.join(", ")}.`);
+        }
+        result.aspectRatio = aspectRatio;
+    }
+
+    // Audio: speech reads the prompt aloud (priced per character), music is priced per second
+    if (params.type === "audio") {
+        // Music-only models default to music, everything else to speech
+        const musicOnly = model?.supportedContexts?.length > 0 && !model.supportedContexts.includes("text-to-speech");
+        const audioType = isEmpty(params.audioType) ? (musicOnly ? "music" : "speech") : params.audioType;
+        if (!AUDIO_TYPES.includes(audioType)) {
+            addError("audioType", `Audio type must be one of: ${AUDIO_TYPES.join(", ")}.`);
+        }
+        result.audioType = audioType;
+
+        if (audioType === "speech" && !isEmpty(params.voice)) {
+            if (typeof params.voice !== "string") {
+                addError("voice", "Voice must be text.");
+            }
+            result.voice = params.voice;
+        }
+    }
+
+    // Image actions work on a source image instead of a fresh prompt
+    if (!isEmpty(params.operation)) {
+        if (params.type !== "image" || !IMAGE_OPERATIONS.includes(params.operation)) {
+            addError("operation", `Operation must be one of: ${IMAGE_OPERATIONS.join(", ")} (images only).`);
+        } else if (!/^[0-9a-fA-F]{24}$/.test(String(params.sourceImage?.content))) {
+            addError("sourceImage", `A source image is required to ${params.operation === "upscale" ? "upscale" : "make variations"}.`);
+        }
+        result.operation = params.operation;
+        result.sourceImage = params.sourceImage;
+
+        if (params.operation === "upscale") {
+            const scale = isEmpty(params.scale) ? 2 : Number(params.scale);
+            if (!UPSCALE_FACTORS.includes(scale)) {
+                addError("scale", `Scale must be one of: ${UPSCALE_FACTORS.join(", ")}.`);
+            }
+            result.scale = scale;
+        }
+    }
+
+    // Number of images (each one is charged)
+    if (!isEmpty(params.n)) {
+        const n = Number(params.n);
+        const maxOutputs = specifications.maxOutputs ?? 1;
+        if (params.type !== "image") {
+            if (n !== 1) addError("n", "Only image generations can return several outputs.");
+        } else if (!Number.isInteger(n) || n < 1) {
+            addError("n", "n must be a whole number of images.");
+        } else if (params.operation === "upscale" && n !== 1) {
+            addError("n", "An upscale returns one image.");
+        } else if (n > maxOutputs) {
+            addError("n", maxOutputs === 1
+                ? `${model?.modelId || "This model"} returns one image per request.`
+                : `n must be at most ${maxOutputs}.`);
+        }
+        if (params.type === "image") result.n = n;
+    }
+
+    // Video-to-video takes its length from the source, resolved by the caller
+    const hasSourceVideo = !isEmpty(params.videoUrl) || !isEmpty(params.sourceContentId);
+
+    // Duration (videos and music)
+    if ((params.type === "video" && !hasSourceVideo) || (params.type === "audio" && result.audioType === "music")) {
+        const duration = isEmpty(params.duration) ? (specifications.defaultDuration ?? 5) : Number(params.duration);
+        const { minDuration, maxDuration } = specifications;
+        if (!Number.isFinite(duration) || duration <= 0) {
+            addError("duration", "Duration must be a positive number of seconds.");
+        } else if (minDuration !== undefined && duration < minDuration) {
+            addError("duration", `Duration must be at least ${minDuration} seconds.`);
+        } else if (maxDuration !== undefined && duration > maxDuration) {
+            addError("duration", `Duration must be at most ${maxDuration} seconds.`);
+        }
+        result.duration = duration;
+    }
+
+    // Source image or video (decides text-to-x, image-to-x or video-to-video)
+    if (!isEmpty(params.imageUrl)) {
+        if (typeof params.imageUrl !== "string") {
+            addError("imageUrl", "Image must be a URL.");
+        } else if (params.type === "audio") {
+            addError("imageUrl", "A source image can't be used for audio generation.");
+        } else if (hasSourceVideo) {
+            addError("imageUrl", "Use either a source image or a source video, not both.");
+        }
+        result.imageUrl = params.imageUrl;
+    }
+    // Uploaded inputs (POST /api/content/inputs); ownership and expiry are checked by the caller
+    if (!isEmpty(params.inputId)) {
+        if (!/^[0-9a-fA-F]{24}$/.test(String(params.inputId))) {
+            addError("inputId", "inputId must be an upload id.");
+        } else if (params.type === "audio") {
+            addError("inputId", "A source image can't be used for audio generation.");
+        } else if (!isEmpty(params.imageUrl)) {
+            addError("inputId", "Use either imageUrl or inputId, not both.");
+        } else if (hasSourceVideo) {
+            addError("inputId", "Use either a source image or a source video, not both.");
+        }
+        result.inputId = String(params.inputId);
+    }
+    if (!isEmpty(params.maskInputId)) {
+        if (!/^[0-9a-fA-F]{24}$/.test(String(params.maskInputId))) {
+            addError("maskInputId", "maskInputId must be an upload id.");
+        } else if (params.type !== "image" || (isEmpty(params.imageUrl) && isEmpty(params.inputId))) {
+            addError("maskInputId", "A mask can only be used when editing a source image.");
+        }
+        result.maskInputId = String(params.maskInputId);
+    }
+    if (hasSourceVideo) {
+        if (params.type !== "video") {
+            addError("videoUrl", "A source video can only be used for video generation.");
+        }
+        if (!isEmpty(params.sourceContentId)) {
+            // A previous generation of the user's; takes precedence over videoUrl
+            if (!/^[0-9a-fA-F]{24}$/.test(String(params.sourceContentId))) {
+                addError("sourceContentId", "sourceContentId must be a content id.");
+            }
+            result.sourceContentId = String(params.sourceContentId);
+        } else if (typeof params.videoUrl !== "string" || !/^https?:\/\/\S+$/i.test(params.videoUrl)) {
+            addError("videoUrl", "Source video must be an http(s) URL.");
+        }
+        if (!isEmpty(params.videoUrl)) {
+            result.videoUrl = params.videoUrl;
+        }
+    }
+    if (model && GENERATION_TYPES.includes(params.type)) {
+        const context = Model.getGenerationContext({ ...result, videoUrl: hasSourceVideo });
+        if (!model.supportsContext(context)) {
+            if (params.type === "audio") {
+                addError("audioType", `${model.modelId} does not support ${context}.`);
+            } else if (result.operation) {
+                addError("operation", `${model.modelId} does not support ${context}.`);
+            } else if (hasSourceVideo) {
+                addError("videoUrl", `${model.modelId} does not accept a source video.`);
+            } else if (result.imageUrl || result.inputId) {
+                addError(result.inputId ? "inputId" : "imageUrl", `${model.modelId} does not accept a source image.`);
+            } else if (model.supportsContext(`video-to-${params.type}`)) {
+                addError("videoUrl", `${model.modelId} requires a source video.`);
+            } else {
+                addError("imageUrl", `${model.modelId} requires a source image.`);
+            }
+        }
+    }
+
+    // Model-declared parameters; a declaration for a core field adds to its checks above
+    for (const parameter of model?.parameters || []) {
+        const { key } = parameter;
+        const requested = key in result ? result[key] : params[key];
+
+        if (isEmpty(requested)) {
+            if (!isEmpty(parameter.defaultValue)) {
+                result[key] = parameter.defaultValue;
+            } else if (parameter.required) {
+                addError(key, `${parameter.label || key} is required.`);
+            }
+            continue;
+        }
+
+        const { value, error } = coerceParameter(parameter, requested);
+        if (error) {
+            addError(key, error);
+        } else {
+            result[key] = value;
+        }
+    }
+
+    // Report each field once
+    const seen = new Set();
+    const fieldErrors = errors.filter(({ field }) => !seen.has(field) && seen.add(field));
+
+    return { params: result, errors: fieldErrors };
+};
+
+export default {
+    GENERATION_TYPES,
+    AUDIO_TYPES,
+    IMAGE_OPERATIONS,
+    UPSCALE_FACTORS,
+    MAX_PROMPT_LENGTH,
+    validateGenerationParams,
+};
@@ -0,0 +1,666 @@
+import os from "os";
+import fs from "fs";
+import path from "path";
+import Content from "../models/Content.js";
+import Model from "../models/Model.js";
+import AIConfig from "../models/AIConfig.js";
+import GenerationJob from "../models/GenerationJob.js";
+import CreditHold from "../models/CreditHold.js";
+import InputAsset from "../models/InputAsset.js";
+import { createProvider, resolveProvider } from "./aiProviders/providerRegistry.js";
+import { queueWebhook, processDueWebhooks } from "./webhookDispatcher.js";
+import { applyVideoWatermark } from "./watermark.js";
+import { getStorage, resolveStoredAsset } from "./storageProviders/storageRegistry.js";
+import BaseStorage from "./storageProviders/BaseStorage.js";
+
+/**
+ * Generation Worker
+ * Claims queued GenerationJobs from Mongo, runs them against the AI provider
+ * and keeps the Content record in sync (pending -> processing -> completed/failed).
+ * A Content canceled by its owner is left alone: the worker stops polling and never overwrites it.
+ * The same process also sends pending webhook deliveries and fails generations that exceed
+ * AIConfig.timeouts.generationTimeout.
+ */
+
+const DEFAULT_LEASE_MS = 60000;
+const DEFAULT_POLL_INTERVAL_MS = 2000;
+const BASE_RETRY_DELAY_MS = 30000;
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const DEFAULT_WATCHDOG_INTERVAL_MS = 60000;
+const DEFAULT_GENERATION_TIMEOUT_MS = 300000;
+
+const ACTIVE_STATUSES = ["pending", "processing"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Abort controllers of generations running in this process, keyed by content id
+const activeGenerations = new Map();
+
+/**
+ * Stop a generation running in this process right away
+ * Workers in other processes notice the cancellation on their next progress update or lease renewal.
+ * @param {string} contentId - Content id
+ * @returns {boolean} Whether the generation was running here
+ */
+export const abortGeneration = (contentId) => {
+    const controller = activeGenerations.get(String(contentId));
+    if (!controller) return false;
+    controller.abort();
+    return true;
+};
+
+/**
+ * Delay before the next attempt of a failed job (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export const getRetryDelay = (attempts) => {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Run the provider call for a claimed job and record the result on its Content
+ * @param {Object} job - Claimed GenerationJob document
+ * @param {Object} options - { leaseMs }
+ */
+export const processGenerationJob = async (job, { leaseMs = DEFAULT_LEASE_MS } = {}) => {
+    const contentId = job.content;
+    const { body = {}, modelId: selectedModelId, baseUrl, useMockMode = false } = job.payload;
+    const { type, prompt, style, aspectRatio = "16:9", duration = 5 } = body;
+
+    let remoteUrl = null;
+    let generationId = null;
+    let metadataFromProvider = {};
+    let generationStartTime = Date.now();
+    const failovers = [];
+
+    const selectedModel = selectedModelId ? await Model.findById(selectedModelId) : null;
+    const config = await AIConfig.findOne({ configKey: "global" });
+    // Model being tried right now (changes as the job fails over)
+    let currentModel = selectedModel;
+
+    const abortController = new AbortController();
+    let heartbeat = null;
+
+    try {
+        // Registered inside the try so the finally always unregisters them
+        activeGenerations.set(String(contentId), abortController);
+
+        // Keep the lease alive while the provider is polling
+        heartbeat = setInterval(async () => {
+            try {
+                const stillOwned = await job.renewLease(leaseMs);
+                if (!stillOwned) {
+                    // Canceled, or taken over by another worker after our lease expired
+                    console.warn(`[Worker] Lost lease on job ${job._id}, stopping`);
+                    abortController.abort();
+                }
+            } catch (error) {
+                console.error(`[Worker] Lease renewal failed for job ${job._id}:`, error.message);
+            }
+        }, Math.max(1000, Math.floor(leaseMs / 3)));
+
+        // Update status to processing
+        const started = await Content.findOneAndUpdate(
+            { _id: contentId, status: { $in: ACTIVE_STATUSES } },
+            { status: "processing", progress: 5 }
+        );
+        if (!started) {
+            // Canceled before the worker picked it up
+            await GenerationJob.cancelForContent(contentId);
+            return;
+        }
+
+        // Real generation logic
+        if (!selectedModel) {
+            throw new Error(`Model not found for ${type} generation.`);
+        }
+
+        const chain = await getModelChain(selectedModel, Model.getGenerationContext(body));
+
+        // Uploaded inputs reach providers as data URLs, like inline images
+        const [input, maskInput] = await Promise.all([
+            body.inputId ? InputAsset.findUsable(body.inputId, job.user, "image") : null,
+            body.maskInputId ? InputAsset.findUsable(body.maskInputId, job.user, "mask") : null,
+        ]);
+        if ((body.inputId && !input) || (body.maskInputId && !maskInput)) {
+            throw new Error("Uploaded input expired before the generation started.");
+        }
+        const inputImageUrl = input ? await input.toDataUrl() : undefined;
+        const inputMask = maskInput ? await maskInput.toDataUrl() : undefined;
+        // Upscales and variations read their source from the parent's stored file
+        const actionImageUrl = body.operation ? await loadActionSource(body.sourceImage, job.user) : undefined;
+
+        // After a restart, continue with the model that submitted the checkpointed upstream task
+        const checkpointModelId = job.checkpoint?.modelId;
+        const startIndex = Math.max(0, chain.findIndex((model) => checkpointModelId && model._id.equals(checkpointModelId)));
+
+        let generationResult = null;
+        for (let i = startIndex; i < chain.length; i++) {
+            currentModel = chain[i];
+            const candidate = currentModel;
+            const ownsCheckpoint = !checkpointModelId || candidate._id.equals(checkpointModelId);
+
+            try {
+                // Provider implementation and API key follow Model.provider (mock mode replaces every provider)
+                const provider = useMockMode
+                    ? createProvider("mock", config, {
+                        latencyMs: config?.mock?.latencyMs,
+                        failureRate: config?.mock?.failureRate,
+                        videoSource: config?.mock?.videoSource,
+                    })
+                    : resolveProvider(candidate, config, {
+                        timeout: config?.timeouts?.requestTimeout || 600000,
+                        maxRetries: config?.features?.maxRetries || 2,
+                    });
+
+                generationResult = await provider.generate({
+                    // Validated against the model's declared parameters when the job was queued
+                    ...body,
+                    model: candidate.modelId,
+                    prompt,
+                    type,
+                    aspectRatio,
+                    duration: type === "image" ? undefined : body.duration,
+                    style,
+                    imageUrl: actionImageUrl || inputImageUrl || body.imageUrl || body.image,
+                    cfg_scale: body.cfg_scale || body.cfgScale,
+                    mode: body.mode,
+                    mask: inputMask || body.mask,
+                    quality: body.quality,
+                    size: body.size,
+                    n: body.n,
+                    // Resume polling an upstream task submitted under a previous lease
+                    resumeTaskId: ownsCheckpoint ? job.checkpoint?.taskId || undefined : undefined,
+                    onTaskCreated: async ({ taskId }) => {
+                        await job.saveCheckpoint({ taskId, modelId: candidate._id });
+                    },
+                    signal: abortController.signal,
+                    // Progress callback
+                    onProgress: async (pData) => {
+                        const updated = await Content.findOneAndUpdate({ _id: contentId, status: "processing" }, {
+                            progress: Math.max(5, pData.progress),
+                            'metadata.status': pData.status
+                        });
+                        if (!updated) abortController.abort();
+                    }
+                });
+                break;
+            } catch (providerError) {
+                if (abortController.signal.aborted || i === chain.length - 1) throw providerError;
+
+                // Fail over to the next model in the chain
+                console.warn(`[Worker] ${candidate.modelId} failed for content ${contentId}, failing over to ${chain[i + 1].modelId}:`, providerError.message);
+                failovers.push({ modelId: candidate.modelId, error: providerError.message });
+                await candidate.incrementGenerationStats(false, 0);
+                await job.saveCheckpoint({ taskId: null, modelId: null });
+            }
+        }
+
+        const actualModel = currentModel;
+
+        generationId = generationResult.generationId || generationResult.id || generationResult.task_id || `gen-${Date.now()}`;
+        // remoteUrl should specifically be the upstream external URL
+        remoteUrl = generationResult.remoteUrl?.startsWith('http') ? generationResult.remoteUrl :
+            (generationResult.url?.startsWith('http') && !generationResult.url.includes('/api/content/stream')) ? generationResult.url : null;
+        metadataFromProvider = generationResult;
+
+
+        // Final result URL
+        let resultUrl = "";
+        let thumbnailUrl = "";
+
+        if (type === "video") {
+            resultUrl = `${baseUrl}/api/content/stream/video/${generationId}`;
+            // thumbnailUrl for video should always point to the stream/image endpoint or a real remote thumbnail
+            thumbnailUrl = (metadataFromProvider.thumbnailUrl && metadataFromProvider.thumbnailUrl.startsWith('http'))
+                ? metadataFromProvider.thumbnailUrl
+                : `${baseUrl}/api/content/stream/image/${generationId}`;
+        } else if (type === "audio") {
+            resultUrl = `${baseUrl}/api/content/stream/audio/${generationId}`;
+            thumbnailUrl = null;
+        } else {
+            resultUrl = `${baseUrl}/api/content/stream/image/${generationId}`;
+            thumbnailUrl = resultUrl;
+        }
+
+        // Extra outputs (n > 1) are streamed per index; the first one is the primary result
+        const variants = (generationResult.variants || []).map((variant, index) => ({
+            url: `${baseUrl}/api/content/${contentId}/variants/${index}`,
+            thumbnailUrl: `${baseUrl}/api/content/${contentId}/variants/${index}`,
+            remoteUrl: variant.remoteUrl?.startsWith('http') ? variant.remoteUrl : null,
+            storageKey: variant.storageKey,
+            generationId: variant.generationId,
+        }));
+
+        const generationTime = Math.floor((Date.now() - generationStartTime) / 1000);
+
+        // A fallback model is charged at the lower of its price and the price reserved for the requested model
+        const failedOver = !actualModel._id.equals(selectedModel._id);
+        const { cost = 0, usedFreeGen = false } = job.payload;
+        const characters = body.audioType === "speech" ? prompt.length : undefined;
+        const chargedCost = failedOver ? Math.min(cost, actualModel.calculateCost({ duration, characters, n: body.n })) : cost;
+
+        // Watermarked videos are streamed from a watermarked copy; the clean original is kept for a later release.
+        // Content.isWatermarked is the decision made at request time (and cleared if the watermark was released since)
+        const watermarkDecision = type === "video" && metadataFromProvider.storageKey
+            ? await Content.findById(contentId).select("isWatermarked").lean()
+            : null;
+        const watermarked = watermarkDecision?.isWatermarked
+            ? await renderVideoWatermark(metadataFromProvider.storageKey, metadataFromProvider.storageBackend)
+            : {};
+
+        // Final DB Update (skipped if the user canceled while the result was downloading)
+        const completed = await Content.findOneAndUpdate({ _id: contentId, status: "processing" }, {
+            status: "completed",
+            progress: 100,
+            url: resultUrl,
+            remoteUrl: remoteUrl,
+            thumbnailUrl: thumbnailUrl,
+            generationId: generationId,
+            storageKey: metadataFromProvider.storageKey,
+            storageBackend: metadataFromProvider.storageBackend,
+            modelDetails: {
+                provider: useMockMode ? "mock" : actualModel.provider,
+                modelId: actualModel.modelId,
+                requestedModelId: failedOver ? selectedModel.modelId : undefined,
+            },
+            usageCost: usedFreeGen ? 0 : chargedCost,
+            ...(variants.length > 0 && { variants, primaryVariant: 0 }),
+            metadata: {
+                ...metadataFromProvider.metadata,
+                ...metadataFromProvider.data,
+                // Speech length is only known once generated
+                duration: metadataFromProvider.duration ?? (type === "image" ? 0 : duration),
+                aspectRatio: aspectRatio,
+                ...watermarked,
+                generationTime,
+                ...(failovers.length > 0 && { failovers })
+            }
+        });
+
+        if (!completed) {
+            console.log(`[Worker] Content ${contentId} was canceled, discarding result`);
+            return;
+        }
+
+        await actualModel.incrementGenerationStats(true, generationTime);
+        await CreditHold.capture(contentId, { amount: chargedCost });
+        await job.complete();
+
+        await queueWebhook("generation.completed", {
+            contentId,
+            userId: job.user,
+            type,
+            model: actualModel.modelId,
+            requestedModel: selectedModel.modelId,
+            status: "completed",
+            url: resultUrl,
+            thumbnailUrl,
+            generationTime,
+            attempts: job.attempts,
+        }, { content: contentId });
+
+    } catch (error) {
+        if (abortController.signal.aborted) {
+            // Whoever canceled or took over the job owns the Content and the credit hold now
+            console.log(`[Worker] Job ${job._id} stopped (content ${contentId})`);
+            return;
+        }
+
+        console.error(`[Worker] Error for job ${job._id} (content ${contentId}):`, error);
+
+        const retryEnabled = config ? config.features?.enableRetryOnFailure !== false : true;
+
+        if (selectedModel && retryEnabled && job.attempts < job.maxAttempts) {
+            // Transient failure: hand the job back to the queue, Content goes back to pending
+            const delay = getRetryDelay(job.attempts);
+            if (!(await job.requeue(error.message, delay))) return;
+            await Content.findOneAndUpdate({ _id: contentId, status: { $in: ACTIVE_STATUSES } }, {
+                status: "pending",
+                'metadata.status': "retrying",
+                'metadata.lastError': error.message,
+            });
+            return;
+        }
+
+        await failGenerationJob(job, error.message, currentModel);
+    } finally {
+        clearInterval(heartbeat);
+        activeGenerations.delete(String(contentId));
+    }
+};
+
+/**
+ * Source image of an upscale or variation, as a data URL
+ * Read from the stored file of the user's own completed image (or one of its variants), never from a URL.
+ * @param {Object} sourceImage - { content, variant } set by the image action endpoints
+ * @param {string} userId - Job owner
+ * @returns {Promise<string>} Data URL
+ */
+const loadActionSource = async (sourceImage, userId) => {
+    const source = sourceImage?.content
+        ? await Content.findOne({ _id: sourceImage.content, user: userId, type: "image", status: "completed" }).lean()
+        : null;
+    const variant = sourceImage?.variant !== undefined ? source?.variants?.[sourceImage.variant] : undefined;
+    if (!source || (sourceImage.variant !== undefined && !variant)) {
+        throw new Error("Source image not found.");
+    }
+
+    const asset = await resolveStoredAsset(source, { variant });
+    const buffer = asset ? await asset.storage.getBuffer(asset.key) : null;
+    if (!buffer) {
+        throw new Error("Source image file is missing.");
+    }
+    return `data:${BaseStorage.contentTypeFor(asset.key)};base64,${buffer.toString("base64")}`;
+};
+
+/**
+ * Render the watermark onto a copy of a generated video and store it next to the original ("<name>-wm.mp4")
+ * A failed render is logged and leaves the video as generated.
+ * @param {string} storageKey - Generated video
+ * @param {string} storageBackend - Backend the video is stored in
+ * @returns {Promise<Object>} { watermarkedStorageKey } (empty on failure)
+ */
+const renderVideoWatermark = async (storageKey, storageBackend) => {
+    const storage = getStorage(storageBackend);
+    let sourcePath = storage.getLocalPath(storageKey);
+    let tempDir = null;
+
+    try {
+        // ffmpeg works on files, so videos in remote backends are copied to a temp dir first
+        if (!sourcePath) {
+            const buffer = await storage.getBuffer(storageKey);
+            if (!buffer) throw new Error("Generated video not found in storage");
+
+            tempDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "pixora-wm-"));
+            sourcePath = path.join(tempDir, path.basename(storageKey));
+            await fs.promises.writeFile(sourcePath, buffer);
+        }
+
+        const watermarkedPath = await applyVideoWatermark(sourcePath);
+        const watermarkedStorageKey = path.posix.join(path.posix.dirname(storageKey), path.basename(watermarkedPath));
+
+        // Local storage already has the copy in place
+        if (storage.getLocalPath(watermarkedStorageKey) !== watermarkedPath) {
+            await storage.put(watermarkedStorageKey, await fs.promises.readFile(watermarkedPath));
+        }
+        return { watermarkedStorageKey };
+    } catch (error) {
+        console.error(`[Worker] Failed to watermark ${storageKey}:`, error.message);
+        return {};
+    } finally {
+        if (tempDir) {
+            await fs.promises.rm(tempDir, { recursive: true, force: true });
+        }
+    }
+};
+
+// Watermark renders started from the streaming endpoint, keyed by content id, and when each last failed
+const pendingWatermarks = new Map();
+const failedWatermarks = new Map();
+const WATERMARK_RETRY_MS = 5 * 60 * 1000;
+
+/**
+ * Render the missing watermarked copy of a completed video (its render failed when the generation completed)
+ * At most one render per content runs in this process, and a failed one isn't retried for a few minutes.
+ * @param {Object} content - Watermarked video Content
+ * @returns {Promise<boolean>} Whether the copy was rendered and recorded on metadata.watermarkedStorageKey
+ */
+export const ensureVideoWatermark = (content) => {
+    const id = String(content._id);
+    if (pendingWatermarks.has(id)) return pendingWatermarks.get(id);
+    if (Date.now() - (failedWatermarks.get(id) || 0) < WATERMARK_RETRY_MS) return Promise.resolve(false);
+
+    const render = (async () => {
+        const asset = await resolveStoredAsset(content);
+        const { watermarkedStorageKey } = asset
+            ? await renderVideoWatermark(asset.key, content.storageBackend || "local")
+            : {};
+        if (!watermarkedStorageKey) {
+            failedWatermarks.set(id, Date.now());
+            return false;
+        }
+
+        failedWatermarks.delete(id);
+        const recorded = await Content.updateOne(
+            { _id: content._id, isWatermarked: true },
+            { $set: { "metadata.watermarkedStorageKey": watermarkedStorageKey } }
+        );
+        return recorded.modifiedCount > 0;
+    })().finally(() => pendingWatermarks.delete(id));
+
+    pendingWatermarks.set(id, render);
+    return render;
+};
+
+/**
+ * Requested model followed by its usable fallbacks, in the admin-defined order
+ * @param {Object} selectedModel - Model the user picked
+ * @param {string} context - Generation context (e.g. "text-to-video")
+ * @returns {Promise<Object[]>} Model documents
+ */
+const getModelChain = async (selectedModel, context) => {
+    if (!selectedModel.fallbackModels?.length) return [selectedModel];
+
+    const candidates = await Model.find({
+        _id: { $in: selectedModel.fallbackModels, $ne: selectedModel._id },
+        type: selectedModel.type,
+        status: { $in: ["active", "beta"] },
+    });
+
+    const fallbacks = selectedModel.fallbackModels
+        .map((id) => candidates.find((model) => model._id.equals(id)))
+        .filter((model) => model && model.supportsContext(context));
+
+    return [selectedModel, ...fallbacks];
+};
+
+/**
+ * Permanently fail a job: mark Content failed, release the credit hold and record model stats
+ * @param {Object} job - GenerationJob document
+ * @param {string} errorMessage - Failure reason
+ * @param {Object} selectedModel - Model document (optional)
+ */
+const failGenerationJob = async (job, errorMessage, selectedModel) => {
+    const contentId = job.content;
+    const type = job.payload?.body?.type || "content";
+
+    // Nothing to do if the job was canceled or taken over in the meantime
+    if (!(await job.fail(errorMessage))) return;
+
+    // Update record as failed
+    await Content.findOneAndUpdate({ _id: contentId, status: { $in: ACTIVE_STATUSES } }, {
+        status: "failed",
+        error: errorMessage
+    });
+
+    // Refund Credits
+    try {
+        await CreditHold.release(contentId, `${type} generation failed`);
+    } catch (refundError) {
+        console.error(`[Worker] Refund Failed for ${contentId}:`, refundError);
+    }
+
+    if (selectedModel) {
+        await selectedModel.incrementGenerationStats(false, 0);
+    }
+
+    await queueWebhook("generation.failed", {
+        contentId,
+        userId: job.user,
+        type,
+        model: selectedModel?.modelId || job.payload?.body?.model,
+        status: "failed",
+        error: errorMessage,
+        attempts: job.attempts,
+    }, { content: contentId });
+};
+
+/**
+ * Fail pending/processing generations older than the generation timeout
+ * The conditional Content update decides which sweeper (or worker) wins, so each stuck
+ * generation is failed, refunded and counted against its model exactly once.
+ * @param {Object} options - { timeoutMs } overrides AIConfig.timeouts.generationTimeout
+ * @returns {Promise<number>} Number of generations failed
+ */
+export const sweepTimedOutGenerations = async ({ timeoutMs } = {}) => {
+    if (!timeoutMs) {
+        const config = await AIConfig.findOne({ configKey: "global" }).lean();
+        timeoutMs = config?.timeouts?.generationTimeout || DEFAULT_GENERATION_TIMEOUT_MS;
+    }
+
+    const cutoff = new Date(Date.now() - timeoutMs);
+    const stuck = await Content.find({ status: { $in: ACTIVE_STATUSES }, createdAt: { $lte: cutoff } })
+        .select("_id user type modelDetails")
+        .limit(100)
+        .lean();
+
+    const minutes = Math.round(timeoutMs / 60000);
+    const reason = `Generation timed out after ${minutes} minute${minutes === 1 ? "" : "s"}.`;
+    let failedCount = 0;
+
+    for (const content of stuck) {
+        try {
+            const failed = await Content.findOneAndUpdate(
+                { _id: content._id, status: { $in: ACTIVE_STATUSES }, createdAt: { $lte: cutoff } },
+                { status: "failed", error: reason, 'metadata.status': "timed_out" }
+            );
+            if (!failed) continue;
+            failedCount++;
+
+            // The running worker (here or elsewhere) loses its lease and stops polling
+            const job = await GenerationJob.findOne({ content: content._id }).lean();
+            await GenerationJob.failForContent(content._id, reason);
+            abortGeneration(content._id);
+
+            await CreditHold.release(content._id, `${content.type} generation timed out`)
+                .catch((refundError) => console.error(`[Watchdog] Refund failed for ${content._id}:`, refundError));
+
+            // Charge the failure to the model that was being tried, else the requested one
+            const modelRef = job?.checkpoint?.modelId || job?.payload?.modelId;
+            const model = modelRef
+                ? await Model.findById(modelRef)
+                : await Model.findOne({ modelId: content.modelDetails?.modelId });
+            if (model) {
+                await model.incrementGenerationStats(false, 0);
+            }
+
+            await queueWebhook("generation.failed", {
+                contentId: content._id,
+                userId: content.user,
+                type: content.type,
+                model: model?.modelId || content.modelDetails?.modelId,
+                status: "failed",
+                error: reason,
+                attempts: job?.attempts || 0,
+            }, { content: content._id });
+
+            console.warn(`[Watchdog] Content ${content._id} timed out and was refunded`);
+        } catch (error) {
+            console.error(`[Watchdog] Failed to time out content ${content._id}:`, error);
+        }
+    }
+
+    return failedCount;
+};
+
+/**
+ * Start polling the queue for generation jobs
+ * @param {Object} options - { workerId, leaseMs, pollIntervalMs, concurrency, watchdogIntervalMs }
+ * @returns {Object} Handle with stop() that resolves once in-flight jobs finish
+ */
+export const startGenerationWorker = ({
+    workerId = `${os.hostname()}-${process.pid}`,
+    leaseMs = Number(process.env.GENERATION_JOB_LEASE_MS) || DEFAULT_LEASE_MS,
+    pollIntervalMs = Number(process.env.GENERATION_WORKER_POLL_MS) || DEFAULT_POLL_INTERVAL_MS,
+    concurrency = Number(process.env.GENERATION_WORKER_CONCURRENCY) || 1,
+    watchdogIntervalMs = Number(process.env.GENERATION_WATCHDOG_INTERVAL_MS) || DEFAULT_WATCHDOG_INTERVAL_MS,
+} = {}) => {
+    let running = true;
+
+    const loop = async (slot) => {
+        const slotId = `${workerId}#${slot}`;
+
+        while (running) {
+            let job = null;
+            try {
+                job = await GenerationJob.claimNext(slotId, leaseMs);
+            } catch (error) {
+                console.error(`[Worker] Failed to claim job:`, error.message);
+            }
+
+            if (!job) {
+                await sleep(pollIntervalMs);
+                continue;
+            }
+
+            // A job that keeps killing its worker is reclaimed with attempts past the limit
+            if (job.attempts > job.maxAttempts) {
+                const selectedModel = job.payload.modelId ? await Model.findById(job.payload.modelId) : null;
+                await failGenerationJob(job, job.lastError || "Generation was interrupted too many times.", selectedModel)
+                    .catch((error) => console.error(`[Worker] Failed to close job ${job._id}:`, error));
+                continue;
+            }
+
+            try {
+                await processGenerationJob(job, { leaseMs });
+            } catch (error) {
+                console.error(`[Worker] Unhandled error in job ${job._id}:`, error);
+            }
+        }
+    };
+
+    const webhookLoop = async () => {
+        while (running) {
+            try {
+                await processDueWebhooks();
+            } catch (error) {
+                console.error(`[Worker] Webhook dispatch failed:`, error.message);
+            }
+            await sleep(pollIntervalMs);
+        }
+    };
+
+    // Sleeps in poll-sized steps so stop() isn't held up by the longer sweep interval
+    const watchdogLoop = async () => {
+        let nextSweepAt = Date.now() + watchdogIntervalMs;
+        while (running) {
+            await sleep(Math.min(pollIntervalMs, watchdogIntervalMs));
+            if (!running || Date.now() < nextSweepAt) continue;
+            nextSweepAt = Date.now() + watchdogIntervalMs;
+            try {
+                await sweepTimedOutGenerations();
+            } catch (error) {
+                console.error(`[Watchdog] Sweep failed:`, error.message);
+            }
+            try {
+                // Uploaded inputs past AIConfig.timeouts.inputRetention
+                const purged = await InputAsset.purgeExpired();
+                if (purged > 0) console.log(`[Watchdog] Removed ${purged} expired input upload(s)`);
+            } catch (error) {
+                console.error(`[Watchdog] Input cleanup failed:`, error.message);
+            }
+        }
+    };
+
+    const loops = Array.from({ length: Math.max(1, concurrency) }, (_, slot) => loop(slot));
+    console.log(`[Worker] ${workerId} started (concurrency ${loops.length})`);
+    loops.push(webhookLoop(), watchdogLoop());
+
+    return {
+        stop: async () => {
+            running = false;
+            await Promise.all(loops);
+        },
+    };
+};
+
+export default {
+    abortGeneration,
+    ensureVideoWatermark,
+    getRetryDelay,
+    processGenerationJob,
+    sweepTimedOutGenerations,
+    startGenerationWorker,
+};
@@ -0,0 +1,193 @@
+import crypto from "crypto";
+
+/**
+ * HTTP Streaming Utility
+ * Byte ranges, validators (ETag / Last-Modified) and conditional requests for the content stream endpoints,
+ * following RFC 9110. Only single ranges are served: multipart/byteranges responses aren't worth it for
+ * media players, which always ask for one range at a time.
+ */
+
+/**
+ * Cache-Control values for streamed content
+ */
+export const CACHE_POLICIES = {
+    // Stored files never change under their generationId
+    immutable: "public, max-age=31536000, immutable",
+    // The same URL can serve different bytes later (e.g. once a watermark is released), so caches must revalidate
+    revalidate: "public, no-cache",
+};
+
+/**
+ * Strong ETag built from whatever identifies a version of the bytes
+ * @param {...*} parts - e.g. storage backend, key, size and modification time
+ * @returns {string} Quoted ETag
+ */
+export const createETag = (...parts) => {
+    const hash = crypto.createHash("sha1");
+    for (const part of parts) {
+        hash.update(Buffer.isBuffer(part) ? part : String(part ?? ""));
+        hash.update("\0");
+    }
+    return `"${hash.digest("base64url")}"`;
+};
+
+// Entity tags in an If-None-Match / If-Match list, with their weakness prefix dropped
+const parseETagList = (header) => {
+    return header.split(",").map((tag) => tag.trim().replace(/^W\//, "")).filter(Boolean);
+};
+
+// Whole seconds, the precision of HTTP dates
+const toHttpSeconds = (date) => Math.floor(new Date(date).getTime() / 1000);
+
+/**
+ * Whether a conditional GET can be answered with 304 Not Modified
+ * If-None-Match takes precedence; If-Modified-Since is only used without it.
+ * @param {Object} req - Express request
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean}
+ */
+export const isNotModified = (req, { etag, lastModified }) => {
+    const ifNoneMatch = req.headers["if-none-match"];
+    if (ifNoneMatch) {
+        if (!etag) return false;
+        const tags = parseETagList(ifNoneMatch);
+        return tags.includes("*") || tags.includes(etag.replace(/^W\//, ""));
+    }
+
+    const ifModifiedSince = req.headers["if-modified-since"];
+    if (ifModifiedSince && lastModified) {
+        const since = Date.parse(ifModifiedSince);
+        return !Number.isNaN(since) && toHttpSeconds(lastModified) <= Math.floor(since / 1000);
+    }
+
+    return false;
+};
+
+/**
+ * Whether a Range request's If-Range condition holds (true when there's no If-Range)
+ * An entity tag must match strongly; a date must equal Last-Modified exactly.
+ * @param {Object} req - Express request
+ * @param {Object} validators - { etag, lastModified }
+ * @returns {boolean}
+ */
+export const isRangeFresh = (req, { etag, lastModified }) => {
+    const ifRange = req.headers["if-range"];
+    if (!ifRange) return true;
+
+    if (ifRange.startsWith("\"") || ifRange.startsWith("W/")) {
+        return Boolean(etag) && !etag.startsWith("W/") && ifRange === etag;
+    }
+
+    const date = Date.parse(ifRange);
+    return !Number.isNaN(date) && Boolean(lastModified) && toHttpSeconds(lastModified) === Math.floor(date / 1000);
+};
+
+/**
+ * Parse a Range header against the size of the representation
+ * Headers that aren't a valid bytes range are ignored, as RFC 9110 allows.
+ * @param {string} header - Range header value
+ * @param {number} size - Total size in bytes
+ * @returns {Object|null} null to send the whole file, { start, end } (inclusive) for a satisfiable range,
+ *                        or { unsatisfiable: true } for ranges outside the file and multi-range requests
+ */
+export const parseRange = (header, size) => {
+    if (!header) return null;
+
+    const match = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+    if (!match) return null;
+
+    const specs = match[1].split(",").map((spec) => spec.trim()).filter(Boolean);
+    if (specs.length === 0) return null;
+    if (specs.length > 1) return { unsatisfiable: true };
+
+    const spec = /^(\d*)-(\d*)$/.exec(specs[0]);
+    if (!spec || (spec[1] === "" && spec[2] === "")) return null;
+
+    let start;
+    let end;
+    if (spec[1] === "") {
+        // Suffix range: the last N bytes
+        const length = parseInt(spec[2], 10);
+        if (length === 0 || size === 0) return { unsatisfiable: true };
+        start = Math.max(size - length, 0);
+        end = size - 1;
+    } else {
+        start = parseInt(spec[1], 10);
+        end = spec[2] === "" ? size - 1 : Math.min(parseInt(spec[2], 10), size - 1);
+        if (spec[2] !== "" && parseInt(spec[2], 10) < start) return null;
+        if (start >= size) return { unsatisfiable: true };
+    }
+
+    return { start, end };
+};
+
+/**
+ * Send a file with validators, conditional request handling and byte ranges
+ * Answers 304 for fresh conditional GETs, 416 for unsatisfiable (or multiple) ranges, 206 for a single range
+ * and 200 otherwise. HEAD requests get the same headers without opening the file.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} file - { size, contentType, etag, lastModified, cacheControl,
+ *                          disposition (Content-Disposition value, optional),
+ *                          openStream({ start, end }) resolves { stream } or null if the file is gone }
+ * @returns {Promise<boolean>} false if the file couldn't be opened (nothing was sent)
+ */
+export const sendRangedStream = async (req, res, file) => {
+    const { size, contentType, etag, lastModified, cacheControl, disposition, openStream } = file;
+
+    res.setHeader("Accept-Ranges", "bytes");
+    res.setHeader("Access-Control-Expose-Headers", "Content-Range, Content-Length, Accept-Ranges, ETag, Last-Modified");
+    if (etag) res.setHeader("ETag", etag);
+    if (lastModified) res.setHeader("Last-Modified", new Date(lastModified).toUTCString());
+    if (cacheControl) res.setHeader("Cache-Control", cacheControl);
+
+    if (isNotModified(req, { etag, lastModified })) {
+        res.status(304).end();
+        return true;
+    }
+
+    const range = isRangeFresh(req, { etag, lastModified }) ? parseRange(req.headers.range, size) : null;
+
+    if (range?.unsatisfiable) {
+        res.setHeader("Content-Range", `bytes */${size}`);
+        res.status(416).end();
+        return true;
+    }
+
+    res.setHeader("Content-Type", contentType || "application/octet-stream");
+    if (disposition) res.setHeader("Content-Disposition", disposition);
+
+    const headers = range
+        ? { "Content-Range": `bytes ${range.start}-${range.end}/${size}`, "Content-Length": range.end - range.start + 1 }
+        : { "Content-Length": size };
+    const status = range ? 206 : 200;
+
+    if (req.method === "HEAD") {
+        res.writeHead(status, headers);
+        res.end();
+        return true;
+    }
+
+    const object = await openStream(range || {});
+    if (!object) return false;
+
+    res.writeHead(status, headers);
+
+    object.stream.on("error", (error) => {
+        console.error("[Stream] Read error:", error.message);
+        res.destroy(error);
+    });
+    // Stop reading when the client goes away (e.g. the player seeks and drops this request)
+    res.on("close", () => object.stream.destroy?.());
+    object.stream.pipe(res);
+    return true;
+};
+
+export default {
+    CACHE_POLICIES,
+    createETag,
+    isNotModified,
+    isRangeFresh,
+    parseRange,
+    sendRangedStream,
+};
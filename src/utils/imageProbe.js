@@ -0,0 +1,107 @@
+/**
+ * Image Probe
+ * Identifies PNG, JPEG and WebP files from their contents and reads their pixel size,
+ * so uploads are checked on what they are rather than on the MIME type the client declared.
+ */
+
+const MIME_TYPES = {
+    png: "image/png",
+    jpeg: "image/jpeg",
+    webp: "image/webp",
+};
+
+/**
+ * Size of a JPEG from its first start-of-frame marker
+ * @returns {Object|null} { width, height }
+ */
+const getJpegSize = (buffer) => {
+    let offset = 2;
+
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return {
+                height: buffer.readUInt16BE(offset + 5),
+                width: buffer.readUInt16BE(offset + 7),
+            };
+        }
+        offset += 2 + length;
+    }
+
+    return null;
+};
+
+/**
+ * Size of a WebP (lossy VP8, lossless VP8L or extended VP8X)
+ * @returns {Object|null} { width, height }
+ */
+const getWebpSize = (buffer) => {
+    if (buffer.length < 30) return null;
+    const chunk = buffer.toString("ascii", 12, 16);
+
+    if (chunk === "VP8 ") {
+        return {
+            width: buffer.readUInt16LE(26) & 0x3fff,
+            height: buffer.readUInt16LE(28) & 0x3fff,
+        };
+    }
+    if (chunk === "VP8L") {
+        const bits = buffer.readUInt32LE(21);
+        return {
+            width: (bits & 0x3fff) + 1,
+            height: ((bits >> 14) & 0x3fff) + 1,
+        };
+    }
+    if (chunk === "VP8X") {
+        return {
+            width: buffer.readUIntLE(24, 3) + 1,
+            height: buffer.readUIntLE(27, 3) + 1,
+        };
+    }
+
+    return null;
+};
+
+/**
+ * Format and pixel size of an image
+ * @param {Buffer} buffer - File data
+ * @returns {Object|null} { format, mimeType, width, height, hasAlpha (PNG only) }, or null if it isn't a readable PNG/JPEG/WebP
+ */
+export const getImageInfo = (buffer) => {
+    if (!Buffer.isBuffer(buffer) || buffer.length < 24) return null;
+
+    let format = null;
+    let size = null;
+    let hasAlpha;
+
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.toString("ascii", 12, 16) === "IHDR") {
+        format = "png";
+        size = { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+        // Color types 4 and 6 carry an alpha channel; a tRNS chunk would add transparency too
+        hasAlpha = [4, 6].includes(buffer[25]) || buffer.includes("tRNS", 33, "ascii");
+    } else if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        format = "jpeg";
+        size = getJpegSize(buffer);
+    } else if (buffer.toString("ascii", 0, 4) === "RIFF" && buffer.toString("ascii", 8, 12) === "WEBP") {
+        format = "webp";
+        size = getWebpSize(buffer);
+    }
+
+    if (!format || !size?.width || !size?.height) return null;
+
+    return {
+        format,
+        mimeType: MIME_TYPES[format],
+        width: size.width,
+        height: size.height,
+        ...(format === "png" && { hasAlpha }),
+    };
+};
+
+export default {
+    getImageInfo,
+};
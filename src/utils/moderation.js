@@ -0,0 +1,160 @@
+import ModerationRule from "../models/ModerationRule.js";
+import ModerationCase from "../models/ModerationCase.js";
+import { createClassifier } from "./moderationClassifiers/classifierRegistry.js";
+
+/**
+ * Content Moderation
+ * Checks prompts before generation and outputs before publishing against the admin-managed
+ * rules (ModerationRule) and, when AIConfig.moderation.classifier is set, a classifier.
+ * The strongest outcome wins: any block match blocks, otherwise any flag match flags.
+ */
+
+const DEFAULT_SETTINGS = {
+    enabled: true,
+    classifier: "none",
+    blockThreshold: 0.9,
+    flagThreshold: 0.5,
+};
+
+// Flags a RegExp accepts that make sense for matching a prompt ("g" and "y" make test() stateful)
+const ALLOWED_REGEX_FLAGS = /^[imsu]*$/;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Moderation settings with defaults filled in
+ * @param {Object} config - AIConfig document (optional)
+ * @returns {Object} { enabled, classifier, blockThreshold, flagThreshold }
+ */
+export const getModerationSettings = (config) => {
+    const settings = config?.moderation?.toObject?.() || config?.moderation || {};
+    return Object.fromEntries(
+        Object.entries(DEFAULT_SETTINGS).map(([key, value]) => [key, settings[key] ?? value])
+    );
+};
+
+/**
+ * Compile a rule to the RegExp it matches with
+ * Keywords match whole words case-insensitively; regex rules use their own flags.
+ * @param {Object} rule - { type, pattern, flags }
+ * @returns {RegExp}
+ * @throws {Error} For invalid patterns or flags
+ */
+export const compileRule = ({ type, pattern, flags }) => {
+    if (type === "regex") {
+        const regexFlags = flags ?? "i";
+        if (!ALLOWED_REGEX_FLAGS.test(regexFlags)) {
+            throw new Error("Regex flags may only include i, m, s and u.");
+        }
+        return new RegExp(pattern, regexFlags);
+    }
+
+    // \b only anchors next to word characters, so keywords like "c++" still match
+    const keyword = pattern.trim();
+    const start = /^\w/.test(keyword) ? "\\b" : "";
+    const end = /\w$/.test(keyword) ? "\\b" : "";
+    return new RegExp(`${start}${escapeRegex(keyword)}${end}`, "i");
+};
+
+/**
+ * Rules that match a text
+ * @param {string} text - Prompt to check
+ * @param {Array} rules - ModerationRule documents
+ * @returns {Array} Matches [{ source: "rule", rule, pattern, category, action }]
+ */
+export const matchRules = (text, rules) => {
+    if (!text) return [];
+
+    const matches = [];
+    for (const rule of rules) {
+        let regex;
+        try {
+            regex = compileRule(rule);
+        } catch (error) {
+            console.error(`[Moderation] Skipping invalid rule ${rule._id}:`, error.message);
+            continue;
+        }
+        if (regex.test(text)) {
+            matches.push({
+                source: "rule",
+                rule: rule._id,
+                pattern: rule.pattern,
+                category: rule.category,
+                action: rule.action,
+            });
+        }
+    }
+    return matches;
+};
+
+/**
+ * Run the moderation pipeline
+ * A classifier that fails (or isn't configured) is logged and skipped, so the rules still apply.
+ * @param {Object} input - { text, imageUrl }
+ * @param {Object} config - AIConfig document
+ * @returns {Promise<Object>} { action: "allow" | "flag" | "block", matches, categories }
+ */
+export const moderate = async ({ text, imageUrl } = {}, config) => {
+    const settings = getModerationSettings(config);
+    if (!settings.enabled) {
+        return { action: "allow", matches: [], categories: [] };
+    }
+
+    const rules = await ModerationRule.getActive();
+    const matches = matchRules(text, rules);
+
+    try {
+        const classifier = createClassifier(settings.classifier, config);
+        if (classifier) {
+            const scores = await classifier.classify({ text, imageUrl });
+            for (const { category, score } of scores) {
+                if (score >= settings.flagThreshold) {
+                    matches.push({
+                        source: "classifier",
+                        category,
+                        score,
+                        action: score >= settings.blockThreshold ? "block" : "flag",
+                    });
+                }
+            }
+        }
+    } catch (error) {
+        console.error(`[Moderation] Classifier "${settings.classifier}" failed:`, error.message);
+    }
+
+    const action = matches.some((match) => match.action === "block")
+        ? "block"
+        : matches.length > 0 ? "flag" : "allow";
+
+    return {
+        action,
+        matches,
+        categories: [...new Set(matches.map((match) => match.category).filter(Boolean))],
+    };
+};
+
+/**
+ * Store a blocked or flagged result in the review queue
+ * @param {Object} result - moderate() result (action "block" or "flag")
+ * @param {Object} details - { user, content, stage, prompt, outputUrl }
+ * @returns {Promise<Object>} ModerationCase document
+ */
+export const recordModerationCase = (result, { user, content, stage, prompt, outputUrl }) => {
+    return ModerationCase.create({
+        user,
+        content,
+        stage,
+        prompt,
+        outputUrl,
+        action: result.action === "block" ? "blocked" : "flagged",
+        matches: result.matches.map(({ action, ...match }) => match),
+    });
+};
+
+export default {
+    getModerationSettings,
+    compileRule,
+    matchRules,
+    moderate,
+    recordModerationCase,
+};
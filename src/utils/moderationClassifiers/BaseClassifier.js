@@ -0,0 +1,54 @@
+/**
+ * Base Classifier Class
+ * Abstract class for content moderation classifiers
+ */
+class BaseClassifier {
+    constructor(apiKey, config = {}) {
+        if (this.constructor === BaseClassifier) {
+            throw new Error("BaseClassifier is an abstract class and cannot be instantiated directly");
+        }
+
+        this.apiKey = apiKey;
+        this.config = {
+            timeout: config.timeout || 15000,
+            ...config,
+        };
+    }
+
+    /**
+     * Score text and/or an image against the classifier's categories (must be implemented by subclasses)
+     * @param {Object} input - { text, imageUrl }
+     * @returns {Promise<Array>} - [{ category, score }] with scores from 0 to 1
+     */
+    async classify(input) {
+        throw new Error("classify() must be implemented by subclass");
+    }
+
+    /**
+     * POST JSON with the configured timeout
+     * @param {string} url - Request URL
+     * @param {Object} body - JSON body
+     * @param {Object} headers - Extra headers
+     * @returns {Promise<Object>} - Parsed response
+     */
+    async postJson(url, body, headers = {}) {
+        const response = await fetch(url, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json",
+                ...headers,
+            },
+            body: JSON.stringify(body),
+            signal: AbortSignal.timeout(this.config.timeout),
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error?.message || `HTTP ${response.status}: ${response.statusText}`);
+        }
+
+        return response.json();
+    }
+}
+
+export default BaseClassifier;
@@ -0,0 +1,31 @@
+import BaseClassifier from "./BaseClassifier.js";
+
+/**
+ * OpenAI Classifier
+ * Uses the moderation endpoint, which scores text and images in one request
+ */
+class OpenAIClassifier extends BaseClassifier {
+    constructor(apiKey, config = {}) {
+        super(apiKey, config);
+        this.baseUrl = config.baseUrl || "https://api.openai.com/v1";
+        this.model = config.model || "omni-moderation-latest";
+    }
+
+    async classify({ text, imageUrl } = {}) {
+        const input = [];
+        if (text) input.push({ type: "text", text });
+        if (imageUrl) input.push({ type: "image_url", image_url: { url: imageUrl } });
+        if (input.length === 0) return [];
+
+        const data = await this.postJson(
+            `${this.baseUrl}/moderations`,
+            { model: this.model, input },
+            { "Authorization": `Bearer ${this.apiKey}` }
+        );
+
+        const scores = data.results?.[0]?.category_scores || {};
+        return Object.entries(scores).map(([category, score]) => ({ category, score }));
+    }
+}
+
+export default OpenAIClassifier;
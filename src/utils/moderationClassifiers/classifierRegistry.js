@@ -0,0 +1,60 @@
+import OpenAIClassifier from "./OpenAIClassifier.js";
+
+/**
+ * Classifier Registry
+ * Maps AIConfig.moderation.classifier values to BaseClassifier implementations and the
+ * AIConfig API key each one authenticates with.
+ */
+
+const classifiers = new Map();
+
+/**
+ * Register a classifier implementation
+ * @param {string} name - Classifier name as stored in AIConfig.moderation.classifier
+ * @param {Function} ClassifierClass - BaseClassifier subclass
+ * @param {Object} options - { keyName } AIConfig.apiKeys entry (defaults to name), { envKey } environment fallback
+ */
+export const registerClassifier = (name, ClassifierClass, { keyName = name, envKey } = {}) => {
+    classifiers.set(name, { ClassifierClass, keyName, envKey });
+};
+
+/**
+ * Names of all registered classifiers
+ * @returns {string[]}
+ */
+export const getClassifierNames = () => [...classifiers.keys()];
+
+/**
+ * Build a classifier by name
+ * @param {string} name - Classifier name ("none" or unset for no classifier)
+ * @param {Object} config - AIConfig document (for the API key)
+ * @returns {Object|null} BaseClassifier instance, or null when none is configured
+ * @throws {Error} CLASSIFIER_NOT_SUPPORTED / CLASSIFIER_NOT_CONFIGURED
+ */
+export const createClassifier = (name, config) => {
+    if (!name || name === "none") return null;
+
+    const entry = classifiers.get(name);
+    if (!entry) {
+        const error = new Error(`No moderation classifier registered for "${name}".`);
+        error.code = "CLASSIFIER_NOT_SUPPORTED";
+        throw error;
+    }
+
+    const apiKey = config?.getApiKey?.(entry.keyName) || (entry.envKey && process.env[entry.envKey]);
+    if (!apiKey) {
+        const error = new Error(`${name} API key not configured for moderation.`);
+        error.code = "CLASSIFIER_NOT_CONFIGURED";
+        throw error;
+    }
+
+    return new entry.ClassifierClass(apiKey);
+};
+
+registerClassifier("openai", OpenAIClassifier, { envKey: "OPENAI_API_KEY" });
+
+export default {
+    registerClassifier,
+    getClassifierNames,
+    createClassifier,
+};
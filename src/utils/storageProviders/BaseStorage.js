@@ -0,0 +1,130 @@
+import path from "path";
+
+const CONTENT_TYPES = {
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".webp": "image/webp",
+    ".mp4": "video/mp4",
+    ".mov": "video/quicktime",
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+};
+
+/**
+ * Base Storage Class
+ * Abstract class for generated-asset storage backends. Assets are addressed by a key,
+ * a relative path such as "gen-123.png" that Content records as storageKey.
+ */
+class BaseStorage {
+    constructor(name, config = {}) {
+        if (this.constructor === BaseStorage) {
+            throw new Error("BaseStorage is an abstract class and cannot be instantiated directly");
+        }
+
+        this.name = name;
+        this.config = config;
+    }
+
+    /**
+     * Store an asset, replacing any existing one with the same key (must be implemented by subclasses)
+     * @param {string} key - Storage key
+     * @param {Buffer} body - File data
+     * @param {Object} options - { contentType } (defaults to the type for the key's extension)
+     * @returns {Promise<Object>} - { key, size, duration (media length, when the backend reports it) }
+     */
+    async put(key, body, options = {}) {
+        throw new Error("put() must be implemented by subclass");
+    }
+
+    /**
+     * Open an asset for reading (must be implemented by subclasses)
+     * @param {string} key - Storage key
+     * @param {Object} range - { start, end } inclusive byte range (optional)
+     * @returns {Promise<Object|null>} - { stream, size (of the whole asset), contentType, lastModified }, or null if missing
+     */
+    async getStream(key, range = {}) {
+        throw new Error("getStream() must be implemented by subclass");
+    }
+
+    /**
+     * Asset details without its contents (must be implemented by subclasses)
+     * @param {string} key - Storage key
+     * @returns {Promise<Object|null>} - { size, contentType, lastModified }, or null if missing
+     */
+    async head(key) {
+        throw new Error("head() must be implemented by subclass");
+    }
+
+    /**
+     * Delete an asset; missing assets are ignored (must be implemented by subclasses)
+     * @param {string} key - Storage key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        throw new Error("delete() must be implemented by subclass");
+    }
+
+    /**
+     * Time-limited URL clients can fetch the asset from directly
+     * Assets have no permanent public URL: clean originals of watermarked content must stay private.
+     * @param {string} key - Storage key
+     * @param {Object} options - { expiresIn (seconds), download, filename }
+     * @returns {Promise<string|null>} - URL, or null when the backend is only served through the API
+     */
+    async getSignedUrl(key, options = {}) {
+        return null;
+    }
+
+    /**
+     * Path of the asset on this machine, for backends that keep files on disk (e.g. for ffmpeg)
+     * @param {string} key - Storage key
+     * @returns {string|null}
+     */
+    getLocalPath(key) {
+        return null;
+    }
+
+    /**
+     * Read a whole asset into memory
+     * @param {string} key - Storage key
+     * @returns {Promise<Buffer|null>} - File data, or null if missing
+     */
+    async getBuffer(key) {
+        const object = await this.getStream(key);
+        if (!object) return null;
+
+        const chunks = [];
+        for await (const chunk of object.stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Check that a key is a relative path that stays inside the storage root
+     * @param {string} key - Storage key
+     * @returns {string} - The key
+     * @throws {Error} With code INVALID_STORAGE_KEY
+     */
+    assertKey(key) {
+        const segments = typeof key === "string" ? key.split("/") : [];
+        if (!key || key.startsWith("/") || key.includes("\\") || segments.some((segment) => !segment || segment === "." || segment === "..")) {
+            const error = new Error(`Invalid storage key: ${key}`);
+            error.code = "INVALID_STORAGE_KEY";
+            throw error;
+        }
+        return key;
+    }
+
+    /**
+     * MIME type for a key, from its extension
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    static contentTypeFor(key) {
+        return CONTENT_TYPES[path.extname(key || "").toLowerCase()] || "application/octet-stream";
+    }
+}
+
+export default BaseStorage;
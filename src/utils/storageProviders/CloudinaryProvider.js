@@ -116,6 +116,13 @@ class CloudinaryProvider {
         });
     }
 
+    async destroy(publicId, type = 'image') {
+        if (!this.configured) await this.init();
+        if (!this.configured || !publicId) return null;
+
+        return cloudinary.uploader.destroy(publicId, { resource_type: type });
+    }
+
     async uploadFromUrl(url, type = 'image', folder = 'generated') {
         if (!this.configured) await this.init();
         if (!this.configured) return null;
@@ -0,0 +1,130 @@
+import { Readable } from "stream";
+import { v2 as cloudinary } from "cloudinary";
+import streamifier from "streamifier";
+import CloudinaryProvider from "./CloudinaryProvider.js";
+import BaseStorage from "./BaseStorage.js";
+
+const IMAGE_EXTENSIONS = [".png", ".jpg", ".jpeg", ".webp", ".gif"];
+
+/**
+ * Cloudinary Storage
+ * Stores each asset under a public_id derived from its key (pixora/generated/<key without extension>).
+ * Assets are uploaded as "authenticated" resources, so they can only be fetched through signed URLs:
+ * the API reads them with signed delivery URLs, and clients are redirected to expiring download URLs.
+ * Audio is stored as a "video" resource, which is how Cloudinary handles sound files.
+ */
+class CloudinaryStorage extends BaseStorage {
+    constructor(config = {}) {
+        super("cloudinary", config);
+        this.folder = config.folder || "pixora/generated";
+        this.signedUrlExpiry = config.signedUrlExpiry || parseInt(process.env.CLOUDINARY_SIGNED_URL_EXPIRY) || 3600;
+    }
+
+    async ensureConfigured() {
+        if (!CloudinaryProvider.configured) await CloudinaryProvider.init();
+        if (!CloudinaryProvider.configured) {
+            const error = new Error("Cloudinary storage is not configured (CLOUDINARY_* credentials are missing).");
+            error.code = "STORAGE_NOT_CONFIGURED";
+            throw error;
+        }
+    }
+
+    extension(key) {
+        const match = this.assertKey(key).match(/\.[^./]+$/);
+        return match ? match[0].toLowerCase() : "";
+    }
+
+    publicId(key) {
+        return `${this.folder}/${key.slice(0, key.length - this.extension(key).length)}`;
+    }
+
+    resourceType(key) {
+        return IMAGE_EXTENSIONS.includes(this.extension(key)) ? "image" : "video";
+    }
+
+    // Signed (non-expiring) CDN URL; only used by the API itself, never handed to clients
+    deliveryUrl(key) {
+        return cloudinary.url(this.publicId(key), {
+            resource_type: this.resourceType(key),
+            type: "authenticated",
+            format: this.extension(key).slice(1) || undefined,
+            sign_url: true,
+            secure: true,
+        });
+    }
+
+    async put(key, body, options = {}) {
+        await this.ensureConfigured();
+
+        const result = await new Promise((resolve, reject) => {
+            const uploadStream = cloudinary.uploader.upload_stream(
+                {
+                    public_id: this.publicId(key),
+                    resource_type: this.resourceType(key),
+                    type: "authenticated",
+                    overwrite: true,
+                    invalidate: true,
+                    chunk_size: 6000000,
+                },
+                (error, result) => (error ? reject(error) : resolve(result))
+            );
+            streamifier.createReadStream(body).pipe(uploadStream);
+        });
+
+        return { key, size: result.bytes, duration: result.duration };
+    }
+
+    async head(key) {
+        await this.ensureConfigured();
+
+        const response = await fetch(this.deliveryUrl(key), { method: "HEAD" });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Cloudinary HEAD failed with status ${response.status}`);
+
+        return {
+            size: parseInt(response.headers.get("content-length")) || undefined,
+            contentType: response.headers.get("content-type") || BaseStorage.contentTypeFor(key),
+            lastModified: response.headers.get("last-modified") ? new Date(response.headers.get("last-modified")) : undefined,
+        };
+    }
+
+    async getStream(key, { start, end } = {}) {
+        await this.ensureConfigured();
+
+        const ranged = start !== undefined || end !== undefined;
+        const response = await fetch(this.deliveryUrl(key), {
+            headers: ranged ? { Range: `bytes=${start ?? 0}-${end ?? ""}` } : {},
+        });
+        if (response.status === 404) return null;
+        if (!response.ok) throw new Error(`Cloudinary fetch failed with status ${response.status}`);
+
+        const total = response.headers.get("content-range")?.split("/")[1];
+        return {
+            stream: Readable.fromWeb(response.body),
+            size: total && total !== "*" ? parseInt(total) : parseInt(response.headers.get("content-length")) || undefined,
+            contentType: response.headers.get("content-type") || BaseStorage.contentTypeFor(key),
+            lastModified: response.headers.get("last-modified") ? new Date(response.headers.get("last-modified")) : undefined,
+        };
+    }
+
+    async delete(key) {
+        await this.ensureConfigured();
+        await cloudinary.uploader.destroy(this.publicId(key), {
+            resource_type: this.resourceType(key),
+            type: "authenticated",
+            invalidate: true,
+        });
+    }
+
+    async getSignedUrl(key, { expiresIn = this.signedUrlExpiry, download = false } = {}) {
+        await this.ensureConfigured();
+        return cloudinary.utils.private_download_url(this.publicId(key), this.extension(key).slice(1), {
+            resource_type: this.resourceType(key),
+            type: "authenticated",
+            expires_at: Math.floor(Date.now() / 1000) + expiresIn,
+            attachment: download,
+        });
+    }
+}
+
+export default CloudinaryStorage;
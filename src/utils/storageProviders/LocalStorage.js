@@ -0,0 +1,59 @@
+import fs from "fs";
+import path from "path";
+import BaseStorage from "./BaseStorage.js";
+
+/**
+ * Local Disk Storage
+ * Keeps assets under public/generated (or /tmp/generated on serverless hosts, where only /tmp is writable).
+ * Assets have no URL of their own and are always streamed through the API.
+ */
+class LocalStorage extends BaseStorage {
+    constructor(config = {}) {
+        super("local", config);
+        this.root = config.root || (process.env.VERCEL
+            ? path.join("/", "tmp", "generated")
+            : path.join(process.cwd(), "public", "generated"));
+    }
+
+    getLocalPath(key) {
+        return path.join(this.root, this.assertKey(key));
+    }
+
+    async put(key, body, options = {}) {
+        const filePath = this.getLocalPath(key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(filePath, body);
+        return { key, size: body.length };
+    }
+
+    async head(key) {
+        try {
+            const stats = await fs.promises.stat(this.getLocalPath(key));
+            if (!stats.isFile()) return null;
+            return {
+                size: stats.size,
+                contentType: BaseStorage.contentTypeFor(key),
+                lastModified: stats.mtime,
+            };
+        } catch (error) {
+            if (error.code === "ENOENT") return null;
+            throw error;
+        }
+    }
+
+    async getStream(key, { start, end } = {}) {
+        const info = await this.head(key);
+        if (!info) return null;
+
+        return {
+            ...info,
+            stream: fs.createReadStream(this.getLocalPath(key), { start, end }),
+        };
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.getLocalPath(key), { force: true });
+    }
+}
+
+export default LocalStorage;
@@ -0,0 +1,126 @@
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+import BaseStorage from "./BaseStorage.js";
+
+/**
+ * S3-Compatible Storage
+ * Works with AWS S3 and S3-compatible services (R2, MinIO, Spaces, ...) through S3_ENDPOINT.
+ * Clients are redirected to presigned GET URLs, so the bucket should stay private.
+ */
+class S3Storage extends BaseStorage {
+    constructor(config = {}) {
+        super("s3", config);
+        this.bucket = config.bucket || process.env.S3_BUCKET;
+        this.prefix = config.prefix ?? process.env.S3_PREFIX ?? "generated/";
+        this.signedUrlExpiry = config.signedUrlExpiry || parseInt(process.env.S3_SIGNED_URL_EXPIRY) || 3600;
+        this._client = null;
+    }
+
+    /**
+     * SDK client, created on first use so an unconfigured backend only fails when it's used
+     */
+    get client() {
+        if (!this.bucket) {
+            const error = new Error("S3 storage is not configured (S3_BUCKET is missing).");
+            error.code = "STORAGE_NOT_CONFIGURED";
+            throw error;
+        }
+
+        if (!this._client) {
+            const accessKeyId = this.config.accessKeyId || process.env.S3_ACCESS_KEY_ID;
+            const secretAccessKey = this.config.secretAccessKey || process.env.S3_SECRET_ACCESS_KEY;
+
+            this._client = new S3Client({
+                region: this.config.region || process.env.S3_REGION || "us-east-1",
+                endpoint: this.config.endpoint || process.env.S3_ENDPOINT || undefined,
+                forcePathStyle: this.config.forcePathStyle ?? process.env.S3_FORCE_PATH_STYLE === "true",
+                // Without explicit keys the SDK uses its default chain (instance role, AWS_* env, ...)
+                credentials: accessKeyId && secretAccessKey ? { accessKeyId, secretAccessKey } : undefined,
+            });
+        }
+        return this._client;
+    }
+
+    objectKey(key) {
+        return `${this.prefix}${this.assertKey(key)}`;
+    }
+
+    async put(key, body, options = {}) {
+        await this.client.send(new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            Body: body,
+            ContentType: options.contentType || BaseStorage.contentTypeFor(key),
+        }));
+        return { key, size: body.length };
+    }
+
+    async head(key) {
+        try {
+            const result = await this.client.send(new HeadObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key),
+            }));
+            return {
+                size: result.ContentLength,
+                contentType: result.ContentType || BaseStorage.contentTypeFor(key),
+                lastModified: result.LastModified,
+            };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async getStream(key, { start, end } = {}) {
+        const ranged = start !== undefined || end !== undefined;
+
+        try {
+            const result = await this.client.send(new GetObjectCommand({
+                Bucket: this.bucket,
+                Key: this.objectKey(key),
+                Range: ranged ? `bytes=${start ?? 0}-${end ?? ""}` : undefined,
+            }));
+
+            // For ranged reads ContentLength is the slice; the total comes from "bytes a-b/total"
+            const total = result.ContentRange?.split("/")[1];
+            return {
+                stream: result.Body,
+                size: total && total !== "*" ? parseInt(total) : result.ContentLength,
+                contentType: result.ContentType || BaseStorage.contentTypeFor(key),
+                lastModified: result.LastModified,
+            };
+        } catch (error) {
+            if (isNotFound(error)) return null;
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        await this.client.send(new DeleteObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+        }));
+    }
+
+    async getSignedUrl(key, { expiresIn = this.signedUrlExpiry, download = false, filename } = {}) {
+        const command = new GetObjectCommand({
+            Bucket: this.bucket,
+            Key: this.objectKey(key),
+            ResponseContentDisposition: download ? `attachment; filename="${filename || key.split("/").pop()}"` : undefined,
+        });
+        return getSignedUrl(this.client, command, { expiresIn });
+    }
+}
+
+const isNotFound = (error) => {
+    return error.name === "NotFound" || error.name === "NoSuchKey" || error.$metadata?.httpStatusCode === 404;
+};
+
+export default S3Storage;
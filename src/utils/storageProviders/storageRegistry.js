@@ -0,0 +1,112 @@
+import path from "path";
+import LocalStorage from "./LocalStorage.js";
+import S3Storage from "./S3Storage.js";
+import CloudinaryStorage from "./CloudinaryStorage.js";
+
+/**
+ * Storage Registry
+ * Maps Content.storageBackend values to BaseStorage implementations. New assets go to the
+ * default backend (STORAGE_BACKEND, or Cloudinary when its credentials are set, otherwise local disk);
+ * existing assets are always read from the backend recorded on their Content (see resolveStoredAsset).
+ */
+
+const backends = new Map();
+const instances = new Map();
+
+/**
+ * Register a storage backend
+ * @param {string} name - Backend name as stored in Content.storageBackend
+ * @param {Function} createStorage - Returns a BaseStorage instance (called once, on first use)
+ */
+export const registerStorage = (name, createStorage) => {
+    backends.set(name, createStorage);
+    instances.delete(name);
+};
+
+/**
+ * Names of all registered backends
+ * @returns {string[]}
+ */
+export const getStorageNames = () => [...backends.keys()];
+
+/**
+ * Backend new assets are written to
+ * @returns {string}
+ */
+export const getDefaultStorageName = () => {
+    if (process.env.STORAGE_BACKEND) return process.env.STORAGE_BACKEND;
+
+    const cloudinaryConfigured = process.env.CLOUDINARY_CLOUD_NAME
+        && process.env.CLOUDINARY_API_KEY
+        && process.env.CLOUDINARY_API_SECRET;
+    return cloudinaryConfigured ? "cloudinary" : "local";
+};
+
+/**
+ * Storage backend by name
+ * @param {string} name - Backend name (defaults to the default backend)
+ * @returns {Object} BaseStorage instance
+ * @throws {Error} STORAGE_NOT_SUPPORTED
+ */
+export const getStorage = (name = getDefaultStorageName()) => {
+    if (!instances.has(name)) {
+        const createStorage = backends.get(name);
+        if (!createStorage) {
+            const error = new Error(`No storage backend registered for "${name}".`);
+            error.code = "STORAGE_NOT_SUPPORTED";
+            throw error;
+        }
+        instances.set(name, createStorage());
+    }
+    return instances.get(name);
+};
+
+// File names content was stored under before Content recorded a storageKey
+const LEGACY_EXTENSIONS = {
+    image: ["png", "jpg", "jpeg", "webp"],
+    video: ["mp4", "mov"],
+    audio: ["mp3", "wav"],
+};
+
+/**
+ * Locate a content's file (or one of its variants) in storage
+ * Content records its storageKey; older content only has an absolute localFilePath, or a file named after
+ * its generationId, in local storage. Video thumbnails are stored as "<generationId>.png" next to the video.
+ * @param {Object} content - Content document
+ * @param {Object} options - { assetType } kind of file wanted (defaults to content.type), { variant } entry of content.variants
+ * @returns {Promise<Object|null>} { storage, key }, or null if there's no such file
+ */
+export const resolveStoredAsset = async (content, { assetType = content.type, variant } = {}) => {
+    const storage = getStorage(content.storageBackend || "local");
+    const source = variant || {
+        storageKey: content.storageKey,
+        localPath: content.metadata?.localFilePath,
+        generationId: content.generationId,
+    };
+    const sameType = assetType === content.type;
+
+    if (source.storageKey && sameType) {
+        return { storage, key: source.storageKey };
+    }
+
+    const candidates = [
+        ...(sameType && source.localPath ? [path.basename(source.localPath)] : []),
+        ...(LEGACY_EXTENSIONS[assetType] || []).map((ext) => `${source.generationId}.${ext}`),
+    ];
+    for (const key of candidates) {
+        if (await storage.head(key)) return { storage, key };
+    }
+    return null;
+};
+
+registerStorage("local", () => new LocalStorage());
+registerStorage("s3", () => new S3Storage());
+registerStorage("cloudinary", () => new CloudinaryStorage());
+
+export default {
+    registerStorage,
+    getStorageNames,
+    getDefaultStorageName,
+    getStorage,
+    resolveStoredAsset,
+};
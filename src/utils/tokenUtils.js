@@ -34,4 +34,57 @@ export const verifyToken = (token) => {
   }
 };
 
+// Stream tokens only open the progress event stream of one content (or "all"), so they can go in a URL
+const STREAM_TOKEN_PURPOSE = "content-events";
+const STREAM_TOKEN_EXPIRES_IN = 5 * 60;
+// EventSource reconnects with the URL (and token) it was opened with, so a reconnect that resumes
+// from Last-Event-ID is still accepted this long after the token expired
+const STREAM_TOKEN_RECONNECT_GRACE = 60 * 60;
+
+export const generateStreamToken = (userId, scope) => {
+  if (!process.env.JWT_SECRET) {
+    console.error("❌ JWT_SECRET is not defined in environment variables!");
+    throw new Error("Internal server error: Missing security configuration.");
+  }
+  const token = jwt.sign(
+    {
+      id: userId,
+      purpose: STREAM_TOKEN_PURPOSE,
+      scope
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: STREAM_TOKEN_EXPIRES_IN,
+      issuer: process.env.JWT_ISSUER || "Pixora",
+      audience: `${process.env.JWT_AUDIENCE || "Pixora_Support"}:${STREAM_TOKEN_PURPOSE}`
+    }
+  );
+  return { token, expiresIn: STREAM_TOKEN_EXPIRES_IN };
+};
+
+export const verifyStreamToken = (token, scope, { reconnecting = false } = {}) => {
+  if (!process.env.JWT_SECRET) {
+    console.error("❌ JWT_SECRET is not defined in environment variables!");
+    throw new Error("Internal server error: Missing security configuration.");
+  }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET, {
+      issuer: process.env.JWT_ISSUER || "Pixora",
+      audience: `${process.env.JWT_AUDIENCE || "Pixora_Support"}:${STREAM_TOKEN_PURPOSE}`,
+      ignoreExpiration: reconnecting
+    });
+  } catch (error) {
+    throw new Error("Invalid or expired token");
+  }
+  const expiredFor = Math.floor(Date.now() / 1000) - decoded.exp;
+  if (reconnecting && !(expiredFor < STREAM_TOKEN_RECONNECT_GRACE)) {
+    throw new Error("Invalid or expired token");
+  }
+  if (decoded.purpose !== STREAM_TOKEN_PURPOSE || decoded.scope !== scope) {
+    throw new Error("Invalid or expired token");
+  }
+  return decoded;
+};
+
 export default generateToken;
@@ -0,0 +1,292 @@
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+
+/**
+ * Video Probe
+ * Reads the duration of MP4/MOV sources from the movie header (moov/mvhd box),
+ * so video inputs can be priced without ffmpeg. Only the box headers and the moov box are read,
+ * through byte ranges, never the whole file.
+ */
+
+// Top-level boxes walked before giving up (ftyp, free, mdat, moov, ... in any order)
+const MAX_TOP_LEVEL_BOXES = 16;
+// Largest moov box read; mvhd is its first child, so a truncated moov still has it
+const MAX_MOOV_BYTES = 1024 * 1024;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_REDIRECTS = 3;
+
+// Loopback, private, link-local, shared, multicast and reserved ranges a source URL may never resolve to
+// (IPv4 subnets also match their IPv4-mapped IPv6 form)
+const blockedAddresses = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv4"));
+[
+    ["::", 127], ["64:ff9b::", 96], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8],
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address, prefix, "ipv6"));
+
+/**
+ * Find a child box by type within a range of an ISO-BMFF buffer
+ * @returns {Object|null} { start, end } of the box payload
+ */
+const findBox = (buffer, type, start = 0, end = buffer.length) => {
+    let offset = start;
+
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        const boxType = buffer.toString("ascii", offset + 4, offset + 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (offset + 16 > end) return null;
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize) return null;
+
+        if (boxType === type) {
+            return { start: offset + headerSize, end: Math.min(offset + size, end) };
+        }
+        offset += size;
+    }
+
+    return null;
+};
+
+/**
+ * Duration of an MP4/MOV file
+ * @param {Buffer} buffer - File data
+ * @returns {number|null} Duration in seconds, or null if the file has no readable movie header
+ */
+export const getMp4Duration = (buffer) => {
+    const moov = findBox(buffer, "moov");
+    const mvhd = moov && findBox(buffer, "mvhd", moov.start, moov.end);
+    if (!mvhd || mvhd.end - mvhd.start < 20) return null;
+
+    const version = buffer[mvhd.start];
+    let timescale;
+    let duration;
+
+    if (version === 1) {
+        if (mvhd.end - mvhd.start < 32) return null;
+        timescale = buffer.readUInt32BE(mvhd.start + 20);
+        duration = Number(buffer.readBigUInt64BE(mvhd.start + 24));
+    } else {
+        timescale = buffer.readUInt32BE(mvhd.start + 12);
+        duration = buffer.readUInt32BE(mvhd.start + 16);
+    }
+
+    if (!timescale) return null;
+    return duration / timescale;
+};
+
+/**
+ * Duration of an MP4/MOV file, read box by box
+ * @param {Function} readRange - (start, end) => Promise<Buffer> with the bytes start..end (inclusive),
+ *                               shorter (or empty) past the end of the file
+ * @returns {Promise<number|null>} Duration in seconds, or null if the file has no readable movie header
+ */
+export const probeMp4Duration = async (readRange) => {
+    let offset = 0;
+
+    for (let i = 0; i < MAX_TOP_LEVEL_BOXES; i++) {
+        const header = await readRange(offset, offset + 15);
+        if (header.length < 8) return null;
+
+        let size = header.readUInt32BE(0);
+        const boxType = header.toString("ascii", 4, 8);
+        let headerSize = 8;
+
+        if (size === 1) {
+            if (header.length < 16) return null;
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        }
+
+        if (boxType === "moov") {
+            const length = size === 0 ? MAX_MOOV_BYTES : Math.min(size, MAX_MOOV_BYTES);
+            return getMp4Duration(await readRange(offset, offset + length - 1));
+        }
+
+        // A zero size runs to the end of the file, so nothing follows it
+        if (size === 0 || size < headerSize) return null;
+        offset += size;
+    }
+
+    return null;
+};
+
+/**
+ * Duration of a video in the storage layer
+ * @param {Object} storage - BaseStorage instance
+ * @param {string} key - Storage key
+ * @returns {Promise<number>} Duration in seconds
+ * @throws {Error} If the video is missing or isn't a readable MP4/MOV
+ */
+export const probeStoredVideoDuration = async (storage, key) => {
+    const info = await storage.head(key);
+    if (!info) throw new Error("Source video file is missing.");
+
+    const duration = await probeMp4Duration(async (start, end) => {
+        // Backends differ on ranges past the end of the file, so clamp them here
+        if (info.size !== undefined) {
+            if (start >= info.size) return Buffer.alloc(0);
+            end = Math.min(end, info.size - 1);
+        }
+
+        const object = await storage.getStream(key, { start, end });
+        if (!object) throw new Error("Source video file is missing.");
+
+        const chunks = [];
+        for await (const chunk of object.stream) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks).subarray(0, end - start + 1);
+    });
+
+    if (!duration) throw new Error("Source video must be an MP4 or MOV file.");
+    return duration;
+};
+
+/**
+ * Hosts video URLs may be read from (VIDEO_SOURCE_HOSTS, comma separated; subdomains are included)
+ * @returns {string[]}
+ */
+export const getAllowedSourceHosts = () => {
+    return (process.env.VIDEO_SOURCE_HOSTS || "")
+        .split(",")
+        .map((host) => host.trim().toLowerCase().replace(/^\*?\./, ""))
+        .filter(Boolean);
+};
+
+const isBlockedAddress = (address) => {
+    const family = net.isIP(address);
+    return family === 0 || blockedAddresses.check(address, family === 6 ? "ipv6" : "ipv4");
+};
+
+/**
+ * Check that a source URL is http(s), on an allowed host and not a private address
+ * @param {string|URL} url - Source URL
+ * @returns {URL} The parsed URL
+ * @throws {Error} If the URL may not be read
+ */
+const checkSourceUrl = (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error("Source video URL is invalid.");
+    }
+    if (!["http:", "https:"].includes(parsed.protocol)) {
+        throw new Error("Source video URL must use http or https.");
+    }
+
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+    const allowed = getAllowedSourceHosts().some((host) => hostname === host || hostname.endsWith(`.${host}`));
+    if (!allowed) {
+        throw new Error("Source video URL must be on an allowed host. Use sourceContentId for your own videos.");
+    }
+    // IP literals are connected to without a DNS lookup, so check them here
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw new Error("Source video URL must not point to a private address.");
+    }
+    return parsed;
+};
+
+// dns.lookup that refuses private addresses; used for every connection so a host can't rebind between checks
+const publicLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(new Error("Source video URL must not point to a private address."));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Fetch a byte range of a source URL, following (checked) redirects
+ * @returns {Promise<Buffer>} At most end - start + 1 bytes; empty past the end of the file
+ */
+const requestRange = (url, start, end, redirects = 0) => new Promise((resolve, reject) => {
+    const limit = end - start + 1;
+    const client = url.protocol === "https:" ? https : http;
+
+    const request = client.get(url, {
+        headers: { Range: `bytes=${start}-${end}` },
+        lookup: publicLookup,
+        timeout: REQUEST_TIMEOUT_MS,
+    }, (response) => {
+        const { statusCode, headers } = response;
+
+        if ([301, 302, 303, 307, 308].includes(statusCode) && headers.location) {
+            response.resume();
+            if (redirects >= MAX_REDIRECTS) {
+                return reject(new Error("Source video URL redirected too many times."));
+            }
+            try {
+                return resolve(requestRange(checkSourceUrl(new URL(headers.location, url)), start, end, redirects + 1));
+            } catch (error) {
+                return reject(error);
+            }
+        }
+        if (statusCode === 416) {
+            response.resume();
+            return resolve(Buffer.alloc(0));
+        }
+        // A server that ignores Range is only usable for the leading bytes
+        if (statusCode !== 206 && !(statusCode === 200 && start === 0)) {
+            response.resume();
+            return reject(new Error(statusCode === 200
+                ? "Source video host must support byte-range requests."
+                : `Source video could not be downloaded (${statusCode}).`));
+        }
+
+        const chunks = [];
+        let received = 0;
+        response.on("data", (chunk) => {
+            chunks.push(chunk);
+            received += chunk.length;
+            if (received >= limit) {
+                response.destroy();
+                resolve(Buffer.concat(chunks).subarray(0, limit));
+            }
+        });
+        response.on("end", () => resolve(Buffer.concat(chunks).subarray(0, limit)));
+        response.on("error", reject);
+    });
+
+    request.on("timeout", () => request.destroy(new Error("Source video request timed out.")));
+    request.on("error", reject);
+});
+
+/**
+ * Read the duration of a video URL from its headers
+ * The URL must be on an allowed host (see getAllowedSourceHosts) and resolve to a public address.
+ * @param {string} url - http(s) URL of the video
+ * @returns {Promise<number>} Duration in seconds
+ * @throws {Error} If the URL isn't allowed or the video isn't a readable MP4/MOV
+ */
+export const probeVideoDuration = async (url) => {
+    const parsed = checkSourceUrl(url);
+
+    const duration = await probeMp4Duration((start, end) => requestRange(parsed, start, end));
+    if (!duration) {
+        throw new Error("Source video must be an MP4 or MOV file.");
+    }
+    return duration;
+};
+
+export default {
+    getMp4Duration,
+    probeMp4Duration,
+    probeStoredVideoDuration,
+    getAllowedSourceHosts,
+    probeVideoDuration,
+};
@@ -1,8 +1,17 @@
+import fs from "fs";
+import path from "path";
+import { spawn } from "child_process";
+import sharp from "sharp";
+
 /**
  * Watermark Utility
- * Handles watermark application for free tier content
+ * Handles watermark application for free tier content.
+ * Images are watermarked when they are streamed or downloaded; videos get a watermarked copy
+ * when the generation completes. The clean originals are kept so the watermark can be released.
  */
 
+const VIDEO_WATERMARK_TIMEOUT_MS = 10 * 60 * 1000;
+
 /**
  * Watermark configuration
  */
@@ -19,7 +28,6 @@ export const watermarkConfig = {
 
 /**
  * Apply watermark metadata to content
- * Note: Actual watermark rendering will be done by the AI generation service
  * This function prepares the watermark configuration
  * 
  * @param {Object} options - Watermark options
@@ -78,32 +86,184 @@ export const generateWatermarkText = (customText = null) => {
     return customText || watermarkConfig.text;
 };
 
+const WATERMARK_POSITIONS = ["top-left", "top-right", "bottom-left", "bottom-right", "center"];
+// watermarkConfig sizes are for a 512px image and scale with the shorter side
+const REFERENCE_SIZE = 512;
+// Rough advance width of a sans-serif capital, as a share of the font size
+const CHARACTER_WIDTH = 0.62;
+const OUTPUT_FORMATS = ["png", "jpeg", "webp"];
+
+const escapeXml = (value) => String(value).replace(/[<>&"']/g, (char) => ({
+    "<": "&lt;",
+    ">": "&gt;",
+    "&": "&amp;",
+    "\"": "&quot;",
+    "'": "&apos;",
+}[char]));
+
 /**
- * Apply watermark to image (placeholder for actual implementation)
- * This will be implemented when AI generation is added
- * 
+ * Top-left corner of a box placed at a watermark position
+ * @returns {Object} { x, y }
+ */
+const placeBox = (position, width, height, boxWidth, boxHeight, padding) => {
+    const [vertical, horizontal] = position === "center" ? ["center", "center"] : position.split("-");
+    return {
+        x: horizontal === "left" ? padding : horizontal === "right" ? width - boxWidth - padding : (width - boxWidth) / 2,
+        y: vertical === "top" ? padding : vertical === "bottom" ? height - boxHeight - padding : (height - boxHeight) / 2,
+    };
+};
+
+/**
+ * SVG overlay with the watermark text on its background box, sized to the image
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - watermarkConfig overrides
+ * @returns {string} SVG markup
+ */
+export const renderWatermarkSvg = (width, height, options = {}) => {
+    const settings = { ...watermarkConfig, ...options };
+    const position = WATERMARK_POSITIONS.includes(settings.position) ? settings.position : watermarkConfig.position;
+    const scale = Math.min(width, height) / REFERENCE_SIZE;
+
+    const fontSize = Math.max(8, Math.round(settings.fontSize * scale));
+    const padding = Math.round(settings.padding * scale);
+    const boxPadding = Math.round(fontSize * 0.4);
+    const boxWidth = Math.round(settings.text.length * fontSize * CHARACTER_WIDTH) + boxPadding * 2;
+    const boxHeight = Math.round(fontSize * 1.4);
+    const { x, y } = placeBox(position, width, height, boxWidth, boxHeight, padding);
+
+    return `<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <g opacity="${settings.opacity}">
+            <rect x="${x}" y="${y}" width="${boxWidth}" height="${boxHeight}" rx="${boxPadding}" fill="${escapeXml(settings.backgroundColor)}"/>
+            <text x="${x + boxWidth / 2}" y="${y + boxHeight / 2}" text-anchor="middle" dominant-baseline="central"
+                font-family="${escapeXml(settings.fontFamily)}" font-size="${fontSize}" font-weight="bold"
+                fill="${escapeXml(settings.color)}">${escapeXml(settings.text)}</text>
+        </g>
+    </svg>`;
+};
+
+/**
+ * Apply watermark to image
+ * Renders the watermark over the image; the source buffer (the clean original) is left untouched.
+ * PNG, JPEG and WebP keep their format, anything else is returned as PNG.
+ *
  * @param {Buffer} imageBuffer - Image buffer
- * @param {Object} options - Watermark options
- * @returns {Promise<Buffer>} Watermarked image buffer
+ * @param {Object} options - Watermark options (watermarkConfig overrides)
+ * @returns {Promise<Object>} { buffer, format } watermarked image
  */
 export const applyImageWatermark = async (imageBuffer, options = {}) => {
-    // TODO: Implement actual watermark application using sharp or canvas
-    // For now, return the original buffer with metadata
-    return imageBuffer;
+    const image = sharp(imageBuffer);
+    const { width, height, format } = await image.metadata();
+    const outputFormat = OUTPUT_FORMATS.includes(format) ? format : "png";
+
+    const buffer = await image
+        .composite([{ input: Buffer.from(renderWatermarkSvg(width, height, options)), top: 0, left: 0 }])
+        .toFormat(outputFormat)
+        .toBuffer();
+
+    return { buffer, format: outputFormat };
 };
 
 /**
- * Apply watermark to video (placeholder for actual implementation)
- * This will be implemented when AI generation is added
- * 
+ * Video watermark processors
+ * A processor renders the watermark onto a copy of a video: async (inputPath, outputPath, settings) => void.
+ * The one named by VIDEO_WATERMARK_PROCESSOR (default "ffmpeg") is used.
+ */
+const videoProcessors = new Map();
+
+/**
+ * Register a video watermark processor
+ * @param {string} name - Processor name
+ * @param {Function} processor - async (inputPath, outputPath, settings)
+ */
+export const registerVideoWatermarkProcessor = (name, processor) => {
+    videoProcessors.set(name, processor);
+};
+
+// ffmpeg colors take an alpha suffix instead of CSS rgba()
+const toFfmpegColor = (color, opacity) => {
+    const rgba = /^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/.exec(color);
+    if (rgba) {
+        const hex = rgba.slice(1, 4).map((value) => Number(value).toString(16).padStart(2, "0")).join("");
+        return `0x${hex}@${((rgba[4] ? Number(rgba[4]) : 1) * opacity).toFixed(2)}`;
+    }
+    return `${color.replace("#", "0x")}@${opacity}`;
+};
+
+// drawtext expressions for each position (w/h: video size, tw/th: text size)
+const FFMPEG_POSITIONS = {
+    "top-left": ["PAD", "PAD"],
+    "top-right": ["w-tw-PAD", "PAD"],
+    "bottom-left": ["PAD", "h-th-PAD"],
+    "bottom-right": ["w-tw-PAD", "h-th-PAD"],
+    "center": ["(w-tw)/2", "(h-th)/2"],
+};
+
+registerVideoWatermarkProcessor("ffmpeg", (inputPath, outputPath, settings) => new Promise((resolve, reject) => {
+    const ffmpegPath = process.env.FFMPEG_PATH || "ffmpeg";
+    const [x, y] = (FFMPEG_POSITIONS[settings.position] || FFMPEG_POSITIONS["bottom-right"])
+        .map((expression) => expression.replaceAll("PAD", `min(w,h)*${settings.padding / REFERENCE_SIZE}`));
+    const text = settings.text.replace(/[\\':]/g, "\\$&");
+
+    const drawtext = [
+        `text='${text}'`,
+        `font='${settings.fontFamily.split(",")[0].trim()}'`,
+        `fontsize=min(w\\,h)*${settings.fontSize / REFERENCE_SIZE}`,
+        `fontcolor=${toFfmpegColor(settings.color, settings.opacity)}`,
+        "box=1",
+        `boxcolor=${toFfmpegColor(settings.backgroundColor, settings.opacity)}`,
+        `boxborderw=${Math.round(settings.fontSize * 0.4)}`,
+        `x=${x.replaceAll(",", "\\,")}`,
+        `y=${y.replaceAll(",", "\\,")}`,
+    ].join(":");
+
+    const ffmpeg = spawn(ffmpegPath, ["-y", "-i", inputPath, "-vf", `drawtext=${drawtext}`, "-c:a", "copy", outputPath], {
+        stdio: ["ignore", "ignore", "pipe"],
+    });
+    const timer = setTimeout(() => ffmpeg.kill("SIGKILL"), VIDEO_WATERMARK_TIMEOUT_MS);
+
+    let stderr = "";
+    ffmpeg.stderr.on("data", (chunk) => {
+        stderr = (stderr + chunk).slice(-2000);
+    });
+    ffmpeg.on("error", (error) => {
+        clearTimeout(timer);
+        reject(error);
+    });
+    ffmpeg.on("close", (code) => {
+        clearTimeout(timer);
+        if (code === 0) return resolve();
+        reject(new Error(`ffmpeg exited with ${code ?? "a signal"}: ${stderr.trim().split("\n").pop()}`));
+    });
+}));
+
+/**
+ * Apply watermark to video
+ * Writes a watermarked copy next to the original ("<name>-wm.<ext>") and keeps the clean original.
+ *
  * @param {string} videoPath - Path to video file
- * @param {Object} options - Watermark options
+ * @param {Object} options - Watermark options (watermarkConfig overrides, { processor } to pick one)
  * @returns {Promise<string>} Path to watermarked video
+ * @throws {Error} If the processor isn't registered or fails
  */
 export const applyVideoWatermark = async (videoPath, options = {}) => {
-    // TODO: Implement actual watermark application using ffmpeg
-    // For now, return the original path with metadata
-    return videoPath;
+    const { processor: processorName = process.env.VIDEO_WATERMARK_PROCESSOR || "ffmpeg", ...overrides } = options;
+    const processor = videoProcessors.get(processorName);
+    if (!processor) {
+        throw new Error(`No video watermark processor registered for "${processorName}"`);
+    }
+
+    const { dir, name, ext } = path.parse(videoPath);
+    const outputPath = path.join(dir, `${name}-wm${ext || ".mp4"}`);
+
+    try {
+        await processor(videoPath, outputPath, { ...watermarkConfig, ...overrides });
+    } catch (error) {
+        if (fs.existsSync(outputPath)) fs.unlinkSync(outputPath);
+        throw error;
+    }
+
+    return outputPath;
 };
 
 export default {
@@ -112,6 +272,8 @@ export default {
     shouldApplyWatermark,
     canRemoveWatermark,
     generateWatermarkText,
+    renderWatermarkSvg,
     applyImageWatermark,
+    registerVideoWatermarkProcessor,
     applyVideoWatermark,
 };
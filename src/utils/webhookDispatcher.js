@@ -0,0 +1,195 @@
+import crypto from "crypto";
+import AIConfig from "../models/AIConfig.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+
+/**
+ * Webhook Dispatcher
+ * Sends signed generation events to the URLs configured in AIConfig.webhooks.
+ * Deliveries are stored first and sent by the worker, retrying with exponential backoff.
+ *
+ * Receivers verify X-Pixora-Signature ("t=<timestamp>,v1=<hex>"), where v1 is
+ * HMAC-SHA256(secret, "<timestamp>.<raw body>"), and should reject stale timestamps.
+ */
+
+const REQUEST_TIMEOUT_MS = 10000;
+const DELIVERY_LEASE_MS = 60000;
+const BASE_RETRY_DELAY_MS = 30000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const MAX_LOGGED_RESPONSE_LENGTH = 500;
+
+// Which configured URL receives each event
+const EVENT_URL_FIELDS = {
+    "generation.completed": "aiCompletionUrl",
+    "generation.failed": "aiFailureUrl",
+};
+
+/**
+ * Compute the signature header value for a payload
+ * @param {string} secret - Shared webhook secret
+ * @param {number} timestamp - Unix timestamp (seconds)
+ * @param {string} body - Raw JSON body
+ * @returns {string} Header value "t=<timestamp>,v1=<hex>"
+ */
+export const signWebhookPayload = (secret, timestamp, body) => {
+    const signature = crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+    return `t=${timestamp},v1=${signature}`;
+};
+
+/**
+ * Delay before the next attempt of a failed delivery (exponential backoff)
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+const getRetryDelay = (attempts) => {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(0, attempts - 1), MAX_RETRY_DELAY_MS);
+};
+
+/**
+ * Record an event for delivery if a URL is configured for it
+ * Never throws: a webhook problem must not fail the generation that triggered it.
+ * @param {string} event - "generation.completed" | "generation.failed"
+ * @param {Object} data - Event data
+ * @param {Object} options - { content } to link the delivery to a Content
+ * @returns {Promise<Object|null>} WebhookDelivery, or null if nothing was queued
+ */
+export const queueWebhook = async (event, data, { content } = {}) => {
+    try {
+        const config = await AIConfig.findOne({ configKey: "global" });
+        const url = config?.webhooks?.[EVENT_URL_FIELDS[event]];
+        if (!url) return null;
+
+        const eventId = `evt_${crypto.randomBytes(12).toString("hex")}`;
+
+        return await WebhookDelivery.create({
+            eventId,
+            event,
+            url,
+            content,
+            payload: {
+                id: eventId,
+                event,
+                createdAt: new Date().toISOString(),
+                data,
+            },
+        });
+    } catch (error) {
+        console.error(`[Webhook] Failed to queue ${event}:`, error.message);
+        return null;
+    }
+};
+
+/**
+ * Send a delivery once and record the outcome
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} config - AIConfig document (for the signing secret)
+ * @returns {Promise<Object>} The updated delivery
+ */
+export const deliverWebhook = async (delivery, config) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const secret = config?.webhooks?.secret;
+
+    const headers = {
+        "Content-Type": "application/json",
+        "User-Agent": "Pixora-Webhooks/1.0",
+        "X-Pixora-Event": delivery.event,
+        "X-Pixora-Delivery": delivery._id.toString(),
+        "X-Pixora-Timestamp": String(timestamp),
+    };
+    if (secret) {
+        headers["X-Pixora-Signature"] = signWebhookPayload(secret, timestamp, body);
+    } else {
+        console.warn("[Webhook] No webhook secret configured, sending unsigned");
+    }
+
+    const startedAt = Date.now();
+    const entry = { at: new Date(startedAt) };
+
+    try {
+        const response = await fetch(delivery.url, {
+            method: "POST",
+            headers,
+            body,
+            redirect: "manual",
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        entry.statusCode = response.status;
+        entry.responseBody = (await response.text().catch(() => "")).slice(0, MAX_LOGGED_RESPONSE_LENGTH);
+        if (!response.ok) {
+            entry.error = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        entry.error = error.name === "TimeoutError" ? `Timed out after ${REQUEST_TIMEOUT_MS}ms` : error.message;
+    }
+    entry.durationMs = Date.now() - startedAt;
+
+    delivery.attempts += 1;
+    delivery.attemptLog.push(entry);
+
+    if (!entry.error) {
+        delivery.status = "delivered";
+        delivery.deliveredAt = new Date();
+        delivery.lastError = undefined;
+    } else {
+        delivery.lastError = entry.error;
+        if (delivery.attempts >= delivery.maxAttempts) {
+            delivery.status = "failed";
+            console.error(`[Webhook] Giving up on ${delivery.event} delivery ${delivery._id}: ${entry.error}`);
+        } else {
+            delivery.nextAttemptAt = new Date(Date.now() + getRetryDelay(delivery.attempts));
+        }
+    }
+
+    return delivery.save();
+};
+
+/**
+ * Send every delivery that is due
+ * @param {Object} options - { limit } maximum deliveries per run
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export const processDueWebhooks = async ({ limit = 20 } = {}) => {
+    let config = null;
+    let processed = 0;
+
+    while (processed < limit) {
+        const delivery = await WebhookDelivery.claimDue(DELIVERY_LEASE_MS);
+        if (!delivery) break;
+
+        config = config || await AIConfig.findOne({ configKey: "global" });
+        await deliverWebhook(delivery, config);
+        processed++;
+    }
+
+    return processed;
+};
+
+/**
+ * Send an event again as a new delivery (same event id, current URL for the event)
+ * @param {Object} original - WebhookDelivery document to redeliver
+ * @returns {Promise<Object>} The new delivery after its first attempt
+ */
+export const redeliverWebhook = async (original) => {
+    const config = await AIConfig.findOne({ configKey: "global" });
+
+    const delivery = await WebhookDelivery.create({
+        eventId: original.eventId,
+        event: original.event,
+        url: config?.webhooks?.[EVENT_URL_FIELDS[original.event]] || original.url,
+        content: original.content,
+        payload: original.payload,
+        redeliveryOf: original._id,
+        // Sent right away; if that attempt fails the worker retries it like any other delivery
+        nextAttemptAt: new Date(Date.now() + DELIVERY_LEASE_MS),
+    });
+
+    return deliverWebhook(delivery, config);
+};
+
+export default {
+    signWebhookPayload,
+    queueWebhook,
+    deliverWebhook,
+    processDueWebhooks,
+    redeliverWebhook,
+};
@@ -0,0 +1,24 @@
+import { connectDB } from "./config/db.js";
+import { startGenerationWorker } from "./utils/generationWorker.js";
+
+const startWorker = async () => {
+  try {
+    await connectDB();
+
+    const worker = startGenerationWorker();
+
+    const shutdown = async (signal) => {
+      console.log(`[Worker] ${signal} received, finishing in-flight jobs...`);
+      await worker.stop();
+      process.exit(0);
+    };
+
+    process.on("SIGINT", () => shutdown("SIGINT"));
+    process.on("SIGTERM", () => shutdown("SIGTERM"));
+  } catch (err) {
+    console.error("Worker initialization failed:", err.message);
+    process.exit(1);
+  }
+};
+
+startWorker();